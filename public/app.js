@@ -1,6 +1,10 @@
 const state = {
   library: null,
-  playlist: null
+  playlist: null,
+  structures: [],
+  cortinas: [],
+  browser: { page: 1 },
+  picker: null
 };
 
 async function api(url, options = {}) {
@@ -19,36 +23,331 @@ function trackLabel(track) {
   return `${track.title} — ${track.artist}${track.year ? ` (${track.year})` : ''}`;
 }
 
+function formatSeconds(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function cortinaTrim(cortina) {
+  if (cortina.playLength === undefined) return '';
+  const end = (cortina.startOffset || 0) + cortina.playLength;
+  return `${formatSeconds(cortina.startOffset || 0)}–${formatSeconds(end)}, fade ${cortina.fadeOut}s`;
+}
+
+// "One singer · 1941–1942": how well a tanda holds together in voice and recording era.
+function consistencyLabel(consistency) {
+  if (!consistency) return '';
+  const voices = consistency.singers.length + (consistency.instrumental ? 1 : 0);
+  let voice = voices > 1
+    ? `${voices} voices`
+    : consistency.singers.length ? 'One singer' : consistency.instrumental ? 'Instrumental' : 'No singer credited';
+  if (voices && consistency.unknownSingerTracks) voice += ` (${consistency.unknownSingerTracks} uncredited)`;
+  const years = consistency.years
+    ? consistency.years[0] === consistency.years[1] ? `${consistency.years[0]}` : `${consistency.years[0]}–${consistency.years[1]}`
+    : 'undated';
+  return `${voice} · ${years}`;
+}
+
+function trackFacts(track) {
+  const facts = [];
+  if (track.orchestra && track.orchestra !== track.artist) facts.push(track.orchestra);
+  if (track.singer || track.instrumental) facts.push(track.instrumental ? 'instrumental' : `canta ${track.singer}`);
+  if (track.bpm) facts.push(`${Math.round(track.bpm)} BPM`);
+  if (track.energy !== null && track.energy !== undefined) facts.push(`E ${Number(track.energy).toFixed(1)} dB`);
+  if (isUnmeasured(track)) facts.push('unmeasured');
+  if (track.key) facts.push(track.camelotKey ? `${track.key} (${track.camelotKey})` : track.key);
+  if (track.doNotPlay) facts.push('do not play');
+  return facts.join(' · ');
+}
+
+function formatOffset(seconds) {
+  const minutes = Math.round(seconds / 60);
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function tandaTimeLabel(slot) {
+  if (!slot) return '';
+  return slot.startClock ? `${slot.startClock}–${slot.cortinaClock}` : `+${formatOffset(slot.startOffsetSeconds)}`;
+}
+
+function tandaIssues(tandaIndex) {
+  const validation = state.playlist?.validation;
+  if (!validation) return [];
+  return [...validation.errors, ...validation.warnings]
+    .filter((item) => (item.tandaIndexes || []).includes(tandaIndex));
+}
+
+function renderIssues(issues) {
+  const list = document.createElement('ul');
+  list.className = 'issues';
+  issues.forEach((item) => {
+    const li = document.createElement('li');
+    li.className = `issue ${item.severity}`;
+    li.textContent = item.message;
+    list.append(li);
+  });
+  return list;
+}
+
 function renderLibraryStatus() {
   if (!state.library) return;
-  el('libraryStatus').textContent = `Tracks: ${state.library.trackCount || 0} (Generated: ${state.library.generatedAt || 'never'})`;
+  el('libraryStatus').textContent = `Tracks: ${state.library.totalTrackCount || 0} (Generated: ${state.library.generatedAt || 'never'})`;
+}
+
+function describeScan(job) {
+  const counts = `${job.added} new, ${job.updated} changed, ${job.moved} moved, ${job.unchanged} unchanged, ${job.removed} removed${job.failed ? `, ${job.failed} failed` : ''}`;
+  if (job.status === 'walking') return `Scanning ${job.root}: listing files…`;
+  if (job.status === 'scanning') return `Scanning ${job.root}: ${job.processed}/${job.total} files (${job.percent}%) · ${counts}`;
+  const analysis = job.analysis
+    ? ` · audio: ${job.analysis.analyzed} measured, ${job.analysis.cached} from cache${job.analysis.skipped ? `, ${job.analysis.skipped} unsupported` : ''}${job.analysis.failed ? `, ${job.analysis.failed} failed` : ''}`
+    : '';
+  if (job.status === 'analyzing') return `Analyzing audio: ${job.analysis.processed}/${job.analysis.total} files (${job.percent}%)${analysis}`;
+  if (job.status === 'failed') return `Scan failed: ${job.error}`;
+  return `Scan ${job.status}: ${counts}${analysis}`;
 }
 
-function createTrackReplacementSelect(tandaIndex, trackIndex) {
-  const select = document.createElement('select');
-  const defaultOpt = document.createElement('option');
-  defaultOpt.value = '';
-  defaultOpt.textContent = 'Replace track…';
-  select.append(defaultOpt);
+// Follows a background scan over server-sent events and reloads the library when it ends.
+function watchScan(job) {
+  el('scanLibrary').disabled = true;
+  el('libraryStatus').textContent = describeScan(job);
+  const source = new EventSource(`/api/library/scan/${encodeURIComponent(job.id)}/events`);
+  const finish = async (finished) => {
+    source.close();
+    el('scanLibrary').disabled = false;
+    await refreshLibrary();
+    if (finished) el('libraryStatus').textContent += ` · ${describeScan(finished)}`;
+  };
+  source.addEventListener('progress', (event) => {
+    el('libraryStatus').textContent = describeScan(JSON.parse(event.data));
+  });
+  source.addEventListener('done', (event) => finish(JSON.parse(event.data)));
+  source.onerror = () => finish(null);
+}
 
-  (state.library?.tracks || []).forEach((track) => {
-    const opt = document.createElement('option');
-    opt.value = track.id;
-    opt.textContent = `${track.style.toUpperCase()} | ${trackLabel(track)}`;
-    select.append(opt);
+async function searchLibrary(params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) query.set(key, value);
   });
+  return api(`/api/library/search?${query}`);
+}
 
-  select.addEventListener('change', async () => {
-    if (!select.value || !state.playlist) return;
-    const updated = await api(`/api/playlists/${state.playlist.id}/replace-track`, {
-      method: 'POST',
-      body: JSON.stringify({ tandaIndex, trackIndex, replacementTrackId: select.value })
-    });
-    state.playlist = updated;
-    renderPlaylist();
+function describeFacets(result) {
+  const styles = Object.entries(result.facets.styles).map(([style, count]) => `${style} ${count}`).join(' · ');
+  const years = result.facets.years ? ` · ${result.facets.years.min}–${result.facets.years.max}` : '';
+  return `${result.total} of ${result.totalTrackCount} tracks${styles ? ` · ${styles}` : ''}${years}`;
+}
+
+function renderTrackResults(host, result, actionsFor) {
+  host.innerHTML = '';
+  if (!result.tracks.length) {
+    host.innerHTML = '<small>No matching tracks.</small>';
+    return;
+  }
+  result.tracks.forEach((track) => {
+    const row = document.createElement('div');
+    row.className = 'track';
+    const play = document.createElement('button');
+    play.textContent = 'Play';
+    play.onclick = () => playTrack(track);
+    const label = document.createElement('span');
+    label.textContent = `${track.style.toUpperCase()} | ${trackLabel(track)}`;
+    const facts = trackFacts(track);
+    if (facts) {
+      const factsEl = document.createElement('small');
+      factsEl.className = 'track-facts';
+      factsEl.textContent = ` ${facts}`;
+      label.append(factsEl);
+    }
+    row.append(play, label, ...actionsFor(track));
+    host.append(row);
+  });
+}
+
+function renderPager(prefix, result, goTo) {
+  el(`${prefix}PageInfo`).textContent = `Page ${result.page} of ${result.pageCount}`;
+  el(`${prefix}Prev`).disabled = result.page <= 1;
+  el(`${prefix}Next`).disabled = result.page >= result.pageCount;
+  el(`${prefix}Prev`).onclick = () => goTo(result.page - 1);
+  el(`${prefix}Next`).onclick = () => goTo(result.page + 1);
+}
+
+function debounce(fn, ms = 250) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+async function loadLibraryBrowser(page = 1) {
+  const result = await searchLibrary({
+    q: el('librarySearch').value.trim(),
+    style: el('libraryStyle').value,
+    orchestra: el('libraryOrchestra').value.trim(),
+    sort: el('librarySort').value,
+    minYear: el('libraryMinYear').value,
+    maxYear: el('libraryMaxYear').value,
+    minBpm: el('libraryMinBpm').value,
+    maxBpm: el('libraryMaxBpm').value,
+    minEnergy: el('libraryMinEnergy').value,
+    maxEnergy: el('libraryMaxEnergy').value,
+    page
+  });
+  state.browser.page = result.page;
+  el('libraryFacets').textContent = describeFacets(result);
+  el('orchestraOptions').innerHTML = result.facets.orchestras
+    .map((orchestra) => `<option value="${orchestra.name.replace(/"/g, '&quot;')}">${orchestra.count} tracks</option>`)
+    .join('');
+  renderTrackResults(el('libraryResults'), result, (track) => {
+    const edit = document.createElement('button');
+    edit.textContent = 'Edit';
+    edit.onclick = () => openTrackEditor(track);
+    return [edit];
+  });
+  renderPager('library', result, (next) => loadLibraryBrowser(next).catch((error) => alert(error.message)));
+}
+
+// The picker starts on unused tracks of the tanda's style and orchestra, since replace-track requires that orchestra.
+function openTrackPicker(tandaIndex, trackIndex) {
+  const tanda = state.playlist.tandas[tandaIndex];
+  const track = tanda.tracks[trackIndex];
+  const anchor = tanda.tracks.find((item, idx) => idx !== trackIndex && item) || track;
+  state.picker = { style: tanda.type, onPick: (picked) => replaceTrack(tandaIndex, trackIndex, picked.id) };
+  el('trackPickerLabel').textContent = `Tanda ${tandaIndex + 1}, track ${trackIndex + 1}: ${track ? trackLabel(track) : '(empty)'}`;
+  el('pickerSearch').value = '';
+  el('pickerOrchestra').value = anchor?.orchestra || anchor?.artist || '';
+  el('trackPickerModal').classList.remove('hidden');
+  loadTrackPicker().catch((error) => alert(error.message));
+}
+
+async function loadTrackPicker(page = 1) {
+  const picker = state.picker;
+  if (!picker) return;
+  const result = await searchLibrary({
+    q: el('pickerSearch').value.trim(),
+    orchestra: el('pickerOrchestra').value.trim(),
+    style: picker.style,
+    notInPlaylist: state.playlist.id,
+    playable: 'true',
+    sort: 'year',
+    page,
+    pageSize: 20
+  });
+  el('pickerFacets').textContent = describeFacets(result);
+  renderTrackResults(el('pickerResults'), result, (track) => {
+    const use = document.createElement('button');
+    use.textContent = 'Use';
+    use.onclick = () => picker.onPick(track).catch((error) => alert(error.message));
+    return [use];
+  });
+  renderPager('picker', result, (next) => loadTrackPicker(next).catch((error) => alert(error.message)));
+}
+
+// The picker doubles as the way to settle an import line that matched no library track.
+function openImportResolver(item) {
+  const tanda = state.playlist.tandas[item.tandaIndex];
+  state.picker = { style: tanda?.type || '', onPick: (picked) => resolveImportLine(item.line, { trackId: picked.id }) };
+  el('trackPickerLabel').textContent = `Line ${item.line} of the imported file: ${item.text}`;
+  el('pickerSearch').value = item.title || '';
+  el('pickerOrchestra').value = '';
+  el('trackPickerModal').classList.remove('hidden');
+  loadTrackPicker().catch((error) => alert(error.message));
+}
+
+async function resolveImportLine(line, resolution) {
+  state.playlist = await api(`/api/playlists/${state.playlist.id}/import/resolve`, {
+    method: 'POST',
+    body: JSON.stringify({ line, ...resolution })
+  });
+  closeTrackPicker();
+  renderPlaylist();
+}
+
+function renderImportReport(report) {
+  const box = document.createElement('div');
+  const matched = `${report.matchedByPath + report.matchedByTitle} of ${report.entryCount} lines matched (${report.matchedByTitle} by title)`;
+  box.innerHTML = `<small>Imported from ${report.filename}: ${matched}.${report.unmatched.length ? ' Unmatched lines:' : ''}</small>`;
+  const list = document.createElement('ul');
+  list.className = 'issues';
+  report.unmatched.forEach((item) => {
+    const row = document.createElement('li');
+    row.className = 'issue warning';
+    row.textContent = `Line ${item.line}: ${item.artist ? `${item.artist} - ` : ''}${item.title || item.text} (tanda ${item.tandaIndex + 1}) `;
+    const find = document.createElement('button');
+    find.textContent = 'Find…';
+    find.onclick = () => openImportResolver(item);
+    const dismiss = document.createElement('button');
+    dismiss.textContent = 'Dismiss';
+    dismiss.onclick = () => resolveImportLine(item.line, { dismiss: true }).catch((error) => alert(error.message));
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    actions.append(find, dismiss);
+    row.append(actions);
+    list.append(row);
   });
+  box.append(list);
+  return box;
+}
+
+function closeTrackPicker() {
+  el('trackPickerModal').classList.add('hidden');
+  state.picker = null;
+}
+
+async function replaceTrack(tandaIndex, trackIndex, replacementTrackId) {
+  state.playlist = await api(`/api/playlists/${state.playlist.id}/replace-track`, {
+    method: 'POST',
+    body: JSON.stringify({ tandaIndex, trackIndex, replacementTrackId })
+  });
+  closeTrackPicker();
+  renderPlaylist();
+}
 
-  return select;
+const EXPORT_FORMATS = [
+  { format: 'm3u8', label: 'M3U8', title: 'Playlist for DJ software, with cortinas and file paths' },
+  { format: 'pls', label: 'PLS', title: 'Playlist for players that read PLS' },
+  { format: 'csv', label: 'CSV', title: 'One row per track, for spreadsheets' },
+  { format: 'txt', label: 'Text', title: 'Plain set list' },
+  { format: 'html', label: 'Print', title: 'Print-friendly set list with tanda times' }
+];
+
+function createHistoryButtons(history) {
+  const row = document.createElement('div');
+  row.className = 'row';
+  const undo = document.createElement('button');
+  undo.textContent = '↶ Undo';
+  undo.disabled = !history?.canUndo;
+  undo.title = history?.action ? `Undo ${history.action}` : '';
+  undo.onclick = () => stepHistory('undo').catch((error) => alert(error.message));
+  const redo = document.createElement('button');
+  redo.textContent = '↷ Redo';
+  redo.disabled = !history?.canRedo;
+  redo.onclick = () => stepHistory('redo').catch((error) => alert(error.message));
+  const list = document.createElement('button');
+  list.textContent = `History${history ? ` (${history.count})` : ''}`;
+  list.onclick = () => openHistory().catch((error) => alert(error.message));
+  row.append(undo, redo, list);
+  return row;
+}
+
+async function stepHistory(direction) {
+  state.playlist = await api(`/api/playlists/${state.playlist.id}/${direction}`, { method: 'POST' });
+  renderPlaylist();
+}
+
+function createExportButtons(playlistId) {
+  const row = document.createElement('div');
+  row.className = 'row';
+  EXPORT_FORMATS.forEach(({ format, label, title }) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    const url = `/api/playlists/${encodeURIComponent(playlistId)}/export?format=${format}`;
+    button.onclick = () => (format === 'html' ? window.open(url, '_blank') : window.location.assign(url));
+    row.append(button);
+  });
+  return row;
 }
 
 function renderPlaylist() {
@@ -62,7 +361,19 @@ function renderPlaylist() {
     return;
   }
 
-  meta.innerHTML = `<strong>${state.playlist.name}</strong><br><small>${state.playlist.prompt || 'No custom prompt'}</small>`;
+  const structureName = state.playlist.structure?.name || 'Classic TTVTTM';
+  const timeline = state.playlist.timeline;
+  const timing = timeline
+    ? `${timeline.startTime ? `${timeline.startTime} → ${timeline.endClock} · ` : ''}${formatOffset(timeline.totalSeconds)}${timeline.targetDurationMinutes ? ` of ${formatOffset(timeline.targetDurationMinutes * 60)} target` : ''}`
+    : '';
+  const validation = state.playlist.validation;
+  const checks = validation
+    ? `${validation.errors.length} error${validation.errors.length === 1 ? '' : 's'}, ${validation.warnings.length} warning${validation.warnings.length === 1 ? '' : 's'}`
+    : '';
+  meta.innerHTML = `<strong>${state.playlist.name}</strong><br><small>${state.playlist.prompt || 'No custom prompt'} · ${structureName}</small>${timing ? `<br><small>Set: ${timing}</small>` : ''}${checks ? `<br><small>Rule check: ${checks}</small>` : ''}`;
+  meta.append(createHistoryButtons(state.playlist.history), createExportButtons(state.playlist.id));
+  if (state.playlist.flow?.tandas.length) meta.insertAdjacentHTML('beforeend', renderFlow(state.playlist.flow));
+  if (state.playlist.importReport) meta.append(renderImportReport(state.playlist.importReport));
 
   state.playlist.tandas.forEach((tanda, tandaIndex) => {
     const tandaDiv = document.createElement('div');
@@ -85,8 +396,21 @@ function renderPlaylist() {
     save.textContent = 'Save tanda';
     save.onclick = () => saveTanda(tandaIndex);
 
-    controls.append(up, down, save);
-    header.innerHTML = `Tanda ${tandaIndex + 1}: ${tanda.type.toUpperCase()}`;
+    const regenerate = document.createElement('button');
+    regenerate.textContent = 'Regenerate';
+    regenerate.title = 'Build a new tanda for this slot that fits its neighbours';
+    regenerate.onclick = () => regenerateTanda(tandaIndex);
+
+    controls.append(up, down, save, regenerate);
+    const time = tandaTimeLabel(state.playlist.timeline?.tandas?.[tandaIndex]);
+    header.innerHTML = `Tanda ${tandaIndex + 1}: ${tanda.type.toUpperCase()}${time ? ` <small>${time}</small>` : ''}`;
+    if (tanda.consistency) {
+      const badge = document.createElement('small');
+      badge.className = `consistency ${tanda.consistency.level}`;
+      badge.textContent = consistencyLabel(tanda.consistency);
+      badge.title = tanda.consistency.singers.length ? tanda.consistency.singers.join(', ') : '';
+      header.firstChild.after(' ', badge);
+    }
     header.append(controls);
     tandaDiv.append(header);
 
@@ -94,18 +418,46 @@ function renderPlaylist() {
     reasoning.textContent = tanda.reasoning;
     tandaDiv.append(reasoning);
 
+    const issues = tandaIssues(tandaIndex);
+    if (issues.length) {
+      tandaDiv.classList.add(issues.some((item) => item.severity === 'error') ? 'has-errors' : 'has-warnings');
+      tandaDiv.append(renderIssues(issues));
+    }
+
+    const outliers = state.playlist.flow?.tandas[tandaIndex]?.outliers || [];
     tanda.tracks.forEach((track, trackIndex) => {
       const row = document.createElement('div');
       row.className = 'track';
+      const flags = outliers.filter((outlier) => outlier.trackId === track?.id);
+      if (flags.length) {
+        row.classList.add('flow-outlier');
+        row.title = flags.map((outlier) => outlier.message).join('\n');
+      }
 
       const playBtn = document.createElement('button');
       playBtn.textContent = 'Play';
-      playBtn.onclick = () => playTrack(track);
+      playBtn.onclick = () => playTrack(track, tanda.tracks);
 
       const label = document.createElement('span');
       label.textContent = trackLabel(track);
+      const facts = trackFacts(track);
+      if (facts) {
+        const factsEl = document.createElement('small');
+        factsEl.className = 'track-facts';
+        factsEl.textContent = ` ${facts}`;
+        label.append(factsEl);
+      }
+
+      const edit = document.createElement('button');
+      edit.textContent = 'Edit';
+      edit.title = 'Correct style, orchestra, singer or year';
+      edit.onclick = () => openTrackEditor(track);
 
-      row.append(playBtn, label, createTrackReplacementSelect(tandaIndex, trackIndex));
+      const replace = document.createElement('button');
+      replace.textContent = 'Replace…';
+      replace.onclick = () => openTrackPicker(tandaIndex, trackIndex);
+
+      row.append(playBtn, label, edit, replace);
       tandaDiv.append(row);
     });
 
@@ -114,19 +466,81 @@ function renderPlaylist() {
     cortinaDiv.className = 'cortina';
     cortinaDiv.textContent = cortina ? `Cortina: ${trackLabel(cortina)}` : 'Cortina: (none selected)';
     if (cortina) {
+      const trim = cortinaTrim(cortina);
+      if (trim) {
+        const trimEl = document.createElement('small');
+        trimEl.className = 'track-facts';
+        trimEl.textContent = ` ${cortina.theme} · ${trim}`;
+        cortinaDiv.append(trimEl);
+      }
       const playCortina = document.createElement('button');
       playCortina.textContent = 'Play cortina';
       playCortina.onclick = () => playTrack(cortina);
-      cortinaDiv.append(playCortina);
+      const trimButton = document.createElement('button');
+      trimButton.textContent = 'Trim';
+      trimButton.onclick = () => trimCortina(tandaIndex);
+      const keepButton = document.createElement('button');
+      keepButton.textContent = 'Save cortina';
+      keepButton.disabled = Boolean(cortina.cortinaId);
+      keepButton.title = cortina.cortinaId ? 'Already in the cortina library' : 'Add to the cortina library';
+      keepButton.onclick = () => saveCortina(cortina);
+      cortinaDiv.append(playCortina, trimButton, keepButton);
     }
+    const newCortina = document.createElement('button');
+    newCortina.textContent = 'New cortina';
+    newCortina.onclick = () => regenerateCortina(tandaIndex);
+    cortinaDiv.append(newCortina);
 
     tandaDiv.append(cortinaDiv);
     container.append(tandaDiv);
   });
 
+  syncLiveQueue();
   renderAgentDecisioning();
 }
 
+// Height of a bar within the set's range; the lowest value still shows a sliver.
+function flowBarHeight(value, range) {
+  if (value === null || !range) return 0;
+  return range[1] === range[0] ? 60 : 15 + (85 * (value - range[0])) / (range[1] - range[0]);
+}
+
+// One column per tanda: an energy bar, then orchestra, year and tempo, with outliers and jumps marked.
+function renderFlow(flow) {
+  const jumps = new Map(flow.transitions.filter((step) => step.jumps.length).map((step) => [step.toIndex, step]));
+  const columns = flow.tandas.map((tanda) => {
+    const jump = jumps.get(tanda.index);
+    const notes = [
+      ...tanda.outliers.map((outlier) => outlier.message),
+      ...(jump ? [`${jump.jumps.join(' and ')} jump from tanda ${jump.fromIndex + 1}${jump.energyChange !== null ? ` (${jump.energyChange > 0 ? '+' : ''}${jump.energyChange} dB)` : ''}`] : [])
+    ];
+    const years = tanda.years ? (tanda.years[0] === tanda.years[1] ? `${tanda.years[0]}` : `${tanda.years[0]}–${String(tanda.years[1]).slice(2)}`) : '—';
+    const classes = ['flow-tanda', tanda.type, tanda.outliers.length ? 'has-outliers' : '', jump ? 'flow-jump' : ''].filter(Boolean).join(' ');
+    return `<div class="${classes}" title="${notes.join('\n').replace(/"/g, '&quot;')}">
+      <div class="flow-bar"><span style="height: ${flowBarHeight(tanda.energy, flow.ranges.energy)}%"></span></div>
+      <strong>${tanda.index + 1} ${tanda.type[0].toUpperCase()}</strong>
+      <small>${tanda.orchestra || '—'}</small>
+      <small>${years}</small>
+      <small>${tanda.bpm !== null ? `${Math.round(tanda.bpm)} BPM` : '— BPM'}</small>
+      <small>${tanda.energy !== null ? `${tanda.energy} dB` : '— dB'}</small>
+    </div>`;
+  }).join('');
+  const flagged = flow.outlierCount + jumps.size;
+  return `<div class="flow">
+    <small>Energy and era flow${flagged ? ` · ${flagged} thing${flagged === 1 ? '' : 's'} stand out (hover a tanda)` : ''}</small>
+    <div class="flow-strip">${columns}</div>
+  </div>`;
+}
+
+// The outliers and jumps spelled out, for the decisioning view where there is room.
+function renderFlowNotes(flow) {
+  const items = [
+    ...flow.tandas.flatMap((tanda) => tanda.outliers.map((outlier) => `<li><strong>Tanda ${tanda.index + 1}:</strong> ${outlier.message}</li>`)),
+    ...flow.transitions.filter((step) => step.jumps.length).map((step) => `<li><strong>Tanda ${step.fromIndex + 1} → ${step.toIndex + 1}:</strong> ${step.jumps.join(' and ')} jump${step.energyChange !== null ? ` (${step.energyChange > 0 ? '+' : ''}${step.energyChange} dB)` : ''}${step.bpmChange !== null ? ` (${step.bpmChange > 0 ? '+' : ''}${step.bpmChange} BPM)` : ''}</li>`)
+  ];
+  return items.length ? `<ul class="decision-list">${items.join('')}</ul>` : '<small>No tracks stand out and no jumps between tandas.</small>';
+}
+
 function renderAgentDecisioning() {
   const host = el('agentDecisioning');
   const playlist = state.playlist;
@@ -141,17 +555,25 @@ function renderAgentDecisioning() {
     .map((tanda, index) => `<li><strong>Tanda ${index + 1} (${tanda.type.toUpperCase()}):</strong> ${tanda.reasoning || 'No reasoning provided.'}</li>`)
     .join('');
 
+  const shortlist = debug.request?.shortlist;
   const modelInfo = debug.enabled
-    ? `${debug.model || 'Agent'}${debug.durationMs ? ` · ${debug.durationMs}ms` : ''}`
-    : 'Fallback planner';
+    ? `${debug.model || 'Agent'}${debug.durationMs ? ` · ${debug.durationMs}ms` : ''}${shortlist ? ` · ${shortlist.sent} of ${shortlist.considered} tracks sent` : ''}`
+    : `Offline planner${playlist.plannerSeed !== null && playlist.plannerSeed !== undefined ? ` (seed ${playlist.plannerSeed})` : ''}`;
+
+  const roundItems = (debug.rounds || [])
+    .map((round) => `<li><strong>${round.kind === 'initial' ? 'Initial plan' : `Repair ${round.round}`}</strong> · ${round.durationMs}ms · ${round.problems.length ? `${round.problems.length} problem(s)<ul>${round.problems.map((problem) => `<li><small>${problem}</small></li>`).join('')}</ul>` : 'accepted'}</li>`)
+    .join('');
 
   host.innerHTML = `
     <div class="decision-meta">
       <div><strong>Selection source:</strong> ${playlist.generationSource || 'unknown'}</div>
       <div><strong>Planner:</strong> ${modelInfo}</div>
       <div><strong>Prompt guidance:</strong> ${playlist.prompt || 'No custom prompt'}</div>
+      ${playlist.avoidedPlays?.events ? `<div><strong>Repetition:</strong> avoided ${playlist.avoidedPlays.trackCount} tracks from the last ${playlist.avoidedPlays.events} milonga(s)${playlist.avoidedPlays.venue ? ` at ${playlist.avoidedPlays.venue}` : ''}</div>` : ''}
       <div><small>${debug.reason || debug.validation || 'Agent response was used to create this set.'}</small></div>
     </div>
+    ${playlist.flow?.tandas.length ? `<h3>Set flow</h3>${renderFlow(playlist.flow)}${renderFlowNotes(playlist.flow)}` : ''}
+    ${roundItems ? `<h3>Agent rounds</h3><ol class="decision-list">${roundItems}</ol>` : ''}
     <ol class="decision-list">${decisionItems}</ol>
   `;
 }
@@ -165,24 +587,157 @@ async function moveTanda(fromIndex, toIndex) {
   renderPlaylist();
 }
 
+async function regenerateTanda(tandaIndex) {
+  const prompt = window.prompt('Direction for the new tanda (optional):', '');
+  if (prompt === null) return;
+  const current = state.playlist.tandas[tandaIndex]?.tracks?.find(Boolean);
+  const currentOrchestra = current ? current.orchestra || current.artist : '';
+  const orchestra = window.prompt(`Lock to an orchestra (leave empty to let the planner choose)${currentOrchestra ? `, e.g. ${currentOrchestra}` : ''}:`, '');
+  if (orchestra === null) return;
+  try {
+    state.playlist = await api(`/api/playlists/${state.playlist.id}/tandas/${tandaIndex}/regenerate`, {
+      method: 'POST',
+      body: JSON.stringify({ prompt, orchestra: orchestra.trim() })
+    });
+    renderPlaylist();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function regenerateCortina(tandaIndex) {
+  try {
+    state.playlist = await api(`/api/playlists/${state.playlist.id}/tandas/${tandaIndex}/regenerate`, {
+      method: 'POST',
+      body: JSON.stringify({ part: 'cortina' })
+    });
+    renderPlaylist();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+function promptSeconds(message, value) {
+  const answer = window.prompt(message, value);
+  if (answer === null) return null;
+  const seconds = Number(answer);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : value;
+}
+
+async function trimCortina(tandaIndex) {
+  const cortina = state.playlist.cortinas[tandaIndex];
+  const startOffset = promptSeconds('Start at (seconds into the track)', cortina.startOffset || 0);
+  if (startOffset === null) return;
+  const playLength = promptSeconds('Play for (seconds)', cortina.playLength);
+  if (playLength === null) return;
+  const fadeOut = promptSeconds('Fade out over (seconds)', cortina.fadeOut);
+  if (fadeOut === null) return;
+  try {
+    state.playlist = await api(`/api/playlists/${state.playlist.id}/replace-cortina`, {
+      method: 'POST',
+      body: JSON.stringify({ tandaIndex, startOffset, playLength, fadeOut })
+    });
+    renderPlaylist();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function saveCortina(cortina) {
+  const theme = window.prompt('Cortina theme', cortina.theme || 'General');
+  if (theme === null) return;
+  try {
+    await api('/api/cortinas', {
+      method: 'POST',
+      body: JSON.stringify({
+        trackId: cortina.id,
+        theme,
+        startOffset: cortina.startOffset,
+        playLength: cortina.playLength,
+        fadeOut: cortina.fadeOut
+      })
+    });
+    await loadCortinaLibrary();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function deleteCortina(id) {
+  await api(`/api/cortinas/${encodeURIComponent(id)}`, { method: 'DELETE' }).catch(() => {});
+  await loadCortinaLibrary();
+}
+
 async function saveTanda(tandaIndex) {
+  const tanda = state.playlist.tandas[tandaIndex];
+  const first = tanda.tracks.find(Boolean);
+  const name = window.prompt('Name for the saved tanda', `${tanda.type} · ${first ? first.orchestra || first.artist : ''}`);
+  if (name === null) return;
   await api('/api/tanda-library', {
     method: 'POST',
-    body: JSON.stringify({ playlistId: state.playlist.id, tandaIndex })
+    body: JSON.stringify({ playlistId: state.playlist.id, tandaIndex, name })
   });
   await loadTandaLibrary();
 }
 
-function playTrack(track) {
+const AUDIO_TYPES = { '.mp3': 'audio/mpeg', '.flac': 'audio/flac', '.m4a': 'audio/mp4', '.wav': 'audio/wav', '.ogg': 'audio/ogg', '.aiff': 'audio/aiff' };
+
+// Asks the server for a transcoded copy when this browser cannot play the file's format (AIFF outside Safari).
+function audioUrl(track) {
+  const url = `/api/audio/${encodeURIComponent(track.id)}`;
+  const type = AUDIO_TYPES[(track.sourcePath || '').toLowerCase().match(/\.[a-z0-9]+$/)?.[0]];
+  return type && !el('audioPlayer').canPlayType(type) ? `${url}?transcode=1` : url;
+}
+
+// Cortinas carry trim points: start at startOffset, fade out and stop after playLength.
+// `tandaTracks` are the other tracks of its tanda, for levels matched per tanda.
+function playTrack(track, tandaTracks = []) {
   const player = el('audioPlayer');
-  player.src = `/api/audio/${encodeURIComponent(track.id)}`;
+  player.src = audioUrl(track);
+  player.volume = 1;
+  const gainDb = applyPlaybackGain(player, track, tandaTracks);
+  player.ontimeupdate = null;
+  if (track.playLength) {
+    const start = track.startOffset || 0;
+    const end = start + track.playLength;
+    const fade = Math.min(track.fadeOut || 0, track.playLength);
+    player.onloadedmetadata = () => { player.currentTime = start; };
+    player.ontimeupdate = () => {
+      const remaining = end - player.currentTime;
+      if (remaining <= 0) {
+        player.pause();
+        player.ontimeupdate = null;
+        player.volume = 1;
+      } else if (fade && remaining < fade) {
+        player.volume = Math.max(0, remaining / fade);
+      }
+    };
+  } else {
+    player.onloadedmetadata = null;
+  }
   player.play();
-  el('nowPlaying').textContent = `Now playing: ${trackLabel(track)}`;
+  el('nowPlaying').textContent = `Now playing: ${trackLabel(track)}${formatGain(gainDb, track)}`;
+}
+
+async function loadMusicRoots() {
+  const { roots } = await api('/api/library/roots');
+  const select = el('musicRoot');
+  select.innerHTML = '';
+  roots.forEach((root) => {
+    const option = document.createElement('option');
+    option.value = root.name;
+    option.textContent = `${root.name}: ${root.path}${root.available ? '' : ' (not available)'}`;
+    option.disabled = !root.available;
+    select.append(option);
+  });
+  select.value = roots.find((root) => root.available)?.name || '';
+  el('scanLibrary').disabled = !roots.some((root) => root.available);
 }
 
 async function refreshLibrary() {
-  state.library = await api('/api/library');
+  state.library = await api('/api/library/search?pageSize=1');
   renderLibraryStatus();
+  await loadLibraryBrowser(state.browser.page);
 }
 
 async function loadPlaylists() {
@@ -197,17 +752,118 @@ async function loadPlaylists() {
   });
 }
 
+async function loadStructures() {
+  const { structures, defaultStructureId } = await api('/api/structures');
+  state.structures = structures;
+  const select = el('structureSelect');
+  const previous = select.value;
+  select.innerHTML = '';
+  structures.forEach((structure) => {
+    const option = document.createElement('option');
+    option.value = structure.id;
+    option.textContent = `${structure.name} · ${structure.slots.length} tandas`;
+    select.append(option);
+  });
+  select.value = previous || defaultStructureId;
+}
+
 async function loadPlaylistById(id) {
   state.playlist = await api(`/api/playlists/${id}`);
   renderPlaylist();
 }
 
+function describeSavedTanda(record) {
+  const first = record.tanda.tracks[0];
+  const parts = [record.tanda.type, `${record.tanda.tracks.length} tracks`];
+  if (first) parts.push(first.orchestra || first.artist);
+  if (record.tags.length) parts.push(record.tags.join(', '));
+  return parts.join(' · ');
+}
+
 async function loadTandaLibrary() {
-  const { tandas } = await api('/api/tanda-library');
+  const params = new URLSearchParams();
+  const q = el('tandaLibrarySearch').value.trim();
+  const tag = el('tandaLibraryTag').value;
+  if (q) params.set('q', q);
+  if (tag) params.set('tag', tag);
+  const { tandas, tags, total, staleCount } = await api(`/api/tanda-library?${params}`);
+
+  const tagSelect = el('tandaLibraryTag');
+  tagSelect.innerHTML = '<option value="">All tags</option>';
+  tags.forEach((item) => tagSelect.append(new Option(item, item, false, item === tag)));
+
   const host = el('savedTandas');
-  host.innerHTML = tandas.map((t) => `<div class="tanda"><strong>${t.name}</strong><br><small>${t.tanda.type} · ${t.tanda.tracks.length} tracks</small></div>`).join('') || '<small>No saved tandas yet.</small>';
+  host.innerHTML = '';
+  if (staleCount) {
+    const warning = document.createElement('small');
+    warning.className = 'issue warning';
+    warning.textContent = `${staleCount} of ${total} saved tandas refer to tracks that are no longer in the library.`;
+    host.append(warning);
+  }
+  tandas.forEach((record) => {
+    const row = document.createElement('div');
+    row.className = `tanda${record.status.stale ? ' has-warnings' : ''}`;
+    row.innerHTML = `<strong></strong><br><small></small>`;
+    row.querySelector('strong').textContent = record.name;
+    row.querySelector('small').textContent = `${describeSavedTanda(record)}${record.status.stale ? ` · ${record.status.missingTrackIds.length} missing` : ''}`;
+    const open = document.createElement('button');
+    open.textContent = 'Open';
+    open.onclick = () => openSavedTanda(record);
+    row.append(open);
+    host.append(row);
+  });
+  if (!tandas.length && !total) host.insertAdjacentHTML('beforeend', '<small>No saved tandas yet.</small>');
+  else if (!tandas.length) host.insertAdjacentHTML('beforeend', '<small>No saved tandas match.</small>');
 }
 
+async function loadCortinaLibrary() {
+  const { cortinas, themes, fromLibraryTags } = await api('/api/cortinas');
+  state.cortinas = cortinas;
+
+  const select = el('cortinaThemeSelect');
+  const previous = select.value;
+  select.innerHTML = '<option value="">Cortina theme: largest</option>';
+  themes.forEach((theme) => {
+    const option = document.createElement('option');
+    option.value = theme.name;
+    option.textContent = `Cortinas: ${theme.name} (${theme.count})`;
+    select.append(option);
+  });
+  select.value = themes.some((theme) => theme.name === previous) ? previous : '';
+
+  const host = el('cortinaLibrary');
+  host.innerHTML = '';
+  if (!cortinas.length) {
+    host.innerHTML = '<small>No cortinas yet. Save one from a playlist or tag tracks with the cortina genre.</small>';
+    return;
+  }
+  if (fromLibraryTags) {
+    const note = document.createElement('small');
+    note.textContent = 'Using tracks tagged as cortinas until one is saved here.';
+    host.append(note);
+  }
+  cortinas.forEach((cortina) => {
+    const row = document.createElement('div');
+    row.className = 'track';
+    const play = document.createElement('button');
+    play.textContent = '▶';
+    play.onclick = () => playTrack(cortina);
+    const label = document.createElement('span');
+    label.textContent = `${cortina.theme}: ${trackLabel(cortina)} `;
+    const trim = document.createElement('small');
+    trim.className = 'track-facts';
+    trim.textContent = cortinaTrim(cortina);
+    label.append(trim);
+    row.append(play, label);
+    if (cortina.cortinaId) {
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.onclick = () => deleteCortina(cortina.cortinaId);
+      row.append(remove);
+    }
+    host.append(row);
+  });
+}
 
 const decisioningModal = el('decisioningModal');
 
@@ -231,14 +887,412 @@ document.addEventListener('keydown', (event) => {
   }
 });
 
+const historyModal = el('historyModal');
+
+async function openHistory() {
+  const { revisions, revision } = await api(`/api/playlists/${state.playlist.id}/revisions`);
+  const list = el('historyList');
+  list.innerHTML = '';
+  el('historyDiff').innerHTML = '';
+  revisions.forEach((entry, position) => {
+    const item = document.createElement('li');
+    item.innerHTML = `<strong></strong> <small></small>`;
+    item.querySelector('strong').textContent = `#${entry.revision} ${entry.action}${entry.revision === revision ? ' (current)' : ''}`;
+    item.querySelector('small').textContent = `${new Date(entry.savedAt).toLocaleString()} · ${entry.tandaCount} tandas`;
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const older = revisions[position + 1];
+    if (older) {
+      const changes = document.createElement('button');
+      changes.textContent = 'Changes';
+      changes.onclick = () => showRevisionDiff(older.revision, entry.revision).catch((error) => alert(error.message));
+      actions.append(changes);
+    }
+    if (entry.revision !== revision) {
+      const restore = document.createElement('button');
+      restore.textContent = 'Restore';
+      restore.onclick = () => restoreRevision(entry.revision).catch((error) => alert(error.message));
+      actions.append(restore);
+    }
+    item.append(actions);
+    list.append(item);
+  });
+  historyModal.classList.remove('hidden');
+}
+
+function describeTrackChanges(tracks) {
+  const parts = [];
+  if (tracks.added.length) parts.push(`added ${tracks.added.map((track) => track.title).join(', ')}`);
+  if (tracks.removed.length) parts.push(`removed ${tracks.removed.map((track) => track.title).join(', ')}`);
+  if (tracks.reordered) parts.push('reordered');
+  return parts.join('; ');
+}
+
+async function showRevisionDiff(from, to) {
+  const diff = await api(`/api/playlists/${state.playlist.id}/revisions/diff?from=${from}&to=${to}`);
+  const lines = [];
+  if (diff.fields.length) lines.push(`Changed ${diff.fields.join(', ')}`);
+  diff.tandas.filter((tanda) => tanda.status !== 'unchanged').forEach((tanda) => {
+    const where = tanda.status === 'removed' ? `Tanda ${tanda.fromIndex + 1}` : `Tanda ${tanda.index + 1}`;
+    const detail = tanda.status === 'moved' ? `moved from ${tanda.fromIndex + 1}` : describeTrackChanges(tanda.tracks);
+    lines.push(`${where} (${tanda.type}${tanda.orchestra ? `, ${tanda.orchestra}` : ''}): ${tanda.status}${detail ? ` — ${detail}` : ''}`);
+  });
+  diff.cortinas.forEach((cortina) => lines.push(`Cortina after tanda ${cortina.index + 1}: ${cortina.from?.title || 'none'} → ${cortina.to?.title || 'none'}`));
+  const host = el('historyDiff');
+  host.innerHTML = `<h3>Changes from #${from} to #${to}</h3><ul class="issues"></ul>`;
+  (lines.length ? lines : ['No changes']).forEach((line) => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    host.querySelector('ul').append(item);
+  });
+}
+
+async function restoreRevision(revision) {
+  state.playlist = await api(`/api/playlists/${state.playlist.id}/revisions/${revision}/restore`, { method: 'POST' });
+  closeHistory();
+  renderPlaylist();
+}
+
+function closeHistory() {
+  historyModal.classList.add('hidden');
+}
+
+el('closeHistoryModal').addEventListener('click', closeHistory);
+historyModal.addEventListener('click', (event) => {
+  if (event.target === historyModal) closeHistory();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !historyModal.classList.contains('hidden')) closeHistory();
+});
+
+const playLogModal = el('playLogModal');
+const VENUE_KEY = 'tango-dj-venue';
+
+function currentVenue() {
+  return el('venue').value.trim();
+}
+
+async function openPlayLog() {
+  const venue = el('playLogVenue').value;
+  const { events, venues, total, avoidRecentEvents } = await api(`/api/play-log${venue ? `?venue=${encodeURIComponent(venue)}` : ''}`);
+  el('playLogVenue').innerHTML = '<option value="">All venues</option>';
+  venues.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    el('playLogVenue').append(option);
+  });
+  el('playLogVenue').value = venues.includes(venue) ? venue : '';
+  el('playLogSummary').textContent = `${events.length} of ${total} milonga(s). New playlists avoid tracks from the last ${avoidRecentEvents} unless you set another number.`;
+
+  const list = el('playLogList');
+  list.innerHTML = '';
+  events.forEach((event) => {
+    const item = document.createElement('li');
+    item.innerHTML = '<strong></strong> <small></small><ul></ul>';
+    item.querySelector('strong').textContent = `${new Date(event.startedAt).toLocaleString()}${event.venue ? ` · ${event.venue}` : ''}`;
+    item.querySelector('small').textContent = `${event.playlistName} · ${event.trackCount} tracks · ${event.source === 'marked' ? 'marked as played' : 'performed'}`;
+    event.tandas.forEach((tanda) => {
+      const line = document.createElement('li');
+      line.textContent = `Tanda ${tanda.tandaIndex + 1} · ${tanda.type} · ${tanda.orchestra}: ${tanda.titles.join(', ')}`;
+      item.querySelector('ul').append(line);
+    });
+    const remove = document.createElement('button');
+    remove.textContent = 'Delete';
+    remove.onclick = async () => {
+      if (!window.confirm('Delete this milonga from the play log? Its tracks will no longer be avoided.')) return;
+      await api(`/api/play-log/${encodeURIComponent(event.id)}`, { method: 'DELETE' }).catch((error) => alert(error.message));
+      openPlayLog().catch((error) => alert(error.message));
+    };
+    item.append(remove);
+    list.append(item);
+  });
+  if (!events.length) list.innerHTML = '<li>Nothing played yet.</li>';
+  playLogModal.classList.remove('hidden');
+}
+
+async function markPlayed() {
+  if (!state.playlist) return alert('Load or create a playlist first.');
+  const venue = window.prompt('Venue for this milonga (optional):', currentVenue());
+  if (venue === null) return;
+  const event = await api(`/api/playlists/${state.playlist.id}/mark-played`, {
+    method: 'POST',
+    body: JSON.stringify({ venue })
+  });
+  alert(`Recorded ${event.trackCount} tracks as played${event.venue ? ` at ${event.venue}` : ''}.`);
+}
+
+function closePlayLog() {
+  playLogModal.classList.add('hidden');
+}
+
+el('venue').value = localStorage.getItem(VENUE_KEY) || '';
+el('venue').addEventListener('change', () => localStorage.setItem(VENUE_KEY, currentVenue()));
+el('markPlayed').addEventListener('click', () => markPlayed().catch((error) => alert(error.message)));
+el('openPlayLog').addEventListener('click', () => openPlayLog().catch((error) => alert(error.message)));
+el('playLogVenue').addEventListener('change', () => openPlayLog().catch((error) => alert(error.message)));
+el('closePlayLogModal').addEventListener('click', closePlayLog);
+playLogModal.addEventListener('click', (event) => {
+  if (event.target === playLogModal) closePlayLog();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !playLogModal.classList.contains('hidden')) closePlayLog();
+});
+
+const llmSettingsModal = el('llmSettingsModal');
+
+function fillSelect(select, values, selected) {
+  select.innerHTML = '<option value="">From environment</option>';
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.append(option);
+  });
+  select.value = selected || '';
+}
+
+function renderLlmSettings(info) {
+  el('llmSettingsStatus').textContent = info.enabled
+    ? `Using ${info.model} via ${info.baseUrl || 'OpenAI'} (${info.api}, ${info.structuredOutput}).`
+    : 'No model configured: playlists are built by the offline planner.';
+  el('llmBaseUrl').value = info.settings.baseUrl || '';
+  el('llmModel').value = info.settings.model || '';
+  el('llmModel').placeholder = info.model;
+  el('llmApiKey').value = '';
+  el('llmApiKey').placeholder = info.settings.hasApiKey ? 'Saved (leave empty to keep)' : info.hasApiKey ? 'Set in the environment' : 'Not needed for most local servers';
+  fillSelect(el('llmApi'), info.apiStyles, info.settings.api);
+  fillSelect(el('llmStructuredOutput'), info.structuredOutputModes, info.settings.structuredOutput);
+}
+
+async function openLlmSettings() {
+  renderLlmSettings(await api('/api/settings/llm'));
+  llmSettingsModal.classList.remove('hidden');
+}
+
+async function saveLlmSettings(event) {
+  event.preventDefault();
+  const changes = {
+    baseUrl: el('llmBaseUrl').value,
+    model: el('llmModel').value,
+    api: el('llmApi').value,
+    structuredOutput: el('llmStructuredOutput').value
+  };
+  if (el('llmApiKey').value.trim()) changes.apiKey = el('llmApiKey').value;
+  renderLlmSettings(await api('/api/settings/llm', { method: 'PUT', body: JSON.stringify(changes) }));
+}
+
+async function testLlmSettings() {
+  el('llmSettingsStatus').textContent = 'Asking the model…';
+  try {
+    const result = await api('/api/settings/llm/test', { method: 'POST' });
+    el('llmSettingsStatus').textContent = `${result.model} answered in ${result.durationMs}ms using ${result.structuredOutput} output.`;
+  } catch (error) {
+    el('llmSettingsStatus').textContent = error.message;
+  }
+}
+
+function closeLlmSettings() {
+  llmSettingsModal.classList.add('hidden');
+}
+
+el('openLlmSettings').addEventListener('click', () => openLlmSettings().catch((error) => alert(error.message)));
+el('llmSettingsForm').addEventListener('submit', (event) => saveLlmSettings(event).catch((error) => alert(error.message)));
+el('testLlmSettings').addEventListener('click', testLlmSettings);
+el('closeLlmSettings').addEventListener('click', closeLlmSettings);
+llmSettingsModal.addEventListener('click', (event) => {
+  if (event.target === llmSettingsModal) closeLlmSettings();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !llmSettingsModal.classList.contains('hidden')) closeLlmSettings();
+});
+
+const savedTandaModal = el('savedTandaModal');
+let openTanda = null;
+
+function openSavedTanda(record) {
+  openTanda = record;
+  el('savedTandaTitle').textContent = record.name;
+  el('savedTandaName').value = record.name;
+  el('savedTandaTags').value = record.tags.join(', ');
+  el('savedTandaNotes').value = record.notes;
+
+  const status = [];
+  if (record.status.stale) status.push(`${record.status.missingTrackIds.length} track(s) are no longer in the library. Remove them or rescan before inserting.`);
+  if (record.status.doNotPlayTrackIds.length) status.push(`${record.status.doNotPlayTrackIds.length} track(s) are marked do not play.`);
+  el('savedTandaStatus').innerHTML = status.map((text) => `<li class="issue warning">${text}</li>`).join('');
+  el('removeMissingTracks').disabled = !record.status.stale;
+
+  const list = el('savedTandaTracks');
+  list.innerHTML = '';
+  record.tanda.tracks.forEach((track) => {
+    const row = document.createElement('div');
+    row.className = 'track';
+    const label = document.createElement('span');
+    label.textContent = `${track.missing ? '(missing) ' : ''}${trackLabel(track)}`;
+    const facts = document.createElement('small');
+    facts.className = 'track-facts';
+    facts.textContent = trackFacts(track);
+    row.append(label, facts);
+    if (!track.missing) {
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.textContent = 'Play';
+      play.onclick = () => playTrack(track, record.tanda.tracks.filter((entry) => !entry.missing));
+      row.append(play);
+    }
+    list.append(row);
+  });
+
+  const position = el('savedTandaPosition');
+  position.innerHTML = '';
+  const tandaCount = state.playlist?.tandas.length || 0;
+  for (let index = 0; index <= tandaCount; index += 1) {
+    position.append(new Option(index === tandaCount ? 'At the end' : `Before tanda ${index + 1}`, index, false, index === tandaCount));
+  }
+  position.disabled = !state.playlist;
+  el('insertSavedTanda').disabled = !state.playlist || record.status.stale;
+  savedTandaModal.classList.remove('hidden');
+}
+
+function closeSavedTanda() {
+  savedTandaModal.classList.add('hidden');
+  openTanda = null;
+}
+
+async function updateSavedTanda(changes) {
+  const updated = await api(`/api/tanda-library/${encodeURIComponent(openTanda.id)}`, { method: 'PUT', body: JSON.stringify(changes) });
+  await loadTandaLibrary();
+  openSavedTanda(updated);
+}
+
+async function saveSavedTanda(event) {
+  event.preventDefault();
+  if (!openTanda) return;
+  await updateSavedTanda({
+    name: el('savedTandaName').value,
+    tags: el('savedTandaTags').value,
+    notes: el('savedTandaNotes').value
+  });
+}
+
+async function removeMissingTracks() {
+  const present = openTanda.tanda.tracks.filter((track) => !track.missing).map((track) => track.id);
+  if (!present.length) return alert('Every track of this tanda is missing; delete it instead.');
+  await updateSavedTanda({ trackIds: present });
+}
+
+async function deleteSavedTanda() {
+  if (!window.confirm(`Delete saved tanda "${openTanda.name}"?`)) return;
+  await api(`/api/tanda-library/${encodeURIComponent(openTanda.id)}`, { method: 'DELETE' });
+  closeSavedTanda();
+  await loadTandaLibrary();
+}
+
+async function insertSavedTanda() {
+  state.playlist = await api(`/api/playlists/${state.playlist.id}/insert-tanda`, {
+    method: 'POST',
+    body: JSON.stringify({ savedTandaId: openTanda.id, position: Number(el('savedTandaPosition').value) })
+  });
+  closeSavedTanda();
+  renderPlaylist();
+}
+
+el('savedTandaForm').addEventListener('submit', (event) => saveSavedTanda(event).catch((error) => alert(error.message)));
+el('closeSavedTandaModal').addEventListener('click', closeSavedTanda);
+el('removeMissingTracks').addEventListener('click', () => removeMissingTracks().catch((error) => alert(error.message)));
+el('deleteSavedTanda').addEventListener('click', () => deleteSavedTanda().catch((error) => alert(error.message)));
+el('insertSavedTanda').addEventListener('click', () => insertSavedTanda().catch((error) => alert(error.message)));
+savedTandaModal.addEventListener('click', (event) => {
+  if (event.target === savedTandaModal) closeSavedTanda();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !savedTandaModal.classList.contains('hidden')) closeSavedTanda();
+});
+
+const trackEditModal = el('trackEditModal');
+let editingTrack = null;
+
+function openTrackEditor(track) {
+  editingTrack = track;
+  el('trackEditLabel').textContent = trackLabel(track);
+  el('trackEditStyle').value = track.style || 'tango';
+  el('trackEditOrchestra').value = track.orchestra || '';
+  el('trackEditSinger').value = track.singer || '';
+  el('trackEditYear').value = track.year || '';
+  el('trackEditDoNotPlay').checked = Boolean(track.doNotPlay);
+  el('trackEditOverridden').textContent = track.overridden?.length ? `Edited before: ${track.overridden.join(', ')}` : '';
+  trackEditModal.classList.remove('hidden');
+}
+
+function closeTrackEditor() {
+  trackEditModal.classList.add('hidden');
+  editingTrack = null;
+}
+
+// Saves the override, then refreshes the copies of the track held by the open playlist.
+async function saveTrackEdit(event) {
+  event.preventDefault();
+  if (!editingTrack) return;
+  const updated = await api(`/api/library/tracks/${encodeURIComponent(editingTrack.id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({
+      style: el('trackEditStyle').value,
+      orchestra: el('trackEditOrchestra').value,
+      singer: el('trackEditSinger').value,
+      year: el('trackEditYear').value,
+      doNotPlay: el('trackEditDoNotPlay').checked
+    })
+  });
+  closeTrackEditor();
+
+  if (state.playlist) {
+    const refresh = (track) => (track?.id === updated.id ? { ...track, ...updated } : track);
+    state.playlist = await api(`/api/playlists/${state.playlist.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        tandas: state.playlist.tandas.map((tanda) => ({ ...tanda, tracks: tanda.tracks.map(refresh) })),
+        cortinas: state.playlist.cortinas.map(refresh)
+      })
+    });
+    renderPlaylist();
+  }
+  await refreshLibrary();
+}
+
+el('trackEditForm').addEventListener('submit', (event) => saveTrackEdit(event).catch((error) => alert(error.message)));
+el('closeTrackEditModal').addEventListener('click', closeTrackEditor);
+trackEditModal.addEventListener('click', (event) => {
+  if (event.target === trackEditModal) closeTrackEditor();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !trackEditModal.classList.contains('hidden')) closeTrackEditor();
+});
+
+const reloadLibraryBrowser = debounce(() => loadLibraryBrowser().catch((error) => console.error(error)));
+['librarySearch', 'libraryOrchestra', 'libraryMinYear', 'libraryMaxYear', 'libraryMinBpm', 'libraryMaxBpm', 'libraryMinEnergy', 'libraryMaxEnergy']
+  .forEach((id) => el(id).addEventListener('input', reloadLibraryBrowser));
+['libraryStyle', 'librarySort'].forEach((id) => el(id).addEventListener('change', reloadLibraryBrowser));
+
+const reloadTrackPicker = debounce(() => loadTrackPicker().catch((error) => console.error(error)));
+el('pickerSearch').addEventListener('input', reloadTrackPicker);
+el('pickerOrchestra').addEventListener('input', reloadTrackPicker);
+el('closeTrackPickerModal').addEventListener('click', closeTrackPicker);
+el('trackPickerModal').addEventListener('click', (event) => {
+  if (event.target === el('trackPickerModal')) closeTrackPicker();
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && state.picker) closeTrackPicker();
+});
+
 el('scanLibrary').addEventListener('click', async () => {
   try {
-    const root = el('musicRoot').value.trim();
-    state.library = await api('/api/library/scan', {
+    const root = el('musicRoot').value;
+    const job = await api('/api/library/scan', {
       method: 'POST',
-      body: JSON.stringify({ root })
+      body: JSON.stringify({ root, analyze: el('analyzeAudio').checked })
     });
-    renderLibraryStatus();
+    watchScan(job);
   } catch (error) {
     alert(error.message);
   }
@@ -250,7 +1304,14 @@ el('createPlaylist').addEventListener('click', async () => {
       method: 'POST',
       body: JSON.stringify({
         name: el('playlistName').value.trim(),
-        prompt: el('playlistPrompt').value.trim()
+        prompt: el('playlistPrompt').value.trim(),
+        structureId: el('structureSelect').value,
+        targetDuration: el('targetDuration').value.trim(),
+        startTime: el('startTime').value,
+        cortinaTheme: el('cortinaThemeSelect').value,
+        preferSavedTandas: el('preferSavedTandas').checked,
+        venue: currentVenue(),
+        ...(el('avoidRecentEvents').value !== '' ? { avoidRecentEvents: Number(el('avoidRecentEvents').value) } : {})
       })
     });
     state.playlist = playlist;
@@ -261,13 +1322,37 @@ el('createPlaylist').addEventListener('click', async () => {
   }
 });
 
+el('importPlaylist').addEventListener('click', async () => {
+  const file = el('importFile').files[0];
+  if (!file) return alert('Choose an M3U, M3U8 or CSV file first');
+  try {
+    state.playlist = await api('/api/playlists/import', {
+      method: 'POST',
+      body: JSON.stringify({ name: el('playlistName').value.trim(), filename: file.name, content: await file.text() })
+    });
+    el('importFile').value = '';
+    renderPlaylist();
+    await loadPlaylists();
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
 el('loadPlaylist').addEventListener('click', async () => {
   const id = el('playlistSelect').value;
   if (id) await loadPlaylistById(id);
 });
 
 el('refreshTandaLibrary').addEventListener('click', loadTandaLibrary);
+el('tandaLibrarySearch').addEventListener('input', debounce(() => loadTandaLibrary().catch((error) => console.error(error))));
+el('tandaLibraryTag').addEventListener('change', loadTandaLibrary);
+el('refreshCortinaLibrary').addEventListener('click', loadCortinaLibrary);
+
+async function resumeScanStatus() {
+  const job = await api('/api/library/scan').catch(() => null);
+  if (job && ['walking', 'scanning', 'analyzing'].includes(job.status)) watchScan(job);
+}
 
-Promise.all([refreshLibrary(), loadPlaylists(), loadTandaLibrary()]).catch((error) => {
+Promise.all([refreshLibrary(), loadMusicRoots(), loadPlaylists(), loadTandaLibrary(), loadStructures(), loadCortinaLibrary(), resumeScanStatus()]).catch((error) => {
   console.error(error);
 });
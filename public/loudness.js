@@ -0,0 +1,111 @@
+// Loudness normalisation: each audio element plays through a Web Audio gain node set from the
+// track's stored loudness (analysed LUFS, else its ReplayGain tags, else catalog energy). Uses el() from app.js.
+const LOUDNESS_KEY = 'tango-dj-loudness';
+// ReplayGain 2.0 gains are relative to this level.
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+// Quiet transfers are lifted at most this much; their hiss comes up with them.
+const MAX_BOOST_DB = 12;
+
+const loudness = {
+  settings: { mode: 'track', targetLufs: -18 },
+  context: null,
+  nodes: new WeakMap()
+};
+
+// { lufs, peak } of a track, or null when no analysis, ReplayGain tag or catalog energy measured it.
+// Catalog energy is loudness in dB on the same scale, so it stands in until the file is analysed.
+function trackLoudness(track) {
+  if (!track) return null;
+  const tags = track.replayGain || {};
+  const peak = tags.trackPeak ?? track.analysis?.peak ?? null;
+  if (Number.isFinite(track.loudness)) return { lufs: track.loudness, peak };
+  if (Number.isFinite(tags.trackGain)) return { lufs: REPLAYGAIN_REFERENCE_LUFS - tags.trackGain, peak };
+  if (Number.isFinite(tags.albumGain)) return { lufs: REPLAYGAIN_REFERENCE_LUFS - tags.albumGain, peak: tags.albumPeak ?? peak };
+  if (Number.isFinite(track.energy)) return { lufs: track.energy, peak };
+  return null;
+}
+
+// Normalisation has nothing to go by for this track, so it plays as recorded.
+function isUnmeasured(track) {
+  return Boolean(track) && !trackLoudness(track);
+}
+
+// The loudest a track can be played: boost is capped, and never pushes its peak past full scale.
+function loudestLevel(measured) {
+  const headroom = measured.peak > 0 ? -20 * Math.log10(measured.peak) : MAX_BOOST_DB;
+  return measured.lufs + Math.min(MAX_BOOST_DB, headroom);
+}
+
+/**
+ * Gain in dB for `track`. 'track' mode brings every track to the target on its own. 'tanda' mode
+ * plays all of `tandaTracks` at one common level, the target unless one of them cannot be lifted
+ * that far, so nothing jumps between tracks; unmeasured tracks get the tanda's average gain.
+ */
+function playbackGainDb(track, tandaTracks = []) {
+  const { mode, targetLufs } = loudness.settings;
+  if (mode === 'off') return 0;
+  const measured = trackLoudness(track);
+  if (mode !== 'tanda' || !tandaTracks.length) {
+    return measured ? Math.min(targetLufs, loudestLevel(measured)) - measured.lufs : 0;
+  }
+  const levels = tandaTracks.filter(Boolean).map(trackLoudness).filter(Boolean);
+  if (!levels.length) return 0;
+  const level = Math.min(targetLufs, ...levels.map(loudestLevel));
+  if (measured) return level - measured.lufs;
+  return levels.reduce((sum, entry) => sum + level - entry.lufs, 0) / levels.length;
+}
+
+// Routes an audio element through its own gain node; once routed it always plays through Web Audio.
+function gainNodeFor(audio) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  loudness.context = loudness.context || new AudioContextClass();
+  if (!loudness.nodes.has(audio)) {
+    const gain = loudness.context.createGain();
+    loudness.context.createMediaElementSource(audio).connect(gain).connect(loudness.context.destination);
+    loudness.nodes.set(audio, gain);
+  }
+  // Browsers start the context suspended until a click; every call comes from one.
+  if (loudness.context.state === 'suspended') loudness.context.resume().catch(() => {});
+  return loudness.nodes.get(audio);
+}
+
+// Sets the gain for `track` on `audio` and returns it in dB. Fades keep using audio.volume on top.
+function applyPlaybackGain(audio, track, tandaTracks) {
+  const gainDb = playbackGainDb(track, tandaTracks);
+  if (loudness.settings.mode === 'off' && !loudness.nodes.has(audio)) return 0;
+  const node = gainNodeFor(audio);
+  if (node) node.gain.value = 10 ** (gainDb / 20);
+  return node ? gainDb : 0;
+}
+
+// " (+2.5 dB)" beside the playing track; " (unmeasured)" when normalisation had no level for it.
+function formatGain(gainDb, track) {
+  const notes = [];
+  if (Math.abs(gainDb) >= 0.05) notes.push(`${gainDb > 0 ? '+' : '−'}${Math.abs(gainDb).toFixed(1)} dB`);
+  if (loudness.settings.mode !== 'off' && isUnmeasured(track)) notes.push('unmeasured');
+  return notes.length ? ` (${notes.join(', ')})` : '';
+}
+
+function saveLoudnessSettings() {
+  const mode = el('loudnessMode').value;
+  const target = Number(el('loudnessTarget').value);
+  loudness.settings = {
+    mode: ['off', 'track', 'tanda'].includes(mode) ? mode : 'track',
+    targetLufs: Number.isFinite(target) ? Math.min(-6, Math.max(-30, target)) : loudness.settings.targetLufs
+  };
+  el('loudnessTarget').value = loudness.settings.targetLufs;
+  el('loudnessTarget').disabled = loudness.settings.mode === 'off';
+  localStorage.setItem(LOUDNESS_KEY, JSON.stringify(loudness.settings));
+}
+
+try {
+  loudness.settings = { ...loudness.settings, ...JSON.parse(localStorage.getItem(LOUDNESS_KEY) || '{}') };
+} catch {
+  localStorage.removeItem(LOUDNESS_KEY);
+}
+el('loudnessMode').value = loudness.settings.mode;
+el('loudnessTarget').value = loudness.settings.targetLufs;
+el('loudnessTarget').disabled = loudness.settings.mode === 'off';
+el('loudnessMode').addEventListener('change', saveLoudnessSettings);
+el('loudnessTarget').addEventListener('change', saveLoudnessSettings);
@@ -0,0 +1,373 @@
+// Live performance mode: plays the loaded playlist as a queue of tanda tracks and cortinas.
+// Uses the helpers from app.js (api, el, trackLabel, orchestra names) and its own two audio decks.
+const LIVE_SAVE_INTERVAL_MS = 5000;
+const LIVE_PLAYLIST_KEY = 'tango-dj-live-playlist';
+// A track goes into the play log once this much of it has been heard (or when it ends sooner).
+const PLAYED_AFTER_SECONDS = 30;
+
+const live = {
+  playlistId: null,
+  queue: [],
+  index: 0,
+  settings: { gapSeconds: 2, crossfadeSeconds: 0 },
+  extensions: {},
+  playLogEventId: null,
+  held: false,
+  waiting: false,
+  running: false,
+  decks: [new Audio(), new Audio()],
+  deck: 0,
+  gapTimer: null,
+  fadeTimer: null,
+  lastSavedAt: 0
+};
+
+function buildLiveQueue(playlist, extensions = {}) {
+  const queue = [];
+  playlist.tandas.forEach((tanda, tandaIndex) => {
+    const planned = (tanda.tracks || []).filter(Boolean);
+    [...planned, ...(extensions[tandaIndex] || [])].forEach((track, trackIndex) => {
+      queue.push({ part: 'track', tandaIndex, trackIndex, track, extended: trackIndex >= planned.length });
+    });
+    const cortina = playlist.cortinas?.[tandaIndex];
+    if (cortina && tandaIndex < playlist.tandas.length - 1) queue.push({ part: 'cortina', tandaIndex, trackIndex: 0, track: cortina });
+  });
+  return queue;
+}
+
+function findQueueIndex(position) {
+  if (!position) return 0;
+  const exact = live.queue.findIndex((item) => item.tandaIndex === position.tandaIndex
+    && item.part === position.part
+    && item.trackIndex === position.trackIndex);
+  if (exact !== -1) return exact;
+  const sameTanda = live.queue.findIndex((item) => item.tandaIndex === position.tandaIndex);
+  return sameTanda === -1 ? 0 : sameTanda;
+}
+
+// The tanda as performed, extensions included, so matched levels cover every track heard.
+function liveTandaTracks(tandaIndex) {
+  return live.queue.filter((item) => item.part === 'track' && item.tandaIndex === tandaIndex).map((item) => item.track);
+}
+
+function itemStart(item) {
+  return item.part === 'cortina' ? item.track.startOffset || 0 : 0;
+}
+
+function itemEnd(item, audio) {
+  if (item.part === 'cortina' && item.track.playLength) return itemStart(item) + item.track.playLength;
+  return Number.isFinite(audio.duration) ? audio.duration : Infinity;
+}
+
+function liveDescribe(item) {
+  if (!item) return 'End of playlist';
+  if (item.part === 'cortina') return `Cortina: ${trackLabel(item.track)}`;
+  const tanda = state.playlist?.tandas?.[item.tandaIndex];
+  const size = (tanda?.tracks || []).filter(Boolean).length + (live.extensions[item.tandaIndex] || []).length;
+  return `Tanda ${item.tandaIndex + 1} · ${item.trackIndex + 1}/${size}${item.extended ? ' (extended)' : ''}: ${trackLabel(item.track)}`;
+}
+
+function livePosition() {
+  const item = live.queue[live.index];
+  const audio = live.decks[live.deck];
+  return {
+    tandaIndex: item?.tandaIndex ?? 0,
+    part: item?.part || 'track',
+    trackIndex: item?.trackIndex ?? 0,
+    currentTime: item && live.running && !live.waiting ? Math.max(0, audio.currentTime - itemStart(item)) : 0
+  };
+}
+
+async function saveLive() {
+  if (!live.playlistId) return;
+  live.lastSavedAt = Date.now();
+  await api(`/api/playlists/${live.playlistId}/performance`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      position: livePosition(),
+      held: live.held,
+      settings: live.settings,
+      extensions: live.extensions,
+      playLogEventId: live.playLogEventId
+    })
+  }).catch((error) => console.error(error));
+}
+
+async function logLivePlay(item) {
+  if (item.part !== 'track' || item.logged) return;
+  item.logged = true;
+  const event = await api(`/api/playlists/${live.playlistId}/plays`, {
+    method: 'POST',
+    body: JSON.stringify({ eventId: live.playLogEventId, venue: currentVenue(), trackId: item.track.id, tandaIndex: item.tandaIndex })
+  }).catch((error) => {
+    item.logged = false;
+    console.error(error);
+    return null;
+  });
+  if (event && event.id !== live.playLogEventId) {
+    live.playLogEventId = event.id;
+    saveLive();
+  }
+}
+
+function renderLive() {
+  const current = live.queue[live.index];
+  el('liveStart').textContent = live.running ? 'Restart from top' : live.playlistId && live.playlistId === state.playlist?.id ? 'Resume performance' : 'Start performance';
+  el('liveStop').disabled = !live.running;
+  el('liveSkip').disabled = !live.running;
+  el('liveHold').disabled = !live.running;
+  el('liveHold').textContent = live.waiting ? 'Continue' : live.held ? 'Release hold' : 'Hold';
+  el('liveExtend').disabled = !live.running || current?.part !== 'track';
+  el('liveGap').value = live.settings.gapSeconds;
+  el('liveCrossfade').value = live.settings.crossfadeSeconds;
+
+  el('liveNowPlaying').textContent = live.running
+    ? `${live.waiting ? (live.held ? 'Held after' : 'Gap after') : 'Now playing'}: ${liveDescribe(current)}${formatGain(current?.gainDb || 0, current?.track)}`
+    : 'Performance stopped.';
+  el('liveUpNext').textContent = live.running ? `Up next: ${liveDescribe(live.queue[live.index + 1])}` : '';
+
+  document.querySelectorAll('#playlist > .tanda').forEach((tandaDiv, tandaIndex) => {
+    tandaDiv.classList.toggle('live-current', live.running && current?.tandaIndex === tandaIndex);
+  });
+}
+
+function clearLiveTimers() {
+  clearTimeout(live.gapTimer);
+  clearInterval(live.fadeTimer);
+  live.gapTimer = null;
+  live.fadeTimer = null;
+}
+
+function silenceDeck(audio) {
+  audio.ontimeupdate = null;
+  audio.onended = null;
+  audio.onerror = null;
+  audio.pause();
+}
+
+function fadeOutDeck(audio, seconds) {
+  const steps = Math.max(1, Math.round(seconds * 10));
+  const startVolume = audio.volume;
+  let step = 0;
+  audio.ontimeupdate = null;
+  audio.onended = null;
+  clearInterval(live.fadeTimer);
+  live.fadeTimer = setInterval(() => {
+    step += 1;
+    audio.volume = Math.max(0, startVolume * (1 - step / steps));
+    if (step >= steps) {
+      clearInterval(live.fadeTimer);
+      live.fadeTimer = null;
+      silenceDeck(audio);
+    }
+  }, 100);
+}
+
+// Crossfades only touch cortinas; tracks inside a tanda are separated by the gap.
+function crossfadesInto(item, next) {
+  return live.settings.crossfadeSeconds > 0 && next && (item.part === 'cortina' || next.part === 'cortina');
+}
+
+function onLiveTime(audio, item, fadeIn) {
+  if (audio !== live.decks[live.deck]) return;
+  const elapsed = audio.currentTime - itemStart(item);
+  const remaining = itemEnd(item, audio) - audio.currentTime;
+  let volume = 1;
+  if (fadeIn && elapsed < fadeIn) volume = Math.max(0, elapsed / fadeIn);
+  const fade = item.part === 'cortina' ? item.track.fadeOut || 0 : 0;
+  if (fade && remaining < fade) volume = Math.min(volume, Math.max(0, remaining / fade));
+  audio.volume = volume;
+
+  if (elapsed >= PLAYED_AFTER_SECONDS) logLivePlay(item);
+
+  const progress = el('liveProgress');
+  progress.max = Number.isFinite(itemEnd(item, audio)) ? itemEnd(item, audio) - itemStart(item) : 1;
+  progress.value = Math.max(0, elapsed);
+
+  const next = live.queue[live.index + 1];
+  if (crossfadesInto(item, next) && remaining <= live.settings.crossfadeSeconds && !live.held) {
+    fadeOutDeck(audio, Math.max(0.1, remaining));
+    playLiveItem(live.index + 1, { fadeIn: live.settings.crossfadeSeconds });
+    return;
+  }
+  if (remaining <= 0) {
+    finishLiveItem(audio);
+    return;
+  }
+  if (Date.now() - live.lastSavedAt > LIVE_SAVE_INTERVAL_MS) saveLive();
+}
+
+function finishLiveItem(audio) {
+  if (audio !== live.decks[live.deck] || live.waiting) return;
+  silenceDeck(audio);
+  live.waiting = true;
+  if (!audio.error) logLivePlay(live.queue[live.index]);
+  if (live.index + 1 >= live.queue.length) {
+    stopLive();
+    el('liveNowPlaying').textContent = 'Performance finished.';
+    return;
+  }
+  if (!live.held) {
+    const next = live.queue[live.index + 1];
+    const gap = crossfadesInto(live.queue[live.index], next) ? 0 : live.settings.gapSeconds;
+    live.gapTimer = setTimeout(() => playLiveItem(live.index + 1), gap * 1000);
+  }
+  renderLive();
+  saveLive();
+}
+
+function playLiveItem(index, options = {}) {
+  const item = live.queue[index];
+  if (!item) {
+    stopLive();
+    return;
+  }
+  clearTimeout(live.gapTimer);
+  live.gapTimer = null;
+  live.index = index;
+  live.waiting = false;
+  live.running = true;
+  live.deck = 1 - live.deck;
+
+  const audio = live.decks[live.deck];
+  const start = itemStart(item) + (options.resumeTime || 0);
+  audio.src = audioUrl(item.track);
+  audio.volume = options.fadeIn ? 0 : 1;
+  item.gainDb = applyPlaybackGain(audio, item.track, item.part === 'track' ? liveTandaTracks(item.tandaIndex) : []);
+  audio.onloadedmetadata = () => { if (start) audio.currentTime = start; };
+  audio.ontimeupdate = () => onLiveTime(audio, item, options.fadeIn);
+  audio.onended = () => finishLiveItem(audio);
+  audio.onerror = () => {
+    console.error(`Could not play ${item.track.id}; skipping`);
+    finishLiveItem(audio);
+  };
+  audio.play().catch((error) => console.error(error));
+
+  el('audioPlayer').pause();
+  renderLive();
+  saveLive();
+}
+
+async function startLive() {
+  if (!state.playlist) {
+    alert('Load or create a playlist first.');
+    return;
+  }
+  clearLiveTimers();
+  live.decks.forEach(silenceDeck);
+
+  let resumeTime = 0;
+  let position = null;
+  if (live.running && live.playlistId === state.playlist.id) {
+    await api(`/api/playlists/${state.playlist.id}/performance`, { method: 'DELETE' }).catch(() => {});
+    live.extensions = {};
+    live.held = false;
+  } else {
+    const saved = await api(`/api/playlists/${state.playlist.id}/performance`);
+    live.extensions = saved.extensions || {};
+    live.held = Boolean(saved.held);
+    live.playLogEventId = saved.resumed ? saved.playLogEventId || null : null;
+    live.settings = { ...live.settings, ...saved.settings };
+    if (saved.resumed) {
+      position = saved.position;
+      resumeTime = saved.position.currentTime || 0;
+    }
+  }
+
+  live.playlistId = state.playlist.id;
+  localStorage.setItem(LIVE_PLAYLIST_KEY, live.playlistId);
+  live.queue = buildLiveQueue(state.playlist, live.extensions);
+  playLiveItem(findQueueIndex(position), { resumeTime });
+}
+
+function stopLive() {
+  saveLive();
+  clearLiveTimers();
+  live.decks.forEach(silenceDeck);
+  live.running = false;
+  live.waiting = false;
+  renderLive();
+}
+
+function skipLive() {
+  if (!live.running) return;
+  clearLiveTimers();
+  live.decks.forEach(silenceDeck);
+  if (live.index + 1 >= live.queue.length) {
+    stopLive();
+    return;
+  }
+  playLiveItem(live.index + 1);
+}
+
+function toggleHold() {
+  if (!live.running) return;
+  if (live.waiting) {
+    live.held = false;
+    playLiveItem(live.index + 1);
+    return;
+  }
+  live.held = !live.held;
+  renderLive();
+  saveLive();
+}
+
+// Adds one more track by the current orchestra to the playing tanda, for this performance only.
+async function extendLiveTanda() {
+  const item = live.queue[live.index];
+  if (!live.running || item?.part !== 'track') return;
+  const tanda = state.playlist.tandas[item.tandaIndex];
+  const orchestra = item.track.orchestra || item.track.artist;
+  const used = new Set(live.queue.map((entry) => entry.track.id));
+  const query = new URLSearchParams({ orchestra, style: tanda.type, playable: 'true' });
+  const { tracks } = await api(`/api/library?${query}`);
+  const extra = tracks.find((track) => !used.has(track.id));
+  if (!extra) {
+    alert(`No unused ${tanda.type} tracks by ${orchestra} left.`);
+    return;
+  }
+  live.extensions[item.tandaIndex] = [...(live.extensions[item.tandaIndex] || []), extra];
+  live.queue = buildLiveQueue(state.playlist, live.extensions);
+  renderLive();
+  saveLive();
+}
+
+// Keeps the queue in step with edits made to the playlist while it is being performed.
+function syncLiveQueue() {
+  if (!live.running || live.playlistId !== state.playlist?.id) {
+    renderLive();
+    return;
+  }
+  const current = live.queue[live.index];
+  live.queue = buildLiveQueue(state.playlist, live.extensions);
+  live.index = findQueueIndex(current);
+  renderLive();
+}
+
+function updateLiveSetting(key, input) {
+  const value = Number(input.value);
+  if (!Number.isFinite(value) || value < 0) return;
+  live.settings[key] = Math.min(value, 30);
+  if (live.playlistId) saveLive();
+}
+
+el('liveStart').addEventListener('click', () => startLive().catch((error) => alert(error.message)));
+el('liveStop').addEventListener('click', stopLive);
+el('liveSkip').addEventListener('click', skipLive);
+el('liveHold').addEventListener('click', toggleHold);
+el('liveExtend').addEventListener('click', () => extendLiveTanda().catch((error) => alert(error.message)));
+el('liveGap').addEventListener('change', (event) => updateLiveSetting('gapSeconds', event.target));
+el('liveCrossfade').addEventListener('change', (event) => updateLiveSetting('crossfadeSeconds', event.target));
+window.addEventListener('beforeunload', () => { if (live.running) saveLive(); });
+
+// After a reload, reopen the playlist that was being performed so it can be resumed.
+const lastLivePlaylist = localStorage.getItem(LIVE_PLAYLIST_KEY);
+if (lastLivePlaylist) {
+  live.playlistId = lastLivePlaylist;
+  loadPlaylistById(lastLivePlaylist).catch(() => {
+    localStorage.removeItem(LIVE_PLAYLIST_KEY);
+    live.playlistId = null;
+    renderLive();
+  });
+}
+renderLive();
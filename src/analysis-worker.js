@@ -0,0 +1,12 @@
+// Runs in a worker thread (see analysisWorker in analysis.js): decoding a whole file would
+// otherwise hold the server's event loop for seconds at a time.
+const { parentPort } = require('worker_threads');
+const { decodeAndAnalyze } = require('./analysis');
+
+parentPort.on('message', async ({ id, file }) => {
+  try {
+    parentPort.postMessage({ id, result: await decodeAndAnalyze(file) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { readJson, writeJson } = require('./json-store');
+
+// Bump when the measurements change, so cached results are computed again.
+const ANALYSIS_VERSION = 2;
+// Formats the bundled WASM decoders read; other files are skipped, not failed.
+const ANALYZABLE_EXTENSIONS = new Set(['.mp3', '.flac', '.wav', '.ogg']);
+// Below this level a 10 ms frame counts as silence. Old transfers hiss at around -55 dBFS.
+const SILENCE_DBFS = -50;
+const SILENCE_FRAME_SECONDS = 0.01;
+const ONSET_HOP_SECONDS = 0.005;
+const MIN_BPM = 50;
+const MAX_BPM = 220;
+// Tempo candidates are weighted towards this, an octave either side, so half and double tempos lose.
+const PRIOR_BPM = 120;
+// How far the chosen lag must stand above the average correlation to count as a pulse.
+const PULSE_CLARITY = 1.3;
+// Onset correlation below this is numeric noise from a steady signal, not rhythm.
+const MIN_ONSET_POWER = 1e-6;
+// Decoded audio takes several times the file's size in memory; larger files are not analysed.
+const MAX_ANALYSIS_BYTES = 200 * 1024 * 1024;
+const WORKER_FILE = path.join(__dirname, 'analysis-worker.js');
+
+let decoderPromise = null;
+let worker = null;
+let nextJobId = 0;
+const workerJobs = new Map();
+
+// audio-decode is an ES module; it is loaded on first use so the server starts without it.
+function loadDecoder() {
+  decoderPromise = decoderPromise || import('audio-decode').then((module) => module.default);
+  return decoderPromise;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Biquad coefficients of the BS.1770 K-weighting (high shelf, then high pass) for any sample rate.
+function kWeightingStages(sampleRate) {
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+    };
+  })();
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  })();
+  return [shelf, highPass];
+}
+
+// Sum of squared K-weighted samples per 100 ms segment of one channel.
+function weightedSegmentPower(samples, sampleRate, segmentLength) {
+  const stages = kWeightingStages(sampleRate);
+  const state = stages.map(() => [0, 0, 0, 0]);
+  const segments = new Float64Array(Math.floor(samples.length / segmentLength));
+  for (let i = 0; i < segments.length * segmentLength; i += 1) {
+    let value = samples[i];
+    stages.forEach(({ b, a }, index) => {
+      const s = state[index];
+      const out = b[0] * value + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+      s[1] = s[0];
+      s[0] = value;
+      s[3] = s[2];
+      s[2] = out;
+      value = out;
+    });
+    segments[Math.floor(i / segmentLength)] += value * value;
+  }
+  return segments;
+}
+
+/**
+ * Integrated loudness in LUFS (ITU-R BS.1770-4): 400 ms blocks every 100 ms, an absolute
+ * gate at -70 LUFS and a relative gate 10 LU below the level of the blocks that pass it.
+ * Returns null for a file too short or too quiet to measure.
+ */
+function integratedLoudness(channels, sampleRate) {
+  const segmentLength = Math.round(sampleRate * 0.1);
+  const perChannel = channels.slice(0, 2).map((samples) => weightedSegmentPower(samples, sampleRate, segmentLength));
+  const blocks = [];
+  for (let start = 0; start + 4 <= perChannel[0].length; start += 1) {
+    let power = 0;
+    perChannel.forEach((segments) => {
+      power += (segments[start] + segments[start + 1] + segments[start + 2] + segments[start + 3]) / (4 * segmentLength);
+    });
+    blocks.push(power);
+  }
+  const loudness = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const absolute = blocks.filter((power) => power > 0 && loudness(power) > -70);
+  if (!absolute.length) return null;
+  const threshold = loudness(mean(absolute)) - 10;
+  const relative = absolute.filter((power) => loudness(power) > threshold);
+  return round(loudness(mean(relative)), 1);
+}
+
+function mixDown(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach((samples) => {
+    for (let i = 0; i < mono.length; i += 1) mono[i] += samples[i] / channels.length;
+  });
+  return mono;
+}
+
+// Highest absolute sample over all channels (0..1), so playback gain can stay clear of clipping.
+function samplePeak(channels) {
+  let peak = 0;
+  channels.forEach((samples) => {
+    for (let i = 0; i < samples.length; i += 1) peak = Math.max(peak, Math.abs(samples[i]));
+  });
+  return round(Math.min(peak, 1), 4);
+}
+
+// Seconds of near-silence before the first and after the last audible 10 ms frame.
+function silenceBounds(mono, sampleRate) {
+  const frame = Math.max(1, Math.round(sampleRate * SILENCE_FRAME_SECONDS));
+  const threshold = (10 ** (SILENCE_DBFS / 20)) ** 2;
+  const frames = Math.floor(mono.length / frame);
+  const audible = (index) => {
+    let sum = 0;
+    for (let i = index * frame; i < (index + 1) * frame; i += 1) sum += mono[i] * mono[i];
+    return sum / frame > threshold;
+  };
+  let first = 0;
+  while (first < frames && !audible(first)) first += 1;
+  if (first === frames) return { leadingSilence: round(mono.length / sampleRate, 2), trailingSilence: 0 };
+  let last = frames - 1;
+  while (last > first && !audible(last)) last -= 1;
+  return {
+    leadingSilence: round((first * frame) / sampleRate, 2),
+    trailingSilence: round((mono.length - (last + 1) * frame) / sampleRate, 2)
+  };
+}
+
+// Rises in log energy every `hop` samples, with the local average removed: peaks where notes start.
+function onsetEnvelope(mono, hop) {
+  const frames = Math.floor(mono.length / hop);
+  const energy = new Float64Array(frames);
+  for (let f = 0; f < frames; f += 1) {
+    let sum = 0;
+    for (let i = f * hop; i < (f + 1) * hop; i += 1) sum += mono[i] * mono[i];
+    energy[f] = Math.log(1e-10 + sum);
+  }
+  const onset = new Float64Array(frames);
+  for (let f = 1; f < frames; f += 1) onset[f] = Math.max(0, energy[f] - energy[f - 1]);
+  const window = Math.round(1 / ONSET_HOP_SECONDS);
+  let running = 0;
+  const centred = new Float64Array(frames);
+  for (let f = 0; f < frames; f += 1) {
+    running += onset[f] - (f >= window ? onset[f - window] : 0);
+    centred[f] = Math.max(0, onset[f] - running / Math.min(f + 1, window));
+  }
+  return centred;
+}
+
+/**
+ * Tempo from the autocorrelation of the onset envelope, weighted towards PRIOR_BPM and refined
+ * between lags. Returns null when there is no clear pulse (e.g. a sustained tone or noise).
+ */
+function estimateBpm(mono, sampleRate) {
+  const hop = Math.max(1, Math.round(sampleRate * ONSET_HOP_SECONDS));
+  const hopSeconds = hop / sampleRate;
+  const onset = onsetEnvelope(mono, hop);
+  const minLag = Math.floor(60 / MAX_BPM / hopSeconds);
+  const maxLag = Math.ceil(60 / MIN_BPM / hopSeconds);
+  if (onset.length < maxLag * 4) return null;
+  const raw = new Float64Array(maxLag + 3);
+  for (let lag = minLag - 2; lag <= maxLag + 2; lag += 1) {
+    let sum = 0;
+    for (let i = 0; i + lag < onset.length; i += 1) sum += onset[i] * onset[i + lag];
+    raw[lag] = sum / (onset.length - lag);
+  }
+  // A beat period rarely falls on a whole number of hops, so each lag also counts its neighbours.
+  const correlation = (lag) => raw[lag - 1] + raw[lag] + raw[lag + 1];
+
+  let best = null;
+  let total = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    total += correlation(lag);
+    const weighted = correlation(lag) * Math.exp(-0.5 * Math.log2(60 / (lag * hopSeconds) / PRIOR_BPM) ** 2);
+    if (!best || weighted > best.weighted) best = { lag, weighted };
+  }
+  const average = total / (maxLag - minLag + 1);
+  if (average < MIN_ONSET_POWER || correlation(best.lag) < average * PULSE_CLARITY) return null;
+  // A pulse train correlates as well at twice its period; keep the faster tempo when it is as strong.
+  const half = Math.round(best.lag / 2);
+  const chosen = half >= minLag && correlation(half) >= correlation(best.lag) * 0.9 ? half : best.lag;
+  const lag = [chosen - 1, chosen, chosen + 1].reduce((peak, candidate) => (raw[candidate] > raw[peak] ? candidate : peak));
+
+  const [left, centre, right] = [raw[lag - 1], raw[lag], raw[lag + 1]];
+  const curve = left - 2 * centre + right;
+  const shift = curve ? Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / curve)) : 0;
+  return round(60 / ((lag + shift) * hopSeconds), 1);
+}
+
+// All measurements for decoded audio: `channels` are Float32Arrays of samples between -1 and 1.
+function analyzeSamples(channels, sampleRate) {
+  const mono = mixDown(channels);
+  return {
+    version: ANALYSIS_VERSION,
+    bpm: estimateBpm(mono, sampleRate),
+    loudness: integratedLoudness(channels, sampleRate),
+    peak: samplePeak(channels),
+    ...silenceBounds(mono, sampleRate),
+    duration: round(mono.length / sampleRate, 2)
+  };
+}
+
+function canAnalyze(file) {
+  return ANALYZABLE_EXTENSIONS.has(path.extname(file || '').toLowerCase());
+}
+
+/**
+ * Results keyed by a SHA-1 of the file contents, so a renamed, moved or copied file is not
+ * decoded again. `get`/`set` work in memory; `save` writes the cache file.
+ */
+async function openAnalysisCache(file) {
+  const stored = await readJson(file, { version: ANALYSIS_VERSION, entries: {} });
+  const entries = stored.version === ANALYSIS_VERSION ? stored.entries : {};
+  return {
+    get: (hash) => entries[hash] || null,
+    set: (hash, result) => { entries[hash] = result; },
+    save: () => writeJson(file, { version: ANALYSIS_VERSION, entries })
+  };
+}
+
+// Decodes and measures one file; runs inside the analysis worker.
+async function decodeAndAnalyze(file) {
+  const decode = await loadDecoder();
+  const audio = await decode(await fsp.readFile(file));
+  const channels = Array.from({ length: audio.numberOfChannels }, (_value, index) => audio.getChannelData(index));
+  return analyzeSamples(channels, audio.sampleRate);
+}
+
+function settleWorkerJobs(error) {
+  workerJobs.forEach((job) => job.reject(error));
+  workerJobs.clear();
+  worker = null;
+}
+
+// One worker thread decodes files one message at a time, so a scan never stalls HTTP requests.
+// It holds the process open only while it has work.
+function analysisWorker() {
+  if (worker) return worker;
+  worker = new Worker(WORKER_FILE);
+  worker.on('message', ({ id, result, error }) => {
+    const job = workerJobs.get(id);
+    workerJobs.delete(id);
+    if (!workerJobs.size) worker?.unref();
+    if (error) job?.reject(new Error(error));
+    else job?.resolve(result);
+  });
+  worker.on('error', settleWorkerJobs);
+  worker.on('exit', (code) => settleWorkerJobs(new Error(`Analysis worker stopped (exit code ${code})`)));
+  return worker;
+}
+
+function analyzeInWorker(file) {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId;
+    nextJobId += 1;
+    workerJobs.set(id, { resolve, reject });
+    const thread = analysisWorker();
+    thread.ref();
+    thread.postMessage({ id, file });
+  });
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Hashes and (unless cached) decodes one file in the analysis worker. Returns { hash, result, cached }.
+async function analyzeFile(file, cache) {
+  const { size } = await fsp.stat(file);
+  if (size > MAX_ANALYSIS_BYTES) throw new Error(`File is larger than ${MAX_ANALYSIS_BYTES / 1024 / 1024} MB`);
+  const hash = await hashFile(file);
+  const cached = cache.get(hash);
+  if (cached) return { hash, result: cached, cached: true };
+  const result = await analyzeInWorker(file);
+  cache.set(hash, result);
+  return { hash, result, cached: false };
+}
+
+function sameValue(a, b) {
+  return a === b || (a === null && b === undefined) || (a === undefined && b === null);
+}
+
+/**
+ * Stores a result on the track. Tagged BPM and catalog energy win over the estimates; a value
+ * that came from an earlier analysis is replaced. Energy takes the loudness in LUFS, the same
+ * dB scale as the catalog's Energy.
+ */
+function applyAnalysis(track, hash, result) {
+  const previous = track.analysis || {};
+  const own = (field, analysed) => track[field] !== null && track[field] !== undefined && !sameValue(track[field], analysed);
+  return {
+    ...track,
+    bpm: own('bpm', previous.bpm) ? track.bpm : result.bpm,
+    energy: own('energy', previous.loudness) ? track.energy : result.loudness,
+    loudness: result.loudness,
+    leadingSilence: result.leadingSilence,
+    trailingSilence: result.trailingSilence,
+    analysis: { ...result, hash, fileSize: track.fileSize, fileMtimeMs: track.fileMtimeMs, analyzedAt: new Date().toISOString() }
+  };
+}
+
+// A track needs analysis when it never had one, its file changed since, or the measurements changed.
+function needsAnalysis(track) {
+  if (!track.sourcePath || !canAnalyze(track.sourcePath)) return false;
+  const { analysis } = track;
+  return !analysis
+    || analysis.version !== ANALYSIS_VERSION
+    || analysis.fileSize !== track.fileSize
+    || analysis.fileMtimeMs !== track.fileMtimeMs;
+}
+
+module.exports = {
+  ANALYSIS_VERSION,
+  analyzeSamples,
+  canAnalyze,
+  openAnalysisCache,
+  decodeAndAnalyze,
+  analyzeFile,
+  applyAnalysis,
+  needsAnalysis
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const { readJson } = require('./json-store');
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.aiff': 'audio/aiff'
+};
+// Audio files do not change under the same size and mtime, so browsers may keep them this long.
+const MAX_AGE_SECONDS = 3600;
+// MP3 plays in every browser; VBR quality 2 is transparent for old transfers and remasters alike.
+const TRANSCODE_FORMAT = { extension: '.mp3', contentType: 'audio/mpeg', args: ['-codec:a', 'libmp3lame', '-q:a', '2'] };
+
+function contentTypeOf(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Track ID to source path, kept in memory and rebuilt only when the library file changes on disk,
+ * so playback does not parse library.json on every request. `get(id)` returns the track or null.
+ */
+function createTrackIndex(libraryFile) {
+  let loadedMtimeMs = null;
+  let loading = null;
+  let tracks = new Map();
+
+  async function refresh() {
+    const stat = await fsp.stat(libraryFile).catch(() => null);
+    const mtimeMs = stat ? stat.mtimeMs : 0;
+    if (mtimeMs === loadedMtimeMs) return;
+    const library = await readJson(libraryFile, { tracks: [] });
+    tracks = new Map(library.tracks.filter((track) => track.sourcePath).map((track) => [track.id, { id: track.id, sourcePath: track.sourcePath }]));
+    loadedMtimeMs = mtimeMs;
+  }
+
+  async function get(id) {
+    loading = loading || refresh().finally(() => { loading = null; });
+    await loading;
+    return tracks.get(id) || null;
+  }
+
+  return { get };
+}
+
+// Runs `command` with `args`; resolves with the exit code, or rejects when it cannot start at all.
+// `onStart(child)` may take the child's stdout before it starts flowing.
+function run(command, args, onStart) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', onStart ? 'pipe' : 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr = `${stderr}${chunk}`.slice(-2000); });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stderr }));
+    if (onStart) onStart(child);
+  });
+}
+
+function ffmpegArgs(source, output) {
+  return ['-v', 'error', '-y', '-i', source, '-vn', ...TRANSCODE_FORMAT.args, ...output];
+}
+
+/**
+ * Converts files to MP3 with ffmpeg (or whatever `command` names) into `cacheDir`, keyed by path,
+ * size and modification time. `transcode(file, stat)` resolves with { file, contentType }, or null
+ * when no transcoder is installed or it fails, so callers can serve the original instead. With
+ * `{ stream: true }` a file not converted yet comes back as { stream, contentType } while ffmpeg
+ * writes it, so playback starts at once; the cache file is still written alongside. Once the cache
+ * holds more than `maxBytes`, the copies served longest ago are deleted.
+ */
+function createTranscoder({ command, cacheDir, maxBytes = 0 }) {
+  const pending = new Map();
+  let available = command ? null : false;
+  let trimming = Promise.resolve();
+
+  function failed(source, error) {
+    if (error.code === 'ENOENT') {
+      available = false;
+      console.warn(`No audio transcoder found (${command}); serving original files`);
+    } else {
+      console.warn(`Could not transcode ${source}: ${error.message}`);
+    }
+    return null;
+  }
+
+  async function convert(source, target) {
+    const partial = `${target}.${process.pid}.part${TRANSCODE_FORMAT.extension}`;
+    await fsp.mkdir(cacheDir, { recursive: true });
+    try {
+      const { code, stderr } = await run(command, ffmpegArgs(source, [partial]));
+      if (code !== 0) throw new Error(stderr.trim() || `exit code ${code}`);
+      await fsp.rename(partial, target);
+      return { file: target, contentType: TRANSCODE_FORMAT.contentType };
+    } catch (error) {
+      await fsp.rm(partial, { force: true });
+      return failed(source, error);
+    }
+  }
+
+  // ffmpeg writes to stdout, which feeds both the cache file and `stream`. Resolves with { stream, done }
+  // once the first bytes are out, or with the finished result when ffmpeg is done (or failed) before that.
+  async function convertStreaming(source, target) {
+    const partial = `${target}.${process.pid}.part${TRANSCODE_FORMAT.extension}`;
+    await fsp.mkdir(cacheDir, { recursive: true });
+    // Errors reach the response through sendAudioStream; until it listens they must not go unhandled.
+    const stream = new PassThrough().on('error', () => {});
+    const file = fs.createWriteStream(partial);
+    const written = new Promise((resolve, reject) => file.on('finish', resolve).on('error', reject));
+    const exited = run(command, ffmpegArgs(source, ['-f', 'mp3', 'pipe:1']), (child) => {
+      child.stdout.pipe(file);
+      child.stdout.pipe(stream);
+    });
+    const done = Promise.all([exited, written]).then(async ([{ code, stderr }]) => {
+      if (code !== 0) throw new Error(stderr.trim() || `exit code ${code}`);
+      await fsp.rename(partial, target);
+      return { file: target, contentType: TRANSCODE_FORMAT.contentType };
+    }).catch(async (error) => {
+      // A broken conversion must not end the response as if it were the whole file.
+      stream.destroy(error);
+      file.destroy();
+      await fsp.rm(partial, { force: true });
+      return failed(source, error);
+    });
+    // 'readable' also fires at the end of an empty output, so only bytes waiting to be read count.
+    const firstBytes = new Promise((resolve) => {
+      const check = () => {
+        if (!stream.readableLength) return;
+        stream.off('readable', check);
+        resolve(true);
+      };
+      stream.on('readable', check);
+    });
+    const started = await Promise.race([firstBytes, done.then(() => false)]);
+    if (started && !stream.destroyed) return { stream, done };
+    stream.destroy();
+    return done;
+  }
+
+  // Least recently served first; the newest copy always stays, however large.
+  async function trim() {
+    const names = (await fsp.readdir(cacheDir).catch(() => [])).filter((name) => name.endsWith(TRANSCODE_FORMAT.extension) && !name.includes('.part'));
+    const files = (await Promise.all(names.map(async (name) => {
+      const file = path.join(cacheDir, name);
+      const stat = await fsp.stat(file).catch(() => null);
+      return stat && { file, size: stat.size, servedMs: stat.atimeMs };
+    }))).filter(Boolean).sort((a, b) => a.servedMs - b.servedMs);
+    let total = files.reduce((sum, entry) => sum + entry.size, 0);
+    while (total > maxBytes && files.length > 1) {
+      const oldest = files.shift();
+      await fsp.rm(oldest.file, { force: true });
+      total -= oldest.size;
+    }
+  }
+
+  // Requests for the same file while it converts wait for the one conversion.
+  function settle(target, conversion) {
+    pending.set(target, conversion.then((result) => {
+      if (result) {
+        available = true;
+        if (maxBytes) trimming = trimming.then(trim).catch((error) => console.warn(`Could not trim the audio cache: ${error.message}`));
+      }
+      return result;
+    }).finally(() => pending.delete(target)));
+    return pending.get(target);
+  }
+
+  async function transcode(source, stat, options = {}) {
+    if (available === false) return null;
+    const key = crypto.createHash('sha1').update(`${source}|${stat.size}|${stat.mtimeMs}`).digest('hex');
+    const target = path.join(cacheDir, `${key}${TRANSCODE_FORMAT.extension}`);
+    const cached = await fsp.stat(target).catch(() => null);
+    if (cached) {
+      // The access time orders eviction; the modification time stays, as the ETag is made from it.
+      fsp.utimes(target, new Date(), cached.mtime).catch(() => {});
+      return { file: target, contentType: TRANSCODE_FORMAT.contentType };
+    }
+    if (pending.has(target)) return pending.get(target);
+    if (!options.stream) return settle(target, convert(source, target));
+    const started = convertStreaming(source, target);
+    settle(target, started.then((result) => (result?.stream ? result.done : result)));
+    const result = await started;
+    return result?.stream ? { stream: result.stream, contentType: TRANSCODE_FORMAT.contentType } : result;
+  }
+
+  return { transcode };
+}
+
+// Sends a transcode while ffmpeg writes it. Its length is not known yet, so there are no ranges, and
+// the browser keeps no copy: its next request gets the finished file with ranges and validators.
+function sendAudioStream(res, stream, contentType) {
+  res.status(200).set({ 'Content-Type': contentType, 'Cache-Control': 'no-store', 'Accept-Ranges': 'none' });
+  stream.on('error', (error) => res.destroy(error));
+  // A listener that leaves must not stall the conversion, which still fills the cache.
+  res.on('close', () => {
+    stream.unpipe(res);
+    stream.resume();
+  });
+  stream.pipe(res);
+}
+
+/**
+ * Serves an audio file with byte ranges (for seeking and cortina trim points), ETag and
+ * Last-Modified validators and a Cache-Control lifetime. Answers 206, 304 or 416 where due.
+ */
+async function sendAudioFile(req, res, file, contentType = contentTypeOf(file)) {
+  const stat = await fsp.stat(file);
+  const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+    'Cache-Control': `private, max-age=${MAX_AGE_SECONDS}`,
+    'Last-Modified': stat.mtime.toUTCString(),
+    ETag: etag
+  });
+  if (req.fresh) return res.status(304).end();
+
+  let start = 0;
+  let end = stat.size - 1;
+  const ifRange = req.get('If-Range');
+  const rangeApplies = req.get('Range') && (!ifRange || ifRange === etag || ifRange === stat.mtime.toUTCString());
+  if (rangeApplies) {
+    const ranges = req.range(stat.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).end();
+    }
+    // A malformed header is ignored, as is a request for several ranges; both get the whole file.
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+  }
+  res.set('Content-Length', String(stat.size ? end - start + 1 : 0));
+  if (req.method === 'HEAD' || !stat.size) return res.end();
+
+  const stream = fs.createReadStream(file, { start, end });
+  stream.on('error', (error) => {
+    console.warn(`Could not stream ${file}: ${error.message}`);
+    res.destroy(error);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+module.exports = { createTrackIndex, createTranscoder, sendAudioFile, sendAudioStream };
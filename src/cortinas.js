@@ -0,0 +1,80 @@
+const { createRng, shuffleWith } = require('./random');
+const { toNumberOrNull, trackSeconds } = require('./tracks');
+
+const DEFAULT_CORTINA_SECONDS = 45;
+const DEFAULT_CORTINA_FADE_SECONDS = 5;
+const DEFAULT_CORTINA_THEME = 'General';
+
+/**
+ * Combines a cortina library entry with its library track. The result is still a track
+ * (so playlists, the timeline and the player can treat it like one) plus its trim points.
+ */
+function hydrateCortina(entry, track) {
+  if (!track) return null;
+  const duration = toNumberOrNull(track.duration);
+  const startOffset = Math.max(0, toNumberOrNull(entry.startOffset) || 0);
+  let playLength = toNumberOrNull(entry.playLength) || DEFAULT_CORTINA_SECONDS;
+  if (duration) playLength = Math.max(1, Math.min(playLength, duration - startOffset));
+  return {
+    ...track,
+    cortinaId: entry.id || null,
+    theme: entry.theme || DEFAULT_CORTINA_THEME,
+    startOffset,
+    playLength,
+    fadeOut: Math.max(0, toNumberOrNull(entry.fadeOut) ?? DEFAULT_CORTINA_FADE_SECONDS)
+  };
+}
+
+// Library tracks tagged as cortinas, used while the cortina library is still empty.
+function autoCortinaEntries(library) {
+  return (library.tracks || [])
+    .filter((track) => track.style === 'cortina')
+    .map((track) => ({ id: null, trackId: track.id, theme: track.album || DEFAULT_CORTINA_THEME }));
+}
+
+function cortinaPlaySeconds(cortina, fallbackSeconds = DEFAULT_CORTINA_SECONDS) {
+  if (!cortina) return 0;
+  return toNumberOrNull(cortina.playLength) || Math.min(trackSeconds(cortina), fallbackSeconds);
+}
+
+function cortinaThemes(pool) {
+  const counts = new Map();
+  pool.forEach((cortina) => counts.set(cortina.theme, (counts.get(cortina.theme) || 0) + 1));
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Picks one cortina per slot from a single theme. Without a requested theme the largest
+ * theme is used. A theme smaller than the set is cycled, because repeating a cortina is
+ * normal; never playing a dance track as a cortina is the point.
+ */
+function pickCortinas(pool, count, options = {}) {
+  const rng = options.rng || createRng(options.seed);
+  const theme = options.theme || cortinaThemes(pool)[0]?.name;
+  const themed = pool.filter((cortina) => cortina.theme === theme);
+  const source = shuffleWith(rng, themed.length ? themed : pool);
+  if (!source.length) return { theme: null, cortinas: Array.from({ length: count }, () => null) };
+  return { theme, cortinas: Array.from({ length: count }, (_, idx) => source[idx % source.length]) };
+}
+
+// One replacement cortina, preferring the playlist theme and cortinas not yet used.
+function planCortina(pool, options = {}) {
+  const rng = createRng(options.seed);
+  const excludeIds = options.excludeIds || new Set();
+  const themed = pool.filter((cortina) => !options.theme || cortina.theme === options.theme);
+  const candidates = shuffleWith(rng, themed.length ? themed : pool)
+    .filter((cortina) => cortina.id !== options.currentId);
+  return candidates.find((cortina) => !excludeIds.has(cortina.id)) || candidates[0] || null;
+}
+
+module.exports = {
+  DEFAULT_CORTINA_SECONDS,
+  hydrateCortina,
+  autoCortinaEntries,
+  cortinaPlaySeconds,
+  cortinaThemes,
+  pickCortinas,
+  planCortina
+};
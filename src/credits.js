@@ -0,0 +1,142 @@
+const { toNumberOrNull, foldText } = require('./tracks');
+
+// Recordings are only trusted as such inside the recorded-tango era; later years are usually reissues.
+const RECORDING_YEARS = '19[0-7]\\d';
+const SINGER_WORDS = '(?:canta|cantor|cantora|vocal|voc\\.|estribillo|estr\\.|con|singer)';
+const SINGER_IN_BRACKETS = new RegExp(`[([]\\s*${SINGER_WORDS}(?::\\s*|\\s+)([^)\\]]+?)\\s*[)\\]]`, 'i');
+const SINGER_AFTER_DASH = new RegExp(`\\s[-–]\\s*${SINGER_WORDS}:?\\s+(.+)$`, 'i');
+// "Recuerdo canta Alberto Podestá" without brackets or a dash; titles such as "Cuando canta la lluvia" need a known singer to follow.
+const SINGER_WITHOUT_MARKS = /\s(?:canta|cantor|cantora|estribillo):?\s+([^([]+?)\s*(?:[([].*)?$/i;
+const INSTRUMENTAL = /\binstrumental\b/i;
+const SINGER_WITH_ORCHESTRA = /^(.+?)\s+con\s+(?:la\s+)?orquesta\s+(?:t[ií]pica\s+)?(?:de\s+)?(.+)$/i;
+// "con", "canta" and "voc." always introduce a singer. "&", "/" and ";" also join duos and
+// band names ("Shirley & Lee", "AC/DC"), so they only count when a known singer follows.
+const ORCHESTRA_WITH_SINGER = /^(.+?)\s+(?:con|canta|voc\.?|vocal|feat\.?|ft\.?):?\s+(.+)$/i;
+const JOINED_CREDIT = /^(.+?)\s*(?:\s&\s|[/;])\s*(.+)$/;
+// "Juan D'Arienzo, Héctor Maure": a comma only credits a singer after a known orchestra leader.
+const COMMA_CREDIT = /^(.+?)\s*,\s*(.+)$/;
+// What follows a leader's name: "y su orquesta típica", "& Su Orquesta", "Y Su" (cut-off tags), "y sus muchachos", "O.T."
+const ORCHESTRA_WORDS = /\s+(?:y|&)\s+sus?\b(?:\s+(?:gran\s+)?(?:orquesta|orq\.)(?:\s+t[ií]pica)?(?:\s+sinf[oó]nica)?|\s+muchachos|\s+cuarteto(?:\s+[^,;/&(]+?)?(?=\s+con\s|\s*[,;/&(]|$))?|\s+o\.\s?t\.|\s+orquesta\s+t[ií]pica$/gi;
+const ISO_DATE = new RegExp(`\\b(${RECORDING_YEARS})-(\\d{2})(?:-(\\d{2}))?\\b`);
+const DAY_FIRST_DATE = new RegExp(`\\b(\\d{1,2})[/.](\\d{1,2})[/.](${RECORDING_YEARS})\\b`);
+const YEAR_IN_BRACKETS = new RegExp(`[([]\\s*(${RECORDING_YEARS})\\s*[)\\]]`);
+const RECORDED_YEAR = new RegExp(`\\b(?:rec(?:orded)?|grab(?:ado|aci[oó]n)?)\\.?:?\\s*(${RECORDING_YEARS})\\b`, 'i');
+
+// Singers whose name may follow "&", "/" or ";" in an orchestra credit, or a bare "canta" in a title.
+const KNOWN_SINGERS = [
+  'Alberto Amor', 'Alberto Castillo', 'Alberto Echagüe', 'Alberto Marino', 'Alberto Morán', 'Alberto Podestá',
+  'Alberto Reynal', 'Amadeo Mandarino', 'Angel Vargas', 'Armando Moreno', 'Carlos Dante', 'Carlos Roldán',
+  'Edmundo Rivero', 'Enrique Campos', 'Ernesto Famá', 'Floreal Ruiz', 'Francisco Fiorentino', 'Héctor Mauré',
+  'Horacio Lagos', 'Jorge Durán', 'Jorge Ortiz', 'Jorge Vidal', 'Juan Carlos Cobos', 'Juan Carlos Miranda',
+  'Julio Martel', 'Mario Pomar', 'Mercedes Simone', 'Oscar Larroca', 'Oscar Serpa', 'Raúl Berón',
+  'Roberto Chanel', 'Roberto Flores', 'Roberto Ray', 'Roberto Rufino', 'Rodolfo Lesica'
+];
+// Leaders whose name may stand before a comma and a singer; the end of the name is enough ("Aníbal Troilo", "A. Troilo").
+const KNOWN_ORCHESTRAS = [
+  "D'Agostino", "D'Arienzo", 'Biagi', 'Caló', 'Canaro', 'De Angelis', 'De Caro', 'Demare', 'Di Sarli', 'Donato',
+  'Domingo Federico', 'Enrique Rodríguez', 'Firpo', 'Fresedo', 'Laurenz', 'Lomuto', 'Malerba', 'Pugliese',
+  'Rodio', 'Sassone', 'Tanturi', 'Troilo', 'Zerrillo'
+];
+
+// "Héctor Maure", "Hector Mauré" and "HECTOR MAURE" all read as one name.
+function compactName(name) {
+  return foldText(name).replace(/[^a-z0-9]/g, '');
+}
+
+const KNOWN_SINGER_KEYS = new Set(KNOWN_SINGERS.map(compactName));
+
+function isKnownSinger(name) {
+  return KNOWN_SINGER_KEYS.has(compactName(name));
+}
+
+// A lone surname is left alone: "Pugliese, Osvaldo" is a name written last-name first.
+function isKnownOrchestra(name) {
+  const key = compactName(name);
+  return /\S\s+\S/.test(name.trim()) && KNOWN_ORCHESTRAS.some((orchestra) => key.endsWith(compactName(orchestra)));
+}
+
+function cleanName(name) {
+  return `${name || ''}`.replace(ORCHESTRA_WORDS, '').replace(/\s+/g, ' ').replace(/^[\s,;]+|[\s,;]+$/g, '').trim();
+}
+
+function commentText(comment) {
+  const items = Array.isArray(comment) ? comment : [comment];
+  return items.map((item) => (typeof item === 'string' ? item : item?.text || '')).join(' ');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Finds a recording date in free text: "1941-05-12", "12/05/1941", "(1941)" or "grabado 1941".
+function parseRecordingDate(text) {
+  const iso = text.match(ISO_DATE);
+  if (iso) return iso[3] ? `${iso[1]}-${iso[2]}-${iso[3]}` : `${iso[1]}-${iso[2]}`;
+  const dayFirst = text.match(DAY_FIRST_DATE);
+  if (dayFirst) return `${dayFirst[3]}-${pad(dayFirst[2])}-${pad(dayFirst[1])}`;
+  const year = text.match(YEAR_IN_BRACKETS) || text.match(RECORDED_YEAR);
+  return year ? year[1] : null;
+}
+
+// The orchestra's own words are dropped first, so "& Su Orquesta Típica" is never read as a duo.
+function parseArtistCredit(artist) {
+  const bracketed = `${artist || ''}`.match(SINGER_IN_BRACKETS);
+  if (bracketed) return { singer: cleanName(bracketed[1]), orchestra: cleanName(`${artist}`.replace(bracketed[0], '')) };
+  const text = cleanName(artist);
+  const singerFirst = text.match(SINGER_WITH_ORCHESTRA);
+  if (singerFirst) return { singer: cleanName(singerFirst[1]), orchestra: cleanName(singerFirst[2]) };
+  const credit = text.match(ORCHESTRA_WITH_SINGER);
+  if (credit) return { singer: cleanName(credit[2]), orchestra: cleanName(credit[1]) };
+  const joined = text.match(JOINED_CREDIT);
+  if (joined && isKnownSinger(joined[2])) return { singer: cleanName(joined[2]), orchestra: cleanName(joined[1]) };
+  const comma = text.match(COMMA_CREDIT);
+  if (comma && isKnownOrchestra(comma[1])) return { singer: cleanName(comma[2]), orchestra: cleanName(comma[1]) };
+  return { singer: null, orchestra: null };
+}
+
+/**
+ * Reads singer and recording date from what a tag or catalog entry offers: the title
+ * ("Al compás del corazón (canta Alberto Podestá)"), the artist credit
+ * ("Rodolfo Biagi con Jorge Ortiz", "Enrique Campos con la Orquesta de Ricardo Tanturi"),
+ * the comment and any original-date tags. Only fields that were found are returned.
+ */
+function parseCredits({ title, artist, comment, dates = [] }) {
+  const credits = {};
+  const titleText = `${title || ''}`;
+  const notes = commentText(comment);
+
+  const unmarked = titleText.match(SINGER_WITHOUT_MARKS);
+  const titleSinger = titleText.match(SINGER_IN_BRACKETS) || titleText.match(SINGER_AFTER_DASH)
+    || (unmarked && isKnownSinger(unmarked[1]) ? unmarked : null);
+  const artistCredit = parseArtistCredit(artist);
+  if (titleSinger) credits.singer = cleanName(titleSinger[1]);
+  else if (artistCredit.singer) credits.singer = artistCredit.singer;
+  if (artistCredit.orchestra) credits.orchestra = artistCredit.orchestra;
+  if (credits.singer && INSTRUMENTAL.test(credits.singer)) delete credits.singer;
+  if (!credits.singer && (INSTRUMENTAL.test(titleText) || INSTRUMENTAL.test(notes) || INSTRUMENTAL.test(artist || ''))) credits.instrumental = true;
+
+  const tagged = dates.map((value) => `${value ?? ''}`).find((value) => new RegExp(`^${RECORDING_YEARS}`).test(value));
+  const recordingDate = tagged ? tagged.slice(0, 10) : parseRecordingDate(`${titleText} ${notes}`);
+  if (recordingDate) {
+    credits.recordingDate = recordingDate;
+    credits.recordingYear = toNumberOrNull(recordingDate.slice(0, 4));
+  }
+  return credits;
+}
+
+// Adds parsed credits to a library track; a recording year replaces the (often reissue) tag year.
+function withCredits(track, extra = {}) {
+  const credits = parseCredits({ title: track.title, artist: track.artist, ...extra });
+  const updated = { ...track };
+  if (credits.singer) updated.singer = credits.singer;
+  if (credits.instrumental) updated.instrumental = true;
+  if (!updated.orchestra && credits.orchestra) updated.orchestra = credits.orchestra;
+  if (credits.recordingYear) {
+    if (toNumberOrNull(track.year) !== credits.recordingYear) updated.releaseYear = toNumberOrNull(track.year);
+    updated.year = credits.recordingYear;
+    updated.recordingDate = credits.recordingDate;
+  }
+  return updated;
+}
+
+module.exports = { parseCredits, withCredits };
@@ -0,0 +1,186 @@
+const { orchestraOf, trackSeconds, toNumberOrNull } = require('./tracks');
+const { cortinaPlaySeconds } = require('./cortinas');
+
+const EXPORT_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', render: toM3u8 },
+  pls: { contentType: 'audio/x-scpls; charset=utf-8', render: toPls },
+  csv: { contentType: 'text/csv; charset=utf-8', render: toCsv },
+  txt: { contentType: 'text/plain; charset=utf-8', render: toText },
+  html: { contentType: 'text/html; charset=utf-8', render: toHtml, inline: true }
+};
+const CSV_COLUMNS = ['position', 'tanda', 'type', 'role', 'start', 'title', 'artist', 'orchestra', 'singer', 'year', 'seconds', 'bpm', 'path'];
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const rest = `${String(Math.floor((total % 3600) / 60)).padStart(hours ? 2 : 1, '0')}:${String(total % 60).padStart(2, '0')}`;
+  return hours ? `${hours}:${rest}` : rest;
+}
+
+// Wall-clock time when the set has a start time, else the offset into the set.
+function startLabel(timeline, offset) {
+  const [hours, minutes] = `${timeline.startTime || ''}`.split(':').map(Number);
+  if (!timeline.startTime) return `+${formatDuration(offset)}`;
+  const clock = Math.floor((hours * 3600 + minutes * 60 + offset) / 60) % (24 * 60);
+  return `${String(Math.floor(clock / 60)).padStart(2, '0')}:${String(clock % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Flattens a playlist into play order: each tanda's tracks followed by its cortina.
+ * Every item carries its start offset from the timeline and, for cortinas, the trimmed length.
+ */
+function playOrder(playlist, timeline) {
+  const items = [];
+  playlist.tandas.forEach((tanda, tandaIndex) => {
+    const slot = timeline.tandas[tandaIndex];
+    let offset = slot?.startOffsetSeconds || 0;
+    tanda.tracks.filter(Boolean).forEach((track) => {
+      items.push({ tandaIndex, type: tanda.type, role: 'track', track, offset, seconds: trackSeconds(track) });
+      offset += trackSeconds(track);
+    });
+    const cortina = (playlist.cortinas || [])[tandaIndex];
+    if (cortina) {
+      const seconds = cortinaPlaySeconds(cortina, timeline.cortinaSeconds);
+      items.push({ tandaIndex, type: 'cortina', role: 'cortina', track: cortina, offset: slot?.cortinaOffsetSeconds ?? offset, seconds });
+    }
+  });
+  return items;
+}
+
+// M3U is read line by line, so a line break in a name would start a line of its own.
+function oneLine(text) {
+  return `${text ?? ''}`.replace(/[\r\n]+/g, ' ');
+}
+
+function itemTitle(item) {
+  return oneLine(`${item.track.artist || orchestraOf(item.track)} - ${item.track.title}`);
+}
+
+// VLC reads the EXTVLCOPT lines, so trimmed cortinas start and stop where the library says.
+function toM3u8(playlist, items) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(playlist.name)}`];
+  items.forEach((item, index) => {
+    if (item.role === 'track' && (index === 0 || items[index - 1].tandaIndex !== item.tandaIndex)) {
+      lines.push(`#EXTGRP:Tanda ${item.tandaIndex + 1} ${item.type}`);
+    }
+    lines.push(`#EXTINF:${Math.round(item.seconds)},${itemTitle(item)}`);
+    if (item.role === 'cortina') {
+      const start = toNumberOrNull(item.track.startOffset) || 0;
+      if (start) lines.push(`#EXTVLCOPT:start-time=${start}`);
+      lines.push(`#EXTVLCOPT:stop-time=${Math.round((start + item.seconds) * 10) / 10}`);
+    }
+    lines.push(item.track.sourcePath);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function toPls(_playlist, items) {
+  const lines = ['[playlist]'];
+  items.forEach((item, index) => {
+    lines.push(`File${index + 1}=${item.track.sourcePath}`, `Title${index + 1}=${itemTitle(item)}`, `Length${index + 1}=${Math.round(item.seconds)}`);
+  });
+  lines.push(`NumberOfEntries=${items.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : `${value}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(_playlist, items, timeline) {
+  const rows = items.map((item, index) => [
+    index + 1,
+    item.tandaIndex + 1,
+    item.type,
+    item.role,
+    startLabel(timeline, item.offset),
+    item.track.title,
+    item.track.artist,
+    orchestraOf(item.track),
+    item.track.singer || '',
+    item.track.year,
+    Math.round(item.seconds),
+    item.track.bpm ? Math.round(item.track.bpm) : '',
+    item.track.sourcePath
+  ]);
+  return `${[CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function tandaHeading(playlist, timeline, tandaIndex) {
+  const tanda = playlist.tandas[tandaIndex];
+  const slot = timeline.tandas[tandaIndex];
+  const first = tanda.tracks.find(Boolean);
+  const time = slot?.startClock ? `${slot.startClock}–${slot.cortinaClock}` : `+${formatDuration(slot?.startOffsetSeconds || 0)}`;
+  return { time, label: `Tanda ${tandaIndex + 1} · ${tanda.type}${first ? ` · ${orchestraOf(first)}` : ''}` };
+}
+
+function toText(playlist, items, timeline) {
+  const lines = [playlist.name];
+  if (timeline.startTime) lines.push(`${timeline.startTime} – ${timeline.endClock}`);
+  lines.push(`Length ${formatDuration(timeline.totalSeconds)}`, '');
+  playlist.tandas.forEach((_tanda, tandaIndex) => {
+    const heading = tandaHeading(playlist, timeline, tandaIndex);
+    lines.push(`${heading.time}  ${heading.label}`);
+    items.filter((item) => item.tandaIndex === tandaIndex).forEach((item) => {
+      const prefix = item.role === 'cortina' ? '  cortina: ' : '  ';
+      lines.push(`${prefix}${item.track.title} (${[item.track.singer, item.track.year].filter(Boolean).join(', ') || orchestraOf(item.track)})`);
+    });
+    lines.push('');
+  });
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function escapeHtml(value) {
+  return `${value ?? ''}`.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function toHtml(playlist, items, timeline) {
+  const sections = playlist.tandas.map((_tanda, tandaIndex) => {
+    const heading = tandaHeading(playlist, timeline, tandaIndex);
+    const rows = items.filter((item) => item.tandaIndex === tandaIndex).map((item) => `
+      <tr class="${item.role}"><td>${escapeHtml(startLabel(timeline, item.offset))}</td><td>${escapeHtml(item.role === 'cortina' ? `Cortina: ${item.track.title}` : item.track.title)}</td><td>${escapeHtml(item.track.singer || (item.track.instrumental ? 'instrumental' : ''))}</td><td>${escapeHtml(item.track.year || '')}</td><td>${formatDuration(item.seconds)}</td></tr>`).join('');
+    return `
+    <section>
+      <h2><span>${escapeHtml(heading.time)}</span> ${escapeHtml(heading.label)}</h2>
+      <table>${rows}
+      </table>
+    </section>`;
+  }).join('');
+  const span = timeline.startTime ? `${timeline.startTime} – ${timeline.endClock} · ` : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(playlist.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #000; margin: 1.5rem; }
+    h1 { margin: 0 0 .25rem; }
+    h2 { font-size: 1rem; margin: 1rem 0 .25rem; border-bottom: 1px solid #999; }
+    h2 span { display: inline-block; min-width: 7rem; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    td { padding: .1rem .4rem; vertical-align: top; }
+    td:first-child { width: 6.5rem; color: #555; }
+    tr.cortina { font-style: italic; color: #555; }
+    section { break-inside: avoid; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(playlist.name)}</h1>
+  <p>${escapeHtml(`${span}${formatDuration(timeline.totalSeconds)} · ${playlist.tandas.length} tandas`)}</p>${sections}
+</body>
+</html>
+`;
+}
+
+// Renders a playlist in one of EXPORT_FORMATS; returns null for an unknown format.
+function exportPlaylist(playlist, timeline, format) {
+  // Own keys only, so "constructor" or "toString" are unknown formats too.
+  const target = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!target) return null;
+  const items = playOrder(playlist, timeline);
+  return { contentType: target.contentType, inline: Boolean(target.inline), body: target.render(playlist, items, timeline) };
+}
+
+module.exports = { EXPORT_FORMATS, exportPlaylist };
@@ -0,0 +1,108 @@
+const { toNumberOrNull, orchestraOf } = require('./tracks');
+
+// A track this many years from the rest of its tanda sounds like another era.
+const ERA_OUTLIER_YEARS = 5;
+// Tempo off the tanda's middle by more than this share is felt on the floor.
+const TEMPO_OUTLIER_RATIO = 0.08;
+// Energy is loudness in dB; a track this far from its tanda stands out.
+const ENERGY_OUTLIER_DB = 6;
+// Between neighbouring tandas: an energy step this large, or this tempo change between tandas of one type.
+const ENERGY_JUMP_DB = 6;
+const TEMPO_JUMP_RATIO = 0.12;
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return value === null ? null : Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function valuesOf(tracks, field) {
+  return tracks.map((track) => toNumberOrNull(track[field])).filter((value) => value !== null);
+}
+
+// Tracks that sit away from the tanda's median year, tempo or energy; the median keeps one odd track from hiding.
+function tandaOutliers(tracks, tandaIndex) {
+  const middle = { year: median(valuesOf(tracks, 'year')), bpm: median(valuesOf(tracks, 'bpm')), energy: median(valuesOf(tracks, 'energy')) };
+  const outliers = [];
+  if (tracks.length < 2) return outliers;
+  tracks.forEach((track) => {
+    const year = toNumberOrNull(track.year);
+    const bpm = toNumberOrNull(track.bpm);
+    const energy = toNumberOrNull(track.energy);
+    const flag = (kind, message) => outliers.push({ kind, trackId: track.id, tandaIndex, message });
+    if (year !== null && Math.abs(year - middle.year) > ERA_OUTLIER_YEARS) {
+      flag('era', `"${track.title}" (${year}) is from another era than the rest of the tanda (${Math.round(middle.year)})`);
+    }
+    if (bpm !== null && Math.abs(bpm - middle.bpm) > middle.bpm * TEMPO_OUTLIER_RATIO) {
+      flag('tempo', `"${track.title}" at ${Math.round(bpm)} BPM breaks the tanda's tempo (${Math.round(middle.bpm)} BPM)`);
+    }
+    if (energy !== null && Math.abs(energy - middle.energy) > ENERGY_OUTLIER_DB) {
+      flag('energy', `"${track.title}" is ${energy > middle.energy ? 'much louder' : 'much quieter'} than the rest of the tanda`);
+    }
+  });
+  return outliers;
+}
+
+function summarizeTanda(tanda, index) {
+  const tracks = (tanda.tracks || []).filter(Boolean);
+  const years = valuesOf(tracks, 'year');
+  const orchestras = [...new Set(tracks.map(orchestraOf))];
+  return {
+    index,
+    id: tanda.id,
+    type: tanda.type,
+    orchestra: orchestras.length === 1 ? orchestras[0] : orchestras.length ? 'Mixed' : null,
+    trackCount: tracks.length,
+    bpm: round(average(valuesOf(tracks, 'bpm'))),
+    energy: round(average(valuesOf(tracks, 'energy'))),
+    year: round(average(years), 0),
+    years: years.length ? [Math.min(...years), Math.max(...years)] : null,
+    outliers: tandaOutliers(tracks, index)
+  };
+}
+
+function transitionBetween(from, to) {
+  const energyChange = from.energy !== null && to.energy !== null ? round(to.energy - from.energy) : null;
+  // Valses and milongas run faster than tangos by nature, so tempo is only compared within one type.
+  const bpmChange = from.type === to.type && from.bpm !== null && to.bpm !== null ? round(to.bpm - from.bpm) : null;
+  const jumps = [];
+  if (energyChange !== null && Math.abs(energyChange) > ENERGY_JUMP_DB) jumps.push('energy');
+  if (bpmChange !== null && Math.abs(bpmChange) > from.bpm * TEMPO_JUMP_RATIO) jumps.push('tempo');
+  return { fromIndex: from.index, toIndex: to.index, energyChange, bpmChange, jumps };
+}
+
+function rangeOf(values) {
+  const present = values.filter((value) => value !== null);
+  return present.length ? [Math.min(...present), Math.max(...present)] : null;
+}
+
+/**
+ * The shape of a set: average tempo, energy and recording year per tanda, the tracks that stand
+ * out inside their tanda, and the steps between neighbouring tandas. `ranges` give chart scales.
+ */
+function computeFlow(playlist) {
+  const tandas = (playlist.tandas || []).map(summarizeTanda);
+  const transitions = tandas.slice(1).map((tanda, index) => transitionBetween(tandas[index], tanda));
+  return {
+    tandas,
+    transitions,
+    outlierCount: tandas.reduce((sum, tanda) => sum + tanda.outliers.length, 0),
+    ranges: {
+      bpm: rangeOf(tandas.map((tanda) => tanda.bpm)),
+      energy: rangeOf(tandas.map((tanda) => tanda.energy)),
+      year: rangeOf(tandas.flatMap((tanda) => tanda.years || []))
+    }
+  };
+}
+
+module.exports = { computeFlow };
@@ -0,0 +1,338 @@
+const path = require('path');
+const { TANDA_TYPES, foldText, orchestraKey, toNumberOrNull } = require('./tracks');
+
+// Longer runs of one orchestra and style without a cortina are split into several tandas.
+const MAX_TANDA_SIZE = 5;
+const TITLE_MATCH = 0.8;
+const ARTIST_MATCH = 0.5;
+const PATH_COLUMNS = ['path', 'location', 'file', 'filename', 'sourcepath', 'filepath'];
+const TITLE_COLUMNS = ['title', 'name', 'track', 'song'];
+const ARTIST_COLUMNS = ['artist', 'orchestra', 'performer'];
+const DURATION_COLUMNS = ['seconds', 'duration', 'length', 'time'];
+
+function normalizeWords(text) {
+  return foldText(text)
+    .replace(/[([][^)\]]*[)\]]/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function wordSet(text) {
+  return new Set(normalizeWords(text).split(' ').filter(Boolean));
+}
+
+function setSimilarity(left, right) {
+  if (!left.size || !right.size) return 0;
+  const shared = [...left].filter((word) => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+function wordSimilarity(a, b) {
+  return setSimilarity(wordSet(a), wordSet(b));
+}
+
+function parseDuration(value) {
+  const text = `${value ?? ''}`.trim();
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  const seconds = toNumberOrNull(text);
+  return seconds !== null && seconds > 0 ? seconds : null;
+}
+
+function decodeLocation(location) {
+  let text = location.trim();
+  if (/^file:\/\//i.test(text)) {
+    try {
+      text = decodeURIComponent(new URL(text).pathname);
+    } catch (_error) {
+      text = text.replace(/^file:\/\//i, '');
+    }
+    if (/^\/[a-z]:\//i.test(text)) text = text.slice(1);
+  }
+  return text;
+}
+
+// "03 - Canaro - Poema.mp3" → { artist: 'Canaro', title: 'Poema' }
+function creditFromFilename(location) {
+  const base = path.basename(location.replace(/\\/g, '/'), path.extname(location)).replace(/^\d+\s*[-._)]?\s*/, '');
+  const parts = base.split(/\s+-\s+/);
+  return parts.length > 1 ? { artist: parts[0], title: parts.slice(1).join(' - ') } : { artist: '', title: base };
+}
+
+function parseM3u(text) {
+  const entries = [];
+  let info = null;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+    if (extinf) {
+      const [artist, ...title] = extinf[2].split(' - ');
+      info = title.length ? { artist: artist.trim(), title: title.join(' - ').trim() } : { artist: '', title: extinf[2].trim() };
+      info.duration = toNumberOrNull(extinf[1]) > 0 ? toNumberOrNull(extinf[1]) : null;
+      return;
+    }
+    if (line.startsWith('#')) return;
+    const location = decodeLocation(line);
+    entries.push({ line: index + 1, text: line, path: location, ...creditFromFilename(location), duration: null, ...info });
+    info = null;
+  });
+  return entries;
+}
+
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map((value) => value.trim());
+}
+
+function csvRows(text) {
+  // Quoted cells may span lines, so rows are joined until their quotes balance.
+  const rows = [];
+  let pending = null;
+  text.split(/\r?\n/).forEach((line, index) => {
+    const row = pending ? { line: pending.line, text: `${pending.text}\n${line}` } : { line: index + 1, text: line };
+    if ((row.text.match(/"/g) || []).length % 2) {
+      pending = row;
+      return;
+    }
+    pending = null;
+    if (row.text.trim()) rows.push(row);
+  });
+  return rows;
+}
+
+function parseCsv(text) {
+  const rows = csvRows(text);
+  if (!rows.length) return [];
+  const delimiter = [',', ';', '\t'].sort((a, b) => rows[0].text.split(b).length - rows[0].text.split(a).length)[0];
+  const header = splitCsvLine(rows[0].text, delimiter).map((name) => name.toLowerCase());
+  const column = (names) => header.findIndex((name) => names.includes(name));
+  const columns = {
+    path: column(PATH_COLUMNS),
+    title: column(TITLE_COLUMNS),
+    artist: column(ARTIST_COLUMNS),
+    duration: column(DURATION_COLUMNS),
+    role: column(['role', 'type', 'style'])
+  };
+  if (columns.path < 0 && columns.title < 0) return null;
+
+  return rows.slice(1).map((row) => {
+    const cells = splitCsvLine(row.text, delimiter);
+    const cell = (index) => (index >= 0 ? cells[index] || '' : '');
+    const location = cell(columns.path) ? decodeLocation(cell(columns.path)) : '';
+    const fromFile = location ? creditFromFilename(location) : { artist: '', title: '' };
+    return {
+      line: row.line,
+      text: row.text,
+      path: location,
+      title: cell(columns.title) || fromFile.title,
+      artist: cell(columns.artist) || fromFile.artist,
+      duration: parseDuration(cell(columns.duration)),
+      cortina: foldText(cell(columns.role)) === 'cortina'
+    };
+  });
+}
+
+/**
+ * Reads an M3U/M3U8 or CSV playlist into entries of { line, text, path, title, artist, duration }.
+ * CSV needs a header row with a path or title column. Returns null when the format is not recognised.
+ */
+function parsePlaylistFile(content, filename = '') {
+  const text = `${content || ''}`.replace(/^\uFEFF/, '');
+  const extension = path.extname(`${filename || ''}`).toLowerCase();
+  if (extension === '.csv') return parseCsv(text);
+  if (['.m3u', '.m3u8'].includes(extension) || /^#EXTM3U/i.test(text.trim())) return parseM3u(text);
+  const firstLine = text.trim().split(/\r?\n/)[0] || '';
+  if (/[,;\t]/.test(firstLine) && !/[\\/]/.test(firstLine)) return parseCsv(text);
+  return parseM3u(text);
+}
+
+function pathKeys(location, depth) {
+  const parts = foldText(location.replace(/\\/g, '/')).split('/').filter(Boolean);
+  return parts.length >= depth ? parts.slice(-depth).join('/') : null;
+}
+
+// Other machines mount the music elsewhere, so paths also match on their last folders and file name.
+function buildPathIndex(tracks) {
+  const exact = new Map();
+  const suffixes = [3, 2, 1].map(() => new Map());
+  tracks.forEach((track) => {
+    if (!track.sourcePath) return;
+    exact.set(track.sourcePath, track);
+    [3, 2, 1].forEach((depth, index) => {
+      const key = pathKeys(track.sourcePath, depth);
+      if (!key) return;
+      suffixes[index].set(key, suffixes[index].has(key) ? null : track);
+    });
+  });
+  return (location) => {
+    if (!location) return null;
+    if (exact.has(location)) return exact.get(location);
+    for (const [index, depth] of [3, 2, 1].entries()) {
+      const key = pathKeys(location, depth);
+      const track = key && suffixes[index].get(key);
+      if (track) return track;
+    }
+    return null;
+  };
+}
+
+function titleKey(words) {
+  return [...words].sort().join(' ');
+}
+
+// Titles with the same words are looked up directly; a fuzzy title can only reach TITLE_MATCH by
+// sharing words, so it is only compared with the tracks that have at least one of them.
+function buildTitleIndex(tracks) {
+  const exact = new Map();
+  const byWord = new Map();
+  tracks.forEach((track) => {
+    const words = wordSet(track.title);
+    if (!words.size) return;
+    const key = titleKey(words);
+    if (!exact.has(key)) exact.set(key, []);
+    exact.get(key).push({ track, words });
+    words.forEach((word) => {
+      if (!byWord.has(word)) byWord.set(word, []);
+      byWord.get(word).push({ track, words });
+    });
+  });
+  return { exact, byWord };
+}
+
+function bestTitleMatch(entry, words, candidates) {
+  let best = null;
+  candidates.forEach(({ track, words: trackWords }) => {
+    const title = setSimilarity(words, trackWords);
+    if (title < TITLE_MATCH) return;
+    const artist = entry.artist
+      ? Math.max(wordSimilarity(entry.artist, track.artist), wordSimilarity(entry.artist, track.orchestra || ''), wordSimilarity(entry.artist, track.singer || ''))
+      : ARTIST_MATCH;
+    if (artist < ARTIST_MATCH) return;
+    const duration = entry.duration && track.duration ? Math.min(Math.abs(entry.duration - track.duration) / 30, 1) : 0.5;
+    const score = title * 2 + artist - duration * 0.5;
+    if (!best || score > best.score) best = { track, score };
+  });
+  return best?.track || null;
+}
+
+function titleMatch(entry, index) {
+  const words = wordSet(entry.title);
+  if (!words.size) return null;
+  const exact = bestTitleMatch(entry, words, index.exact.get(titleKey(words)) || []);
+  if (exact) return exact;
+  const candidates = new Set();
+  words.forEach((word) => (index.byWord.get(word) || []).forEach((candidate) => candidates.add(candidate)));
+  return bestTitleMatch(entry, words, candidates);
+}
+
+/**
+ * Matches entries to library tracks, by path first and then by title and artist.
+ * Returns the entries with `track` (or null) and `matchedBy` ('path', 'title' or null).
+ */
+function matchEntries(entries, tracks) {
+  const byPath = buildPathIndex(tracks);
+  const byTitle = buildTitleIndex(tracks);
+  return entries.map((entry) => {
+    const pathMatch = byPath(entry.path);
+    if (pathMatch) return { ...entry, track: pathMatch, matchedBy: 'path' };
+    const track = titleMatch(entry, byTitle);
+    return { ...entry, track, matchedBy: track ? 'title' : null };
+  });
+}
+
+function splitRun(tracks) {
+  const count = Math.ceil(tracks.length / MAX_TANDA_SIZE);
+  const size = Math.ceil(tracks.length / count);
+  const runs = [];
+  for (let start = 0; start < tracks.length; start += size) runs.push(tracks.slice(start, start + size));
+  return runs;
+}
+
+// Where a missing entry sat: after `before` dance tracks, inside an open tanda or between two.
+function placeUnmatched(item, tandas) {
+  let start = 0;
+  for (const [tandaIndex, tanda] of tandas.entries()) {
+    const end = start + tanda.tracks.length;
+    if (item.inTanda ? item.before > start && item.before <= end : item.before === start) {
+      return { tandaIndex, position: item.before - start };
+    }
+    start = end;
+  }
+  return tandas.length ? { tandaIndex: tandas.length - 1, position: tandas[tandas.length - 1].tracks.length } : { tandaIndex: 0, position: 0 };
+}
+
+/**
+ * Cuts a matched sequence into tandas and cortinas. A cortina closes the open tanda; a change
+ * of style or orchestra starts a new one. `cortinaIds` are tracks known from the cortina library.
+ * Unmatched entries are returned with the tanda and position where they were found.
+ */
+function segmentEntries(matched, cortinaIds = new Set()) {
+  const tandas = [];
+  const cortinas = [];
+  const missing = [];
+  let placed = 0;
+  let current = null;
+  const close = (cortina = null) => {
+    if (!current) return;
+    splitRun(current.tracks).forEach((tracks, index, runs) => {
+      tandas.push({ type: current.type, tracks });
+      cortinas.push(index === runs.length - 1 ? cortina : null);
+    });
+    current = null;
+  };
+
+  matched.forEach((entry) => {
+    const { track } = entry;
+    if (!track) {
+      missing.push({ entry, before: placed, inTanda: Boolean(current) });
+      return;
+    }
+    if (entry.cortina || track.style === 'cortina' || cortinaIds.has(track.id)) {
+      if (current) close(track);
+      else if (cortinas.length && !cortinas[cortinas.length - 1]) cortinas[cortinas.length - 1] = track;
+      return;
+    }
+    const type = TANDA_TYPES.includes(track.style) ? track.style : 'tango';
+    if (current && (current.type !== type || orchestraKey(current.tracks[0]) !== orchestraKey(track))) close();
+    if (!current) current = { type, tracks: [] };
+    current.tracks.push(track);
+    placed += 1;
+  });
+  close();
+
+  const unmatched = missing.map(({ entry, ...item }) => ({
+    line: entry.line,
+    text: entry.text,
+    title: entry.title || null,
+    artist: entry.artist || null,
+    path: entry.path || null,
+    ...placeUnmatched(item, tandas)
+  }));
+  return { tandas, cortinas, unmatched };
+}
+
+module.exports = { parsePlaylistFile, matchEntries, segmentEntries };
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+async function readJson(filePath, fallback) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Writes through a temporary file so readers never see a half-written document. Each write gets
+// its own temporary name, so two writes to one file at once cannot rename each other's away.
+async function writeJson(filePath, value) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,171 @@
+const OpenAI = require('openai');
+
+const API_STYLES = ['responses', 'chat'];
+// Strongest first; a provider that rejects one mode is retried with the next.
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'none'];
+const DEFAULT_MODEL = 'gpt-4.1-mini';
+const DEFAULT_TIMEOUT_MS = 120000;
+// Local servers usually ignore the key, but the client library insists on one.
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+// Modes a configured provider turned out not to support, remembered until the settings change.
+const unsupportedModes = new Map();
+
+function firstSet(...values) {
+  return values.find((value) => value !== undefined && value !== null && `${value}`.trim() !== '');
+}
+
+/**
+ * Provider settings from `settings` (saved in the app) laid over the environment:
+ * LLM_BASE_URL, LLM_API_KEY, LLM_MODEL, LLM_API (responses or chat), LLM_STRUCTURED_OUTPUT
+ * and LLM_TIMEOUT_MS. The OPENAI_* variables still work as fallbacks.
+ */
+function resolveLlmConfig(settings = {}, env = process.env) {
+  const api = firstSet(settings.api, env.LLM_API);
+  const structuredOutput = firstSet(settings.structuredOutput, env.LLM_STRUCTURED_OUTPUT);
+  const timeoutMs = Number(firstSet(settings.timeoutMs, env.LLM_TIMEOUT_MS));
+  return {
+    baseUrl: firstSet(settings.baseUrl, env.LLM_BASE_URL, env.OPENAI_BASE_URL) || null,
+    apiKey: firstSet(settings.apiKey, env.LLM_API_KEY, env.OPENAI_API_KEY) || null,
+    model: firstSet(settings.model, env.LLM_MODEL) || DEFAULT_MODEL,
+    api: API_STYLES.includes(api) ? api : 'responses',
+    structuredOutput: STRUCTURED_OUTPUT_MODES.includes(structuredOutput) ? structuredOutput : 'json_schema',
+    timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS
+  };
+}
+
+// Checks settings sent from the app; returns { settings, error }. An empty value falls back to the environment.
+function normalizeLlmSettings(input = {}, existing = {}) {
+  const settings = { ...existing };
+  for (const key of ['baseUrl', 'apiKey', 'model', 'api', 'structuredOutput', 'timeoutMs']) {
+    if (input[key] === undefined) continue;
+    const value = `${input[key] ?? ''}`.trim();
+    if (value) settings[key] = key === 'timeoutMs' ? Number(value) : value;
+    else delete settings[key];
+  }
+  if (settings.baseUrl) {
+    try {
+      if (!/^https?:$/.test(new URL(settings.baseUrl).protocol)) throw new Error('protocol');
+    } catch {
+      return { error: 'baseUrl must be an http or https URL' };
+    }
+  }
+  if (settings.api && !API_STYLES.includes(settings.api)) return { error: `api must be one of ${API_STYLES.join(', ')}` };
+  if (settings.structuredOutput && !STRUCTURED_OUTPUT_MODES.includes(settings.structuredOutput)) {
+    return { error: `structuredOutput must be one of ${STRUCTURED_OUTPUT_MODES.join(', ')}` };
+  }
+  if (settings.timeoutMs !== undefined && !(settings.timeoutMs > 0)) return { error: 'timeoutMs must be a positive number' };
+  return { settings };
+}
+
+// What the app may show: the key itself never leaves the server.
+function describeLlmConfig(config) {
+  const { apiKey, ...visible } = config;
+  return { ...visible, hasApiKey: Boolean(apiKey), enabled: Boolean(apiKey || config.baseUrl) };
+}
+
+function configKey(config) {
+  return JSON.stringify([config.baseUrl, config.model, config.api]);
+}
+
+function schemaInstructions(schema) {
+  return `Reply with one JSON object only, no prose and no code fences. It must match this JSON schema:\n${JSON.stringify(schema.schema)}`;
+}
+
+// Models without JSON mode tend to wrap the object in prose or ```json fences.
+function extractJson(text) {
+  const trimmed = `${text || ''}`.trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1].trim() : trimmed;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  return start !== -1 && end > start ? body.slice(start, end + 1) : body;
+}
+
+function responsesRequest(config, request, mode) {
+  const format = {
+    json_schema: { type: 'json_schema', name: request.schema.name, schema: request.schema.schema, strict: true },
+    json_object: { type: 'json_object' }
+  }[mode];
+  return {
+    model: config.model,
+    instructions: mode === 'json_schema' ? request.instructions : `${request.instructions}\n${schemaInstructions(request.schema)}`,
+    input: request.messages.map((message) => ({
+      role: message.role,
+      content: [{ type: message.role === 'assistant' ? 'output_text' : 'input_text', text: message.text }]
+    })),
+    ...(format ? { text: { format } } : {})
+  };
+}
+
+function chatRequest(config, request, mode) {
+  const format = {
+    json_schema: { type: 'json_schema', json_schema: { name: request.schema.name, schema: request.schema.schema, strict: true } },
+    json_object: { type: 'json_object' }
+  }[mode];
+  return {
+    model: config.model,
+    messages: [
+      { role: 'system', content: mode === 'json_schema' ? request.instructions : `${request.instructions}\n${schemaInstructions(request.schema)}` },
+      ...request.messages.map((message) => ({ role: message.role, content: message.text }))
+    ],
+    ...(format ? { response_format: format } : {})
+  };
+}
+
+async function send(client, config, request, mode) {
+  if (config.api === 'chat') {
+    const completion = await client.chat.completions.create(chatRequest(config, request, mode));
+    return { id: completion.id, model: completion.model, text: completion.choices?.[0]?.message?.content || '' };
+  }
+  const response = await client.responses.create(responsesRequest(config, request, mode));
+  return { id: response.id, model: response.model, text: response.output_text || '' };
+}
+
+// A 400/422 from a server that does not know the format parameter, as opposed to a network or auth failure.
+function isUnsupportedFormat(error) {
+  return [400, 404, 422].includes(error?.status) && /format|schema|json/i.test(error.message || '');
+}
+
+/**
+ * Builds a client for the configured provider, or null when none is configured (no key and no base URL).
+ * `generate({ instructions, messages, schema })` takes messages of { role: 'user' | 'assistant', text }
+ * and returns { id, model, text, structuredOutput }; `text` is the JSON part of the reply.
+ * Structured output falls back from json_schema to json_object to plain instructions when the provider refuses it.
+ */
+function createLlmClient(config) {
+  if (!config.apiKey && !config.baseUrl) return null;
+  const client = new OpenAI({
+    apiKey: config.apiKey || PLACEHOLDER_API_KEY,
+    baseURL: config.baseUrl || undefined,
+    timeout: config.timeoutMs
+  });
+  const key = configKey(config);
+
+  async function generate(request) {
+    const skipped = unsupportedModes.get(key) || new Set();
+    const modes = STRUCTURED_OUTPUT_MODES.slice(STRUCTURED_OUTPUT_MODES.indexOf(config.structuredOutput)).filter((mode) => !skipped.has(mode));
+    for (const mode of modes) {
+      try {
+        const reply = await send(client, config, request, mode);
+        return { ...reply, text: extractJson(reply.text), structuredOutput: mode };
+      } catch (error) {
+        if (mode === 'none' || !isUnsupportedFormat(error)) throw error;
+        console.warn(`LLM provider rejected ${mode} output (${error.message}); retrying without it`);
+        unsupportedModes.set(key, skipped.add(mode));
+      }
+    }
+    throw new Error('No structured output mode left to try');
+  }
+
+  return { config, generate };
+}
+
+module.exports = {
+  API_STYLES,
+  STRUCTURED_OUTPUT_MODES,
+  resolveLlmConfig,
+  normalizeLlmSettings,
+  describeLlmConfig,
+  createLlmClient
+};
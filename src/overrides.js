@@ -0,0 +1,63 @@
+const { TANDA_TYPES, toNumberOrNull, foldText } = require('./tracks');
+
+const OVERRIDE_FIELDS = ['style', 'orchestra', 'singer', 'year', 'doNotPlay'];
+const OVERRIDE_STYLES = [...TANDA_TYPES, 'cortina'];
+
+/**
+ * Validates a partial override from the editor. A field set to null (or '') is cleared,
+ * so the scanned value shows again; fields that are absent are left as they were.
+ * Returns { changes, error }.
+ */
+function parseOverrideChanges(input = {}) {
+  const changes = {};
+  for (const field of OVERRIDE_FIELDS) {
+    if (!(field in input)) continue;
+    const value = input[field];
+    if (value === null || value === '') {
+      changes[field] = null;
+    } else if (field === 'style') {
+      if (!OVERRIDE_STYLES.includes(value)) return { error: `style must be one of ${OVERRIDE_STYLES.join(', ')}` };
+      changes.style = value;
+    } else if (field === 'year') {
+      const year = toNumberOrNull(value);
+      if (year === null || !Number.isInteger(year) || year < 1890 || year > 2100) return { error: 'year must be a four-digit year' };
+      changes.year = year;
+    } else if (field === 'doNotPlay') {
+      changes.doNotPlay = value === true || value === 'true' ? true : null;
+    } else {
+      changes[field] = `${value}`.trim() || null;
+    }
+  }
+  if (!Object.keys(changes).length) return { error: `Nothing to change. Editable fields: ${OVERRIDE_FIELDS.join(', ')}` };
+  return { changes };
+}
+
+function mergeOverride(existing = {}, changes) {
+  const merged = { ...existing };
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null) delete merged[field];
+    else merged[field] = value;
+  });
+  delete merged.updatedAt;
+  return Object.keys(merged).length ? { ...merged, updatedAt: new Date().toISOString() } : null;
+}
+
+// Lays the DJ's corrections over scanned or catalog metadata; `overridden` lists the edited fields.
+// A singer set in the editor also decides whether the track is instrumental, so a scanned
+// instrumental flag cannot hide it.
+function applyOverrides(library, overrides = {}) {
+  return {
+    ...library,
+    tracks: (library.tracks || []).map((track) => {
+      const override = overrides[track.id];
+      if (!override) return track;
+      const fields = OVERRIDE_FIELDS.filter((field) => field in override);
+      const merged = { ...track, overridden: fields };
+      fields.forEach((field) => { merged[field] = override[field]; });
+      if (fields.includes('singer')) merged.instrumental = foldText(merged.singer).trim() === 'instrumental';
+      return merged;
+    })
+  };
+}
+
+module.exports = { OVERRIDE_FIELDS, parseOverrideChanges, mergeOverride, applyOverrides };
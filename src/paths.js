@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// IDs of playlists, saved tandas, cortinas, structures and play-log events become file names under data/.
+const SAFE_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/;
+const ROOT_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const DEFAULT_ROOT_NAME = 'main';
+
+function isSafeId(id) {
+  return typeof id === 'string' && SAFE_ID.test(id) && !id.includes('..');
+}
+
+// Whether `file` is `dir` itself or somewhere below it; both must be absolute.
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+}
+
+/**
+ * The named folders music may be scanned and served from. MUSIC_ROOTS lists `name=folder`
+ * pairs separated by the path delimiter (`:` here, `;` on Windows), e.g.
+ * `main=/music:cortinas=/media/usb/cortinas`. Without it, MUSIC_ROOT is the one root, `main`.
+ * The first root is the primary one. Bad or repeated names are skipped with a warning.
+ */
+function parseMusicRoots(env = process.env, fallback = null) {
+  const entries = `${env.MUSIC_ROOTS || ''}`.split(path.delimiter).map((entry) => entry.trim()).filter(Boolean);
+  const roots = [];
+  entries.forEach((entry) => {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim().toLowerCase();
+    const folder = entry.slice(separator + 1).trim();
+    if (separator < 1 || !ROOT_NAME.test(name) || !folder) {
+      console.warn(`Ignoring music root "${entry}": use name=folder with a lowercase name`);
+    } else if (roots.some((root) => root.name === name)) {
+      console.warn(`Ignoring music root "${entry}": ${name} is already defined`);
+    } else {
+      roots.push({ name, path: path.resolve(folder) });
+    }
+  });
+  if (!roots.length && (env.MUSIC_ROOT || fallback)) roots.push({ name: DEFAULT_ROOT_NAME, path: path.resolve(env.MUSIC_ROOT || fallback) });
+  return roots;
+}
+
+// A configured root by name, or by its folder for clients that still send a path.
+function findMusicRoot(roots, nameOrPath) {
+  const value = `${nameOrPath || ''}`.trim();
+  if (!value) return roots[0] || null;
+  return roots.find((root) => root.name === value.toLowerCase())
+    || (path.isAbsolute(value) ? roots.find((root) => root.path === path.resolve(value)) : null)
+    || null;
+}
+
+// The root holding `file` after symlinks are followed on both sides, or null when it is outside all of them.
+async function rootOfFile(roots, file) {
+  const real = await fs.realpath(file).catch(() => null);
+  if (!real) return null;
+  for (const root of roots) {
+    const realRoot = await fs.realpath(root.path).catch(() => null);
+    if (realRoot && isInside(realRoot, real)) return root;
+  }
+  return null;
+}
+
+// Each root with whether its folder can be read right now; an external drive may be unplugged.
+async function describeMusicRoots(roots) {
+  return Promise.all(roots.map(async (root, index) => {
+    const stat = await fs.stat(root.path).catch(() => null);
+    return { ...root, primary: index === 0, available: Boolean(stat?.isDirectory()) };
+  }));
+}
+
+module.exports = { isSafeId, isInside, parseMusicRoots, findMusicRoot, rootOfFile, describeMusicRoots };
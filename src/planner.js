@@ -0,0 +1,271 @@
+const {
+  ORCHESTRA_SPACING,
+  groupByStyle,
+  orchestraOf,
+  orchestraKey,
+  recordingKey,
+  singerKey,
+  tandaConsistency,
+  foldText,
+  toNumberOrNull
+} = require('./tracks');
+const { createRng, normalizeSeed, shuffleWith } = require('./random');
+const { pickCortinas } = require('./cortinas');
+
+const MAX_WINDOWS_PER_ORCHESTRA = 12;
+// A saved tanda wins over a generated one unless it breaks spacing or clearly misses the energy arc.
+const SAVED_TANDA_BONUS = 15;
+// Per track heard at a recent milonga: below the cost of a missing track, so a full tanda of
+// played tracks still beats a short one, but a fresh tanda wins whenever there is one.
+const PLAYED_TRACK_PENALTY = 25;
+
+function numbers(tracks, field) {
+  return tracks.map((track) => toNumberOrNull(track?.[field])).filter((value) => value !== null);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length);
+}
+
+function energyRange(tracks) {
+  const values = numbers(tracks, 'energy').sort((a, b) => a - b);
+  if (!values.length) return null;
+  const low = values[Math.floor(values.length * 0.1)];
+  const high = values[Math.floor(values.length * 0.9)];
+  return high > low ? { low, high } : null;
+}
+
+// Energy arc across the night: warm up, build to a peak around two thirds in, then ease off.
+function arcPhase(position) {
+  if (position < 0.25) return { label: 'warm-up', target: 0.35 + position };
+  if (position < 0.7) return { label: 'building', target: 0.6 + (position - 0.25) * 0.6 };
+  if (position < 0.85) return { label: 'peak', target: 0.9 };
+  return { label: 'wind-down', target: 0.9 - (position - 0.85) * 2.5 };
+}
+
+// Keeps the first file of each recording, so copies of one song never fill a tanda together.
+function uniqueRecordings(tracks) {
+  const seen = new Set();
+  return tracks.filter((track) => {
+    const key = recordingKey(track);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function buildCandidates(pool, size, rng) {
+  const byOrchestra = new Map();
+  for (const track of uniqueRecordings(pool)) {
+    const key = orchestraKey(track);
+    const tracks = byOrchestra.get(key) || [];
+    tracks.push(track);
+    byOrchestra.set(key, tracks);
+  }
+
+  const candidates = [];
+  for (const group of byOrchestra.values()) {
+    if (group.length <= size) {
+      candidates.push(group);
+      continue;
+    }
+    const byYear = (a, b) => (toNumberOrNull(a.year) ?? 9999) - (toNumberOrNull(b.year) ?? 9999);
+    const orderings = [
+      shuffleWith(rng, group).sort((a, b) => singerKey(a).localeCompare(singerKey(b)) || byYear(a, b)),
+      shuffleWith(rng, group).sort(byYear)
+    ];
+    const windows = [];
+    for (const ordered of orderings) {
+      for (let i = 0; i + size <= ordered.length; i += 1) windows.push(ordered.slice(i, i + size));
+    }
+    candidates.push(...shuffleWith(rng, windows).slice(0, MAX_WINDOWS_PER_ORCHESTRA));
+  }
+  return candidates;
+}
+
+function scoreTanda(tracks, context) {
+  const key = orchestraKey(tracks[0]);
+  const years = numbers(tracks, 'year');
+  const bpms = numbers(tracks, 'bpm');
+  const singers = new Set(tracks.map(singerKey));
+  const yearSpan = years.length ? Math.max(...years) - Math.min(...years) : null;
+  const energy = mean(numbers(tracks, 'energy'));
+  const played = context.played ? tracks.filter((track) => context.played.has(track.id)).length : 0;
+  const range = context.energyRange;
+  const energyLevel = energy !== null && range
+    ? Math.min(1, Math.max(0, (energy - range.low) / (range.high - range.low)))
+    : null;
+
+  let score = context.rng() * 3;
+  const lastIndex = context.history.lastIndexOf(key);
+  const tandasSince = lastIndex === -1 ? null : context.history.length - lastIndex - 1;
+  if (tandasSince !== null && tandasSince < ORCHESTRA_SPACING) score -= 100;
+  if (context.avoid?.has(key)) score -= 100;
+  score -= 4 * (context.usage || context.history).filter((item) => item === key).length;
+  score -= 30 * Math.max(0, context.size - tracks.length);
+  score -= PLAYED_TRACK_PENALTY * played;
+  // Traditional tandas keep one singer (or stay instrumental) and a tight recording window.
+  if (yearSpan !== null) score -= 1.5 * Math.min(yearSpan, 20) + (yearSpan > 3 ? 6 : 0);
+  score -= 3 * (tracks.length - years.length);
+  score -= 12 * (singers.size - 1);
+  score -= 0.4 * Math.min(stdev(bpms), 40);
+  if (energyLevel !== null) score -= 25 * Math.abs(energyLevel - context.phase.target);
+
+  return { score, tandasSince, avoided: Boolean(context.avoid?.has(key)), played, years, bpms, singers, energy };
+}
+
+function explainTanda(tracks, result, context) {
+  if (!tracks.length) return `No unused ${context.type} tracks were left for this slot.`;
+  const parts = [`${orchestraOf(tracks[0])}`];
+  if (result.years.length) {
+    const low = Math.min(...result.years);
+    const high = Math.max(...result.years);
+    parts.push(low === high ? `${low}` : `${low}–${high}`);
+  }
+  const consistency = tandaConsistency(tracks);
+  const voices = consistency.singers.length + (consistency.instrumental ? 1 : 0);
+  if (voices > 1) parts.push(`${voices} different singer credits`);
+  else if (consistency.singers.length) parts.push(`one singer (${consistency.singers[0]})`);
+  else if (consistency.instrumental) parts.push('instrumental');
+  if (consistency.unknownSingerTracks) {
+    parts.push(voices ? `${consistency.unknownSingerTracks} without a singer credit` : 'no singer credited');
+  }
+  if (result.bpms.length) parts.push(`~${Math.round(mean(result.bpms))} BPM (±${Math.round(stdev(result.bpms))})`);
+  if (result.energy !== null) parts.push(`energy ${result.energy.toFixed(1)} dB for the ${context.phase.label}`);
+
+  const notes = [];
+  if (result.saved) notes.push(`Reuses saved tanda "${result.saved.name}".`);
+  if (context.lockOrchestra) notes.push('Orchestra locked by the DJ.');
+  else if (context.avoid) {
+    notes.push(result.avoided
+      ? 'Orchestra repeats a neighbouring tanda: no alternative met the spacing rule.'
+      : 'Keeps orchestra spacing with the neighbouring tandas.');
+  } else if (result.tandasSince === null) notes.push('First appearance of this orchestra tonight.');
+  else if (result.tandasSince >= ORCHESTRA_SPACING) notes.push(`Orchestra last heard ${result.tandasSince + 1} tandas ago.`);
+  else notes.push('Orchestra repeats too soon: no alternative met the spacing rule.');
+  if (result.played) notes.push(`${result.played} track(s) were played at a recent milonga: not enough fresh ones were left.`);
+  if (tracks.length < context.size) notes.push(`Only ${tracks.length} of ${context.size} tracks available.`);
+
+  return `Offline planner: ${parts.join(' · ')}. ${notes.join(' ')}`;
+}
+
+function pickTanda(pool, context, saved = []) {
+  let best = null;
+  const consider = (tracks, savedTanda = null) => {
+    const result = { ...scoreTanda(tracks, context), saved: savedTanda };
+    if (savedTanda) result.score += SAVED_TANDA_BONUS;
+    if (!best || result.score > best.result.score) best = { tracks, result };
+  };
+  buildCandidates(pool, context.size, context.rng).forEach((candidate) => consider(candidate));
+  saved.forEach((savedTanda) => consider(savedTanda.tracks, savedTanda));
+  return best;
+}
+
+/**
+ * Builds a full set without the agent by scoring candidate tandas per slot.
+ * `savedTandas` ({ id, name, type, tracks }) of the slot's size compete with generated candidates and get a bonus.
+ * `playedTrackIds` (tracks from recent milongas, see play-log.js) are penalised so they are only reused when nothing else fits.
+ * The same library, slots and seed always produce the same plan.
+ */
+function planSet(library, slots, options = {}) {
+  const seed = normalizeSeed(options.seed);
+  const rng = createRng(seed);
+  const grouped = groupByStyle(library);
+  const ranges = {};
+  // Tracks kept as cortinas are never danced.
+  const used = new Set((options.cortinaPool || []).map((cortina) => cortina.id));
+  // A recording is danced once per night, even when the library holds it in several files.
+  const usedRecordings = new Set();
+  const history = [];
+
+  const tandas = slots.map((slot, idx) => {
+    ranges[slot.type] = ranges[slot.type] || energyRange(grouped[slot.type] || []);
+    const context = {
+      type: slot.type,
+      size: slot.size,
+      phase: arcPhase(slots.length > 1 ? idx / (slots.length - 1) : 0),
+      energyRange: ranges[slot.type],
+      history,
+      played: options.playedTrackIds,
+      rng
+    };
+
+    const isFree = (track) => !used.has(track.id) && !usedRecordings.has(recordingKey(track));
+    const pool = (grouped[slot.type] || []).filter(isFree);
+    const saved = (options.savedTandas || [])
+      .filter((savedTanda) => savedTanda.type === slot.type && savedTanda.tracks.length === slot.size)
+      .filter((savedTanda) => savedTanda.tracks.every(isFree));
+    // Candidates are sampled per orchestra, so unplayed tracks get their own draw before competing with the rest.
+    const fresh = context.played ? pool.filter((track) => !context.played.has(track.id)) : pool;
+    const best = [pickTanda(fresh, context, saved), fresh === pool ? null : pickTanda(pool, context)]
+      .filter(Boolean)
+      .sort((a, b) => b.result.score - a.result.score)[0];
+    const tracks = best ? best.tracks : [];
+    tracks.forEach((track) => {
+      used.add(track.id);
+      usedRecordings.add(recordingKey(track));
+    });
+    history.push(tracks.length ? orchestraKey(tracks[0]) : null);
+    return {
+      id: `tanda-${idx + 1}`,
+      type: slot.type,
+      reasoning: explainTanda(tracks, best?.result, context),
+      ...(best?.result.saved ? { savedTandaId: best.result.saved.id } : {}),
+      tracks
+    };
+  });
+
+  const { theme, cortinas } = pickCortinas(options.cortinaPool || [], tandas.length, { rng, theme: options.cortinaTheme });
+
+  return { tandas, cortinas, cortinaTheme: theme, seed };
+}
+
+/**
+ * Plans one replacement tanda for an existing set.
+ * `avoidOrchestras` holds the orchestra keys of the neighbouring tandas within the spacing window;
+ * `lockOrchestra` restricts the pool to one orchestra; `excludeIds` are tracks already in the set.
+ */
+function planTanda(library, slot, options = {}) {
+  const seed = normalizeSeed(options.seed);
+  const rng = createRng(seed);
+  const grouped = groupByStyle(library);
+  const excludeIds = options.excludeIds || new Set();
+  const excludedRecordings = new Set((library.tracks || []).filter((track) => excludeIds.has(track.id)).map(recordingKey));
+  const lock = options.lockOrchestra ? foldText(options.lockOrchestra) : '';
+  const pool = (grouped[slot.type] || [])
+    .filter((track) => !excludeIds.has(track.id) && !excludedRecordings.has(recordingKey(track)))
+    .filter((track) => !lock || orchestraKey(track).includes(lock));
+
+  const context = {
+    type: slot.type,
+    size: slot.size,
+    phase: arcPhase(options.position ?? 0.5),
+    energyRange: energyRange(grouped[slot.type] || []),
+    history: [],
+    usage: options.otherOrchestras || [],
+    avoid: new Set(lock ? [] : options.avoidOrchestras || []),
+    lockOrchestra: options.lockOrchestra || null,
+    rng
+  };
+  const best = pickTanda(pool, context);
+  const tracks = best ? best.tracks : [];
+  return {
+    type: slot.type,
+    reasoning: tracks.length || !lock
+      ? explainTanda(tracks, best?.result, context)
+      : `No unused ${slot.type} tracks by ${options.lockOrchestra} were found.`,
+    tracks,
+    seed
+  };
+}
+
+module.exports = {
+  planSet,
+  planTanda
+};
@@ -0,0 +1,126 @@
+const { foldText, orchestraOf } = require('./tracks');
+
+// Plays this long after the last one start a new event, even from the same performance.
+const EVENT_IDLE_HOURS = 6;
+
+function normalizeVenue(venue) {
+  return `${venue || ''}`.trim().slice(0, 80);
+}
+
+function playedAt(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function playOf(track, tanda, tandaIndex, at) {
+  return {
+    trackId: track.id,
+    title: track.title || null,
+    orchestra: orchestraOf(track),
+    singer: track.singer || null,
+    year: track.year || null,
+    tandaIndex,
+    tandaType: tanda?.type || null,
+    playedAt: at
+  };
+}
+
+/**
+ * Starts an event: one milonga night of one playlist at one venue. `source` is 'performance'
+ * when plays come in one by one from live playback, 'marked' when the whole playlist was marked.
+ */
+function createEvent(playlist, input = {}) {
+  const startedAt = playedAt(input.playedAt);
+  return {
+    id: `play-${Date.now()}`,
+    venue: normalizeVenue(input.venue),
+    source: input.source === 'marked' ? 'marked' : 'performance',
+    playlistId: playlist.id,
+    playlistName: playlist.name,
+    startedAt,
+    updatedAt: startedAt,
+    plays: []
+  };
+}
+
+// Whether a play at `at` still belongs to `event` rather than to a new milonga.
+function continuesEvent(event, playlist, at) {
+  return Boolean(event)
+    && event.playlistId === playlist.id
+    && new Date(playedAt(at)) - new Date(event.updatedAt) < EVENT_IDLE_HOURS * 3600 * 1000;
+}
+
+// Adds one play; a track heard again in the same tanda (after a resume) is only counted once.
+function addPlay(event, track, tanda, tandaIndex, at) {
+  const when = playedAt(at);
+  if (!event.plays.some((play) => play.trackId === track.id && play.tandaIndex === tandaIndex)) {
+    event.plays.push(playOf(track, tanda, tandaIndex, when));
+  }
+  event.updatedAt = when;
+  return event;
+}
+
+// Records every tanda of a playlist as played, as if the night went exactly as planned.
+function markPlaylistPlayed(playlist, input = {}) {
+  const event = createEvent(playlist, { ...input, source: 'marked' });
+  playlist.tandas.forEach((tanda, tandaIndex) => {
+    (tanda.tracks || []).filter(Boolean).forEach((track) => addPlay(event, track, tanda, tandaIndex, event.startedAt));
+  });
+  return event;
+}
+
+// The tandas of an event, rebuilt from its plays in the order they were heard.
+function eventTandas(event) {
+  const tandas = new Map();
+  event.plays.forEach((play) => {
+    const tanda = tandas.get(play.tandaIndex) || { tandaIndex: play.tandaIndex, type: play.tandaType, orchestra: play.orchestra, trackIds: [], titles: [] };
+    tanda.trackIds.push(play.trackId);
+    tanda.titles.push(play.title);
+    tandas.set(play.tandaIndex, tanda);
+  });
+  return [...tandas.values()];
+}
+
+function summarizeEvent(event) {
+  return { ...event, trackCount: event.plays.length, tandas: eventTandas(event) };
+}
+
+function sameVenue(event, venue) {
+  return foldText(event.venue) === foldText(venue);
+}
+
+// Newest first; `venue` keeps the events held there, `limit` caps the count.
+function filterEvents(events, query = {}) {
+  const venue = normalizeVenue(query.venue);
+  const limit = Number(query.limit);
+  const matching = [...events]
+    .filter((event) => !venue || sameVenue(event, venue))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  return Number.isInteger(limit) && limit > 0 ? matching.slice(0, limit) : matching;
+}
+
+/**
+ * What was played in the last `count` events (at `venue`, when given), for the planners to avoid.
+ * Returns { events, venue, trackIds }; a played tanda is avoided through its tracks.
+ */
+function recentPlays(events, options = {}) {
+  const count = Math.max(0, Math.trunc(Number(options.count) || 0));
+  const venue = normalizeVenue(options.venue);
+  const recent = count ? filterEvents(events, { venue, limit: count }) : [];
+  return {
+    events: recent.length,
+    venue: venue || null,
+    trackIds: new Set(recent.flatMap((event) => event.plays.map((play) => play.trackId)))
+  };
+}
+
+module.exports = {
+  normalizeVenue,
+  createEvent,
+  continuesEvent,
+  addPlay,
+  markPlaylistPlayed,
+  summarizeEvent,
+  filterEvents,
+  recentPlays
+};
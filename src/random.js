@@ -0,0 +1,35 @@
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  if (typeof seed === 'string' && seed.trim()) {
+    let hash = 2166136261;
+    for (const char of seed.trim()) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+  return Date.now() >>> 0;
+}
+
+// mulberry32: small, fast and good enough to make planner runs repeatable per seed.
+function createRng(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(rng, arr) {
+  const copy = [...arr];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+module.exports = { normalizeSeed, createRng, shuffleWith };
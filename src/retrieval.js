@@ -0,0 +1,141 @@
+const {
+  foldText,
+  groupByStyle,
+  orchestraOf,
+  orchestraKey,
+  toNumberOrNull
+} = require('./tracks');
+
+const DEFAULT_SHORTLIST_LIMIT = 400;
+const TRACKS_PER_POOL_FACTOR = 3;
+const IGNORED_NAME_WORDS = new Set([
+  'con', 'los', 'las', 'del', 'the', 'and', 'orquesta', 'orchestra', 'tipica', 'quinteto',
+  'cuarteto', 'sexteto', 'trio', 'tango', 'vals', 'milonga', 'unknown', 'artist'
+]);
+
+// Pulls orchestra words and year ranges ("1940s", "1938", "golden age") out of the user prompt.
+function parsePromptHints(userPrompt) {
+  const text = foldText(userPrompt);
+  const words = new Set(text.split(/[^a-z0-9']+/).filter((word) => word.length > 2));
+  const years = [];
+  for (const match of text.matchAll(/\b(19[0-9])0s\b/g)) years.push([Number(match[1]) * 10, Number(match[1]) * 10 + 9]);
+  for (const match of text.matchAll(/\b(19[0-9]{2})\b/g)) years.push([Number(match[1]) - 2, Number(match[1]) + 2]);
+  if (text.includes('golden age') || text.includes('epoca de oro')) years.push([1935, 1955]);
+  return { text, words, years };
+}
+
+function promptMatch(track, hints) {
+  const orchestraWords = foldText(orchestraOf(track)).split(/[^a-z0-9']+/)
+    .filter((word) => word.length > 2 && !IGNORED_NAME_WORDS.has(word));
+  return orchestraWords.some((word) => hints.words.has(word));
+}
+
+function inYearHints(track, hints) {
+  const year = toNumberOrNull(track.year);
+  return year !== null && hints.years.some(([low, high]) => year >= low && year <= high);
+}
+
+// Prefers tracks from the same album so a pool stays coherent in sound and era.
+function pickPoolTracks(tracks, limit, hints) {
+  const byAlbum = new Map();
+  for (const track of tracks) {
+    const album = byAlbum.get(track.album) || [];
+    album.push(track);
+    byAlbum.set(track.album, album);
+  }
+  const albums = [...byAlbum.values()].sort((a, b) => {
+    const aHint = a.some((track) => inYearHints(track, hints)) ? 1 : 0;
+    const bHint = b.some((track) => inYearHints(track, hints)) ? 1 : 0;
+    return bHint - aHint || b.length - a.length;
+  });
+  return albums.flat().slice(0, limit);
+}
+
+function rankPools(tracks, size, hints) {
+  const byOrchestra = new Map();
+  for (const track of tracks) {
+    const key = orchestraKey(track);
+    const pool = byOrchestra.get(key) || { key, name: orchestraOf(track), tracks: [], score: 0 };
+    pool.tracks.push(track);
+    byOrchestra.set(key, pool);
+  }
+
+  for (const pool of byOrchestra.values()) {
+    const described = pool.tracks.filter((track) => track.bpm !== null && track.bpm !== undefined).length;
+    pool.promptMatch = pool.tracks.some((track) => promptMatch(track, hints));
+    pool.score = (pool.tracks.length >= size ? 10 : -10)
+      + Math.log2(pool.tracks.length)
+      + (described / pool.tracks.length) * 2
+      + (pool.promptMatch ? 50 : 0)
+      - (/^(unknown|__unknown)/.test(pool.key) ? 30 : 0)
+      + (hints.years.length && pool.tracks.some((track) => inYearHints(track, hints)) ? 15 : 0);
+  }
+
+  return [...byOrchestra.values()]
+    .sort((a, b) => b.score - a.score || b.tracks.length - a.tracks.length || a.key.localeCompare(b.key));
+}
+
+/**
+ * Narrows the library to a shortlist the agent can handle: for every tanda slot a few
+ * candidate orchestra pools. Cortinas are sent separately from the cortina library. Slots of the same type are given
+ * different orchestras first so the model has room to respect orchestra spacing.
+ */
+function buildShortlist(library, slots, userPrompt, options = {}) {
+  const limit = options.limit || DEFAULT_SHORTLIST_LIMIT;
+  const allTracks = library.tracks || [];
+  if (allTracks.length <= limit) {
+    return {
+      tracks: allTracks,
+      slotPools: [],
+      stats: { considered: allTracks.length, sent: allTracks.length, orchestras: null, shortlisted: false }
+    };
+  }
+
+  const hints = parsePromptHints(userPrompt);
+  const grouped = groupByStyle(library);
+  const slotCountByType = {};
+  slots.forEach((slot) => { slotCountByType[slot.type] = (slotCountByType[slot.type] || 0) + 1; });
+
+  const selectedByType = {};
+  for (const [type, count] of Object.entries(slotCountByType)) {
+    const size = Math.max(...slots.filter((slot) => slot.type === type).map((slot) => slot.size));
+    const poolCount = count * 2 + 2;
+    const typeBudget = Math.floor(limit * ((count * size) / slots.reduce((sum, slot) => sum + slot.size, 0)));
+    const perPool = Math.max(size, Math.min(size * TRACKS_PER_POOL_FACTOR, Math.floor(typeBudget / poolCount)));
+    selectedByType[type] = rankPools(grouped[type] || [], size, hints)
+      .slice(0, poolCount)
+      .map((pool) => ({ ...pool, tracks: pickPoolTracks(pool.tracks, perPool, hints) }));
+  }
+
+  const usedPerType = {};
+  const slotPools = slots.map((slot, slotIndex) => {
+    const pools = selectedByType[slot.type] || [];
+    const offset = ((usedPerType[slot.type] || 0) * 2) % (pools.length || 1);
+    usedPerType[slot.type] = (usedPerType[slot.type] || 0) + 1;
+    const rotated = [...pools.slice(offset), ...pools.slice(0, offset)];
+    return { slotIndex, type: slot.type, orchestras: rotated.slice(0, 3).map((pool) => pool.name) };
+  });
+
+  const seen = new Set();
+  const tracks = [];
+  const add = (track) => {
+    if (!track || seen.has(track.id)) return;
+    seen.add(track.id);
+    tracks.push(track);
+  };
+  Object.values(selectedByType).flat().forEach((pool) => pool.tracks.forEach(add));
+
+  return {
+    tracks,
+    slotPools,
+    stats: {
+      considered: allTracks.length,
+      sent: tracks.length,
+      orchestras: Object.values(selectedByType).reduce((sum, pools) => sum + pools.length, 0),
+      shortlisted: true,
+      promptOrchestras: [...new Set(Object.values(selectedByType).flat().filter((pool) => pool.promptMatch).map((pool) => pool.name))]
+    }
+  };
+}
+
+module.exports = { buildShortlist, parsePromptHints };
@@ -0,0 +1,174 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { readJson, writeJson } = require('./json-store');
+
+// Older revisions beyond this are dropped, oldest first.
+const MAX_REVISIONS = 100;
+// Derived fields are rebuilt on every save, so snapshots and diffs leave them out.
+const DERIVED_FIELDS = ['history', 'timeline', 'validation', 'flow', 'updatedAt'];
+
+function historyDir(dir, playlistId) {
+  return path.join(dir, playlistId);
+}
+
+function indexFile(dir, playlistId) {
+  return path.join(historyDir(dir, playlistId), 'index.json');
+}
+
+function revisionFile(dir, playlistId, revision) {
+  return path.join(historyDir(dir, playlistId), `${revision}.json`);
+}
+
+function snapshotOf(playlist) {
+  const snapshot = { ...playlist };
+  DERIVED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+}
+
+async function readIndex(dir, playlistId) {
+  return readJson(indexFile(dir, playlistId), { head: 0, last: 0, revisions: [] });
+}
+
+// What the app needs to enable undo and redo; stored on the playlist itself.
+function summarize(index) {
+  const position = index.revisions.findIndex((entry) => entry.revision === index.head);
+  return {
+    revision: index.head,
+    count: index.revisions.length,
+    canUndo: position > 0,
+    canRedo: position !== -1 && position < index.revisions.length - 1,
+    action: index.revisions[position]?.action || null
+  };
+}
+
+async function appendRevision(dir, index, playlist, action) {
+  // Numbers are never reused, even after undone revisions are dropped.
+  const revision = (index.last || 0) + 1;
+  await fs.mkdir(historyDir(dir, playlist.id), { recursive: true });
+  await writeJson(revisionFile(dir, playlist.id, revision), snapshotOf(playlist));
+  index.revisions.push({ revision, action, savedAt: new Date().toISOString(), tandaCount: (playlist.tandas || []).length });
+  index.head = revision;
+  index.last = revision;
+}
+
+/**
+ * Keeps `playlist` as a new revision after the current head. Revisions that were undone are
+ * dropped, as in any editor. `previous` seeds the history of a playlist saved before
+ * revisions existed, so its first edit can still be undone. Returns the history summary.
+ */
+async function recordRevision(dir, playlist, action, previous = null) {
+  const index = await readIndex(dir, playlist.id);
+  if (!index.revisions.length && previous) await appendRevision(dir, index, previous, 'baseline');
+
+  const position = index.revisions.findIndex((entry) => entry.revision === index.head);
+  const discarded = index.revisions.splice(position + 1);
+  await appendRevision(dir, index, playlist, action);
+  const expired = index.revisions.length > MAX_REVISIONS ? index.revisions.splice(0, index.revisions.length - MAX_REVISIONS) : [];
+  await Promise.all([...discarded, ...expired].map((entry) => fs.rm(revisionFile(dir, playlist.id, entry.revision), { force: true })));
+
+  await writeJson(indexFile(dir, playlist.id), index);
+  return summarize(index);
+}
+
+async function listRevisions(dir, playlistId) {
+  const index = await readIndex(dir, playlistId);
+  return { ...summarize(index), revisions: [...index.revisions].reverse() };
+}
+
+async function readRevision(dir, playlistId, revision) {
+  const index = await readIndex(dir, playlistId);
+  if (!index.revisions.some((entry) => entry.revision === revision)) return null;
+  return readJson(revisionFile(dir, playlistId, revision), null);
+}
+
+/**
+ * Moves the head one step back (`step` -1) or forward (+1) without adding a revision.
+ * Returns { snapshot, history }, or null when there is nothing to undo or redo.
+ */
+async function stepRevision(dir, playlistId, step) {
+  const index = await readIndex(dir, playlistId);
+  const position = index.revisions.findIndex((entry) => entry.revision === index.head);
+  const target = index.revisions[position + step];
+  if (position === -1 || !target) return null;
+  const snapshot = await readJson(revisionFile(dir, playlistId, target.revision), null);
+  if (!snapshot) return null;
+  index.head = target.revision;
+  await writeJson(indexFile(dir, playlistId), index);
+  return { snapshot, history: summarize(index) };
+}
+
+function trackIds(tanda) {
+  return (tanda?.tracks || []).map((track) => track?.id || null);
+}
+
+function describeTrack(track) {
+  return track ? { id: track.id, title: track.title, orchestra: track.orchestra || track.artist || null } : null;
+}
+
+function diffTracks(before, after) {
+  const beforeIds = trackIds(before);
+  const afterIds = trackIds(after);
+  const added = (after.tracks || []).filter((track) => track && !beforeIds.includes(track.id)).map(describeTrack);
+  const removed = (before.tracks || []).filter((track) => track && !afterIds.includes(track.id)).map(describeTrack);
+  const kept = afterIds.filter((id) => id && beforeIds.includes(id));
+  const reordered = kept.join('|') !== beforeIds.filter((id) => id && afterIds.includes(id)).join('|');
+  return { added, removed, reordered };
+}
+
+/**
+ * Compares two playlist snapshots tanda by tanda (matched on tanda ID) and track by track.
+ * Each tanda is 'added', 'removed', 'changed', 'moved' or 'unchanged'; cortinas are compared by slot.
+ */
+function diffPlaylists(before, after) {
+  const beforeTandas = before.tandas || [];
+  const afterTandas = after.tandas || [];
+  const beforeById = new Map(beforeTandas.map((tanda, index) => [tanda.id || `#${index}`, { tanda, index }]));
+  const seen = new Set();
+
+  const tandas = afterTandas.map((tanda, index) => {
+    const key = tanda.id || `#${index}`;
+    const match = beforeById.get(key);
+    const label = { id: tanda.id || null, type: tanda.type, index, orchestra: describeTrack(tanda.tracks?.find(Boolean))?.orchestra || null };
+    if (!match) return { ...label, status: 'added', fromIndex: null, tracks: diffTracks({ tracks: [] }, tanda) };
+    seen.add(key);
+    const tracks = diffTracks(match.tanda, tanda);
+    const changed = tracks.added.length || tracks.removed.length || tracks.reordered || match.tanda.type !== tanda.type;
+    let status = 'unchanged';
+    if (changed) status = 'changed';
+    else if (match.index !== index) status = 'moved';
+    return { ...label, status, fromIndex: match.index, tracks };
+  });
+  beforeTandas.forEach((tanda, index) => {
+    const key = tanda.id || `#${index}`;
+    if (seen.has(key)) return;
+    tandas.push({
+      id: tanda.id || null,
+      type: tanda.type,
+      index: null,
+      orchestra: describeTrack(tanda.tracks?.find(Boolean))?.orchestra || null,
+      status: 'removed',
+      fromIndex: index,
+      tracks: diffTracks(tanda, { tracks: [] })
+    });
+  });
+
+  const cortinaCount = Math.max((before.cortinas || []).length, (after.cortinas || []).length);
+  const cortinas = [];
+  for (let index = 0; index < cortinaCount; index += 1) {
+    const from = (before.cortinas || [])[index] || null;
+    const to = (after.cortinas || [])[index] || null;
+    if ((from?.id || null) !== (to?.id || null) || from?.startOffset !== to?.startOffset || from?.playLength !== to?.playLength) {
+      cortinas.push({ index, from: describeTrack(from), to: describeTrack(to) });
+    }
+  }
+
+  const fields = ['name', 'prompt', 'schedule', 'cortinaTheme'].filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+  return {
+    fields,
+    tandas,
+    cortinas,
+    changed: fields.length > 0 || cortinas.length > 0 || tandas.some((tanda) => tanda.status !== 'unchanged')
+  };
+}
+
+module.exports = { recordRevision, listRevisions, readRevision, stepRevision, diffPlaylists };
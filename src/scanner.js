@@ -0,0 +1,343 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseFile } = require('music-metadata');
+const { toNumberOrNull } = require('./tracks');
+const { withCredits } = require('./credits');
+const { readJson, writeJson } = require('./json-store');
+const { isInside } = require('./paths');
+const { canAnalyze, openAnalysisCache, analyzeFile, applyAnalysis, needsAnalysis } = require('./analysis');
+
+const ALLOWED_EXTENSIONS = new Set(['.mp3', '.flac', '.m4a', '.wav', '.ogg', '.aiff']);
+const CHECKPOINT_EVERY = 200;
+// Decoding is slow, so the analysis stage saves more often.
+const ANALYSIS_CHECKPOINT_EVERY = 20;
+const PROGRESS_EVERY = 25;
+const MAX_REPORTED_ERRORS = 20;
+const ACTIVE_STATUSES = new Set(['walking', 'scanning', 'analyzing']);
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let activeJob = null;
+
+// `realRoot` is the scanned folder with symlinks resolved; linked files that lead out of it are skipped.
+async function walk(dirPath, job, realRoot) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (dirPath === job.root) throw error;
+    recordError(job, dirPath, error);
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    if (job.cancelRequested) break;
+    const full = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walk(full, job, realRoot)));
+    } else if (ALLOWED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      const target = entry.isSymbolicLink() ? await fs.realpath(full).catch(() => null) : full;
+      if (target && (target === full || isInside(realRoot, target))) files.push(full);
+    }
+  }
+  return files;
+}
+
+function guessStyleFromMetadata(metadata) {
+  const text = `${metadata.genre || ''} ${metadata.title || ''} ${metadata.album || ''}`.toLowerCase();
+  if (text.includes('vals') || text.includes('waltz')) return 'vals';
+  if (text.includes('milonga')) return 'milonga';
+  if (text.includes('cortina')) return 'cortina';
+  return 'tango';
+}
+
+function recordError(job, file, error) {
+  job.failed += 1;
+  if (job.errors.length < MAX_REPORTED_ERRORS) job.errors.push({ file, error: error.message });
+  console.warn(`Could not scan ${file}: ${error.message}`);
+}
+
+// ReplayGain tags as music-metadata reads them: gains in dB, peaks as a linear 0..1 ratio.
+function readReplayGain(common) {
+  const gain = (value) => (Number.isFinite(value?.dB) ? value.dB : null);
+  const peak = (value) => (Number.isFinite(value?.ratio) ? value.ratio : null);
+  const replayGain = {
+    trackGain: gain(common.replaygain_track_gain),
+    trackPeak: peak(common.replaygain_track_peak),
+    albumGain: gain(common.replaygain_album_gain),
+    albumPeak: peak(common.replaygain_album_peak)
+  };
+  return Object.values(replayGain).some((value) => value !== null) ? replayGain : null;
+}
+
+async function readTrack(file, rootDir, stat) {
+  const meta = await parseFile(file);
+  const common = meta.common || {};
+  const format = meta.format || {};
+  const title = common.title || path.basename(file);
+  const album = common.album || 'Unknown Album';
+  const genre = (common.genre && common.genre[0]) || '';
+  return withCredits({
+    sourcePath: file,
+    relativePath: path.relative(rootDir, file),
+    title,
+    artist: common.artist || 'Unknown Artist',
+    album,
+    genre,
+    year: common.year || null,
+    duration: format.duration || 0,
+    style: guessStyleFromMetadata({ genre, title, album }),
+    bpm: toNumberOrNull(common.bpm),
+    key: common.key || null,
+    replayGain: readReplayGain(common),
+    fileSize: stat.size,
+    fileMtimeMs: stat.mtimeMs
+  }, { comment: common.comment, dates: [common.originaldate, common.originalyear, common.date] });
+}
+
+// Fields only a tag scan knows about; anything else on an existing track (catalog data, edits) is kept.
+function mergeScannedTrack(existing, scanned) {
+  const merged = { orchestra: null, energy: null, camelotKey: null, ...existing };
+  Object.entries(scanned).forEach(([field, value]) => {
+    if (value !== null && value !== undefined && value !== '') merged[field] = value;
+    else if (!(field in merged)) merged[field] = value;
+  });
+  return merged;
+}
+
+function movedKey(track) {
+  return `${track.fileSize}|${(track.title || '').toLowerCase()}|${(track.artist || '').toLowerCase()}`;
+}
+
+function snapshot(job) {
+  const { cancelRequested, ...visible } = job;
+  const [done, total] = job.status === 'analyzing' ? [job.analysis.processed, job.analysis.total] : [job.processed, job.total];
+  return { ...visible, percent: total ? Math.round((done / total) * 100) : 0 };
+}
+
+function publish(job, force = false) {
+  if (!force && job.processed % PROGRESS_EVERY !== 0) return;
+  events.emit(job.id, snapshot(job));
+}
+
+async function saveLibrary(options, library, tracksByPath, job) {
+  const tracks = [...tracksByPath.values()];
+  await writeJson(options.libraryFile, {
+    ...library,
+    generatedAt: new Date().toISOString(),
+    root: job.root,
+    trackCount: tracks.length,
+    lastScan: { jobId: job.id, status: job.status, finishedAt: job.finishedAt },
+    tracks
+  });
+  await writeJson(options.jobFile, snapshot(job));
+}
+
+/**
+ * Measures tempo, loudness and silence for tracks under the scanned root whose files are new or
+ * changed since their last analysis. Results are cached by file hash (see analysis.js).
+ */
+async function runAnalysis(job, options, library, tracksByPath, rootPrefix) {
+  const cache = await openAnalysisCache(options.analysisCacheFile);
+  const inRoot = [...tracksByPath.values()].filter((track) => track.sourcePath?.startsWith(rootPrefix));
+  const pending = inRoot.filter(needsAnalysis);
+  job.status = 'analyzing';
+  job.analysis.total = pending.length;
+  job.analysis.skipped = inRoot.filter((track) => !canAnalyze(track.sourcePath)).length;
+  publish(job, true);
+
+  for (const track of pending) {
+    if (job.cancelRequested) break;
+    try {
+      const { hash, result, cached } = await analyzeFile(track.sourcePath, cache);
+      tracksByPath.set(track.sourcePath, applyAnalysis(tracksByPath.get(track.sourcePath), hash, result));
+      job.analysis[cached ? 'cached' : 'analyzed'] += 1;
+    } catch (error) {
+      job.analysis.failed += 1;
+      if (job.errors.length < MAX_REPORTED_ERRORS) job.errors.push({ file: track.sourcePath, stage: 'analysis', error: error.message });
+      console.warn(`Could not analyze ${track.sourcePath}: ${error.message}`);
+    }
+    job.analysis.processed += 1;
+    events.emit(job.id, snapshot(job));
+    if (job.analysis.processed % ANALYSIS_CHECKPOINT_EVERY === 0) {
+      await cache.save();
+      await saveLibrary(options, library, tracksByPath, job);
+    }
+  }
+  await cache.save();
+}
+
+/**
+ * Scans `root` into the library. Files whose path, size and mtime are unchanged are skipped,
+ * changed files keep their track ID, and a new file matching a vanished one (same size,
+ * title and artist) is treated as a move and inherits its ID. Tracks outside `root` are untouched.
+ */
+async function runScan(job, options) {
+  const library = await readJson(options.libraryFile, { tracks: [] });
+  const tracksByPath = new Map((library.tracks || []).map((track) => [track.sourcePath || track.id, track]));
+  const usedIds = new Set((library.tracks || []).map((track) => track.id));
+  const rootPrefix = job.root.endsWith(path.sep) ? job.root : `${job.root}${path.sep}`;
+
+  const files = await walk(job.root, job, await fs.realpath(job.root));
+  job.total = files.length;
+  job.status = 'scanning';
+  publish(job, true);
+
+  const present = new Set(files);
+  const vanished = [...tracksByPath.values()].filter((track) => track.sourcePath?.startsWith(rootPrefix) && !present.has(track.sourcePath));
+  const vanishedByKey = new Map(vanished.filter((track) => track.fileSize).map((track) => [movedKey(track), track]));
+
+  for (const file of files) {
+    if (job.cancelRequested) break;
+    try {
+      const stat = await fs.stat(file);
+      const existing = tracksByPath.get(file);
+      if (existing && existing.fileSize === stat.size && existing.fileMtimeMs === stat.mtimeMs) {
+        job.unchanged += 1;
+      } else {
+        const scanned = await readTrack(file, job.root, stat);
+        const moved = existing ? null : vanishedByKey.get(movedKey(scanned));
+        const newId = `${job.idPrefix}${scanned.relativePath}`;
+        let id = existing?.id || moved?.id || newId;
+        if (!existing && !moved) {
+          for (let copy = 2; usedIds.has(id); copy += 1) id = `${newId}#${copy}`;
+        }
+        usedIds.add(id);
+        if (moved) {
+          vanishedByKey.delete(movedKey(scanned));
+          tracksByPath.delete(moved.sourcePath);
+          job.moved += 1;
+        } else if (existing) {
+          job.updated += 1;
+        } else {
+          job.added += 1;
+        }
+        tracksByPath.set(file, { id, ...mergeScannedTrack(existing || moved || {}, scanned), musicRoot: job.rootName, scannedAt: new Date().toISOString() });
+      }
+    } catch (error) {
+      recordError(job, file, error);
+    }
+    job.processed += 1;
+    publish(job);
+    if (job.processed % CHECKPOINT_EVERY === 0) await saveLibrary(options, library, tracksByPath, job);
+  }
+
+  if (job.cancelRequested) {
+    job.status = 'cancelled';
+  } else {
+    // Only a finished walk can prove a file is gone.
+    const removed = vanished.filter((track) => tracksByPath.get(track.sourcePath) === track);
+    removed.forEach((track) => tracksByPath.delete(track.sourcePath));
+    job.removed = removed.length;
+    job.removedTracks = removed.slice(0, MAX_REPORTED_ERRORS).map((track) => ({ id: track.id, title: track.title, sourcePath: track.sourcePath }));
+    if (job.analysis) await runAnalysis(job, options, library, tracksByPath, rootPrefix);
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+  }
+  job.finishedAt = new Date().toISOString();
+  await saveLibrary(options, library, tracksByPath, job);
+}
+
+/**
+ * Starts a background scan of `root`. `options.rootName` names the music root it belongs to and
+ * `options.idPrefix` goes in front of new track IDs, so roots holding the same relative paths do not clash.
+ */
+function startScan(root, options) {
+  if (activeJob) {
+    const error = new Error('A library scan is already running');
+    error.job = snapshot(activeJob);
+    throw error;
+  }
+  const job = {
+    id: `scan-${Date.now()}`,
+    root: path.resolve(root),
+    rootName: options.rootName || null,
+    idPrefix: options.idPrefix || '',
+    status: 'walking',
+    resumedFrom: options.resumedFrom || null,
+    total: 0,
+    processed: 0,
+    added: 0,
+    updated: 0,
+    moved: 0,
+    unchanged: 0,
+    removed: 0,
+    failed: 0,
+    errors: [],
+    // Counts for the analysis stage, or null when the scan was started without it.
+    analysis: options.analyze ? { total: 0, processed: 0, analyzed: 0, cached: 0, skipped: 0, failed: 0 } : null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  activeJob = job;
+
+  writeJson(options.jobFile, snapshot(job))
+    .then(() => runScan(job, options))
+    .catch(async (error) => {
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      await writeJson(options.jobFile, snapshot(job)).catch(() => {});
+    })
+    .finally(() => {
+      activeJob = null;
+      publish(job, true);
+    });
+
+  return snapshot(job);
+}
+
+async function getScanJob(id, options) {
+  if (jobs.has(id)) return snapshot(jobs.get(id));
+  const last = await readJson(options.jobFile, null);
+  return last && last.id === id ? last : null;
+}
+
+async function latestScanJob(options) {
+  if (activeJob) return snapshot(activeJob);
+  const recent = [...jobs.values()].pop();
+  return recent ? snapshot(recent) : readJson(options.jobFile, null);
+}
+
+function cancelScan(id) {
+  const job = jobs.get(id);
+  if (!job || !ACTIVE_STATUSES.has(job.status)) return null;
+  job.cancelRequested = true;
+  return snapshot(job);
+}
+
+function isScanActive(job) {
+  return Boolean(job && ACTIVE_STATUSES.has(job.status));
+}
+
+// Calls `listener` with job snapshots until it finishes; returns an unsubscribe function.
+function subscribeScan(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+// A scan cut off by a restart is started again; unchanged files make the rerun cheap.
+async function resumeInterruptedScan(options) {
+  const last = await readJson(options.jobFile, null);
+  if (!isScanActive(last)) return null;
+  const root = options.findRoot ? options.findRoot(last.root) : { name: last.rootName };
+  if (!root) {
+    console.warn(`Not resuming the library scan of ${last.root}: it is no longer a music root`);
+    return null;
+  }
+  console.log(`Resuming interrupted library scan of ${last.root}`);
+  return startScan(last.root, { ...options, rootName: root.name, idPrefix: last.idPrefix, analyze: Boolean(last.analysis), resumedFrom: last.id });
+}
+
+module.exports = {
+  startScan,
+  getScanJob,
+  latestScanJob,
+  cancelScan,
+  isScanActive,
+  subscribeScan,
+  resumeInterruptedScan
+};
@@ -0,0 +1,88 @@
+const { foldText, orchestraOf, orchestraKey, toNumberOrNull } = require('./tracks');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const ORCHESTRA_FACET_LIMIT = 40;
+const SORTS = {
+  title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+  orchestra: (a, b) => orchestraOf(a).localeCompare(orchestraOf(b)) || (toNumberOrNull(a.year) ?? 9999) - (toNumberOrNull(b.year) ?? 9999),
+  year: (a, b) => (toNumberOrNull(a.year) ?? 9999) - (toNumberOrNull(b.year) ?? 9999),
+  bpm: (a, b) => (toNumberOrNull(a.bpm) ?? 9999) - (toNumberOrNull(b.bpm) ?? 9999)
+};
+
+function inRange(value, min, max) {
+  const lo = toNumberOrNull(min);
+  const hi = toNumberOrNull(max);
+  if (lo === null && hi === null) return true;
+  const number = toNumberOrNull(value);
+  if (number === null) return false;
+  return (lo === null || number >= lo) && (hi === null || number <= hi);
+}
+
+function searchText(track) {
+  return foldText(`${track.title} ${track.artist} ${track.album} ${track.orchestra || ''} ${track.singer || ''}`);
+}
+
+/**
+ * Filters tracks by the library query parameters: `q` (every word must match title, artist,
+ * album, orchestra or singer, accents ignored), `style`, `orchestra`, `key`, `camelotKey`,
+ * `minYear`/`maxYear`, `minBpm`/`maxBpm`, `minEnergy`/`maxEnergy`, `playable` and `excludeIds`.
+ * `excludeIds` must be a Set the server built; anything else, such as a query string value, is ignored.
+ */
+function filterLibraryTracks(tracks, query = {}) {
+  const words = foldText(query.q).split(/\s+/).filter(Boolean);
+  const orchestra = foldText(`${query.orchestra || ''}`.trim());
+  const excludeIds = query.excludeIds instanceof Set ? query.excludeIds : new Set();
+
+  return tracks.filter((track) => (!query.style || track.style === query.style)
+    && (!query.playable || !track.doNotPlay)
+    && !excludeIds.has(track.id)
+    && (!orchestra || orchestraKey(track).includes(orchestra))
+    && (!query.key || track.key === query.key)
+    && (!query.camelotKey || track.camelotKey === query.camelotKey)
+    && inRange(track.year, query.minYear, query.maxYear)
+    && inRange(track.bpm, query.minBpm, query.maxBpm)
+    && inRange(track.energy, query.minEnergy, query.maxEnergy)
+    && (!words.length || words.every((word) => searchText(track).includes(word))));
+}
+
+function countFacets(tracks) {
+  const styles = {};
+  const orchestras = new Map();
+  const years = [];
+  for (const track of tracks) {
+    styles[track.style] = (styles[track.style] || 0) + 1;
+    const key = orchestraKey(track);
+    const entry = orchestras.get(key) || { name: orchestraOf(track), count: 0 };
+    entry.count += 1;
+    orchestras.set(key, entry);
+    const year = toNumberOrNull(track.year);
+    if (year !== null) years.push(year);
+  }
+  return {
+    styles,
+    orchestras: [...orchestras.values()]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, ORCHESTRA_FACET_LIMIT),
+    years: years.length ? { min: Math.min(...years), max: Math.max(...years) } : null
+  };
+}
+
+// One page of matching tracks, plus facet counts over every match so the filters can be narrowed.
+function searchLibrary(tracks, query = {}) {
+  const matches = filterLibraryTracks(tracks, query);
+  if (SORTS[query.sort]) matches.sort(SORTS[query.sort]);
+  const pageSize = Math.max(1, Math.min(Math.trunc(toNumberOrNull(query.pageSize) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE));
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.max(1, Math.min(Math.trunc(toNumberOrNull(query.page) || 1), pageCount));
+  return {
+    total: matches.length,
+    page,
+    pageSize,
+    pageCount,
+    facets: countFacets(matches),
+    tracks: matches.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+module.exports = { filterLibraryTracks, searchLibrary };
@@ -1,56 +1,159 @@
 const express = require('express');
 const fs = require('fs/promises');
 const path = require('path');
-const { parseFile } = require('music-metadata');
-const OpenAI = require('openai');
+const {
+  TANDA_TYPES,
+  AVERAGE_TRACK_SECONDS,
+  ORCHESTRA_SPACING,
+  toNumberOrNull,
+  trackSeconds,
+  foldText,
+  groupByStyle,
+  orchestraOf,
+  orchestraKey,
+  singerKey,
+  tandaConsistency
+} = require('./tracks');
+const { planSet, planTanda } = require('./planner');
+const {
+  DEFAULT_CORTINA_SECONDS,
+  hydrateCortina,
+  autoCortinaEntries,
+  cortinaPlaySeconds,
+  cortinaThemes,
+  pickCortinas,
+  planCortina
+} = require('./cortinas');
+const { validatePlaylist } = require('./validator');
+const { computeFlow } = require('./flow');
+const { createTrackIndex, createTranscoder, sendAudioFile, sendAudioStream } = require('./audio');
+const { isSafeId, parseMusicRoots, findMusicRoot, rootOfFile, describeMusicRoots } = require('./paths');
+const { buildShortlist } = require('./retrieval');
+const { readJson, writeJson } = require('./json-store');
+const { createRng, shuffleWith } = require('./random');
+const { withCredits } = require('./credits');
+const { filterLibraryTracks, searchLibrary } = require('./search');
+const { parseOverrideChanges, mergeOverride, applyOverrides } = require('./overrides');
+const { EXPORT_FORMATS, exportPlaylist } = require('./export');
+const { parsePlaylistFile, matchEntries, segmentEntries } = require('./import');
+const { recordRevision, listRevisions, readRevision, stepRevision, diffPlaylists } = require('./revisions');
+const { normalizeSavedTanda, checkSavedTanda, filterSavedTandas, usableSavedTandas } = require('./tanda-library');
+const { API_STYLES, STRUCTURED_OUTPUT_MODES, resolveLlmConfig, normalizeLlmSettings, describeLlmConfig, createLlmClient } = require('./llm');
+const { createEvent, continuesEvent, addPlay, markPlaylistPlayed, summarizeEvent, filterEvents, recentPlays } = require('./play-log');
+const {
+  startScan,
+  getScanJob,
+  latestScanJob,
+  cancelScan,
+  isScanActive,
+  subscribeScan,
+  resumeInterruptedScan
+} = require('./scanner');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const MUSIC_ROOT = process.env.MUSIC_ROOT || '/users/johnwilliams/Music/MyMusic';
-const DATA_DIR = path.resolve(__dirname, '..', 'data');
+// Scans and audio are confined to these named folders (MUSIC_ROOTS, else MUSIC_ROOT as `main`).
+const MUSIC_ROOTS = parseMusicRoots(process.env, '/users/johnwilliams/Music/MyMusic');
+// DATA_DIR moves everything the server writes, e.g. to a temporary folder for tests.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
 const LIBRARY_FILE = path.join(DATA_DIR, 'library', 'library.json');
+const SCAN_JOB_FILE = path.join(DATA_DIR, 'library', 'scan-job.json');
+const OVERRIDES_FILE = path.join(DATA_DIR, 'library', 'overrides.json');
+const ANALYSIS_CACHE_FILE = path.join(DATA_DIR, 'library', 'analysis-cache.json');
+const SCAN_OPTIONS = {
+  libraryFile: LIBRARY_FILE,
+  jobFile: SCAN_JOB_FILE,
+  analysisCacheFile: ANALYSIS_CACHE_FILE,
+  findRoot: (root) => MUSIC_ROOTS.find((item) => item.path === root) || null
+};
+// Measuring tempo, loudness and silence is optional: scans skip it unless the request asks for it
+// or AUDIO_ANALYSIS=on makes it the default.
+const AUDIO_ANALYSIS = ['on', 'true', '1'].includes(`${process.env.AUDIO_ANALYSIS || ''}`.toLowerCase());
 const CATALOG_FALLBACK_FILES = ['CatalogArt.json', 'catalog-Art.json'];
 const PLAYLISTS_DIR = path.join(DATA_DIR, 'playlists');
 const TANDA_LIBRARY_DIR = path.join(DATA_DIR, 'tanda-library');
-const ALLOWED_EXTENSIONS = new Set(['.mp3', '.flac', '.m4a', '.wav', '.ogg', '.aiff']);
+const STRUCTURES_DIR = path.join(DATA_DIR, 'structures');
+const CORTINA_LIBRARY_DIR = path.join(DATA_DIR, 'cortina-library');
+const PERFORMANCE_DIR = path.join(DATA_DIR, 'performance');
+const PLAYLIST_REVISIONS_DIR = path.join(DATA_DIR, 'playlist-revisions');
+const PLAY_LOG_DIR = path.join(DATA_DIR, 'play-log');
+const LLM_SETTINGS_FILE = path.join(DATA_DIR, 'settings', 'llm.json');
+const AGENT_REPAIR_ROUNDS = Math.max(0, Number(process.env.AGENT_REPAIR_ROUNDS ?? 2) || 0);
+const AGENT_SHORTLIST_LIMIT = Number(process.env.AGENT_SHORTLIST_LIMIT) || 400;
+const AUDIO_CACHE_DIR = path.join(DATA_DIR, 'audio-cache');
+// Transcoded copies beyond this many megabytes are deleted, least recently served first; 0 keeps them all.
+const AUDIO_CACHE_MAX_MB = Math.max(0, Number(process.env.AUDIO_CACHE_MAX_MB ?? 2048) || 0);
+// ffmpeg (or the command named here) converts formats a browser cannot play; 'off' never transcodes.
+const AUDIO_TRANSCODER = process.env.AUDIO_TRANSCODER === 'off' ? null : process.env.AUDIO_TRANSCODER || 'ffmpeg';
+// Extensions always transcoded, whatever the browser asks, e.g. ".aiff,.flac".
+const AUDIO_TRANSCODE_EXTENSIONS = (process.env.AUDIO_TRANSCODE_EXTENSIONS || '')
+  .split(',')
+  .map((extension) => extension.trim().toLowerCase())
+  .filter(Boolean)
+  .map((extension) => (extension.startsWith('.') ? extension : `.${extension}`));
+// How many past events new playlists avoid repeating by default; 0 turns it off.
+const AVOID_RECENT_EVENTS = Math.max(0, Math.trunc(Number(process.env.AVOID_RECENT_EVENTS ?? 3)) || 0);
+
+const audioTracks = createTrackIndex(LIBRARY_FILE);
+const transcoder = createTranscoder({ command: AUDIO_TRANSCODER, cacheDir: AUDIO_CACHE_DIR, maxBytes: AUDIO_CACHE_MAX_MB * 1024 * 1024 });
 
 app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.resolve(__dirname, '..', 'public')));
+// These IDs name files under data/, so anything that could climb out of a folder is refused up front.
+app.use(['/api/playlists/:id', '/api/tanda-library/:id', '/api/cortinas/:id', '/api/structures/:id', '/api/play-log/:id'], (req, res, next) => {
+  if (!isSafeId(req.params.id)) return res.status(400).json({ error: 'Invalid ID' });
+  next();
+});
+
+async function readLlmSettings() {
+  return readJson(LLM_SETTINGS_FILE, {});
+}
 
-function buildOpenAIClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  return apiKey ? new OpenAI({ apiKey }) : null;
+async function buildLlmClient() {
+  return createLlmClient(resolveLlmConfig(await readLlmSettings()));
 }
 
-const generationSchema = {
-  name: 'tango_playlist_plan',
+const NO_LLM_REASON = 'No language model configured (set OPENAI_API_KEY, or LLM_BASE_URL for a local server)';
+
+const DEFAULT_STRUCTURE_ID = 'ttvttm';
+const DEFAULT_STRUCTURES = [
+  {
+    id: 'ttvttm',
+    name: 'Classic TTVTTM (4/3/3)',
+    pattern: ['tango', 'tango', 'vals', 'tango', 'tango', 'milonga'],
+    tandaSizes: { tango: 4, vals: 3, milonga: 3 },
+    tandaCount: 6,
+    targetDurationMinutes: null
+  },
+  {
+    id: 'ttmttv',
+    name: 'TTMTTV (4/3/3)',
+    pattern: ['tango', 'tango', 'milonga', 'tango', 'tango', 'vals'],
+    tandaSizes: { tango: 4, vals: 3, milonga: 3 },
+    tandaCount: 6,
+    targetDurationMinutes: null
+  },
+  {
+    id: 'ttvttm-3',
+    name: 'TTVTTM with 3-track tangos',
+    pattern: ['tango', 'tango', 'vals', 'tango', 'tango', 'milonga'],
+    tandaSizes: { tango: 3, vals: 3, milonga: 3 },
+    tandaCount: 6,
+    targetDurationMinutes: null
+  }
+];
+
+const tandaSchema = {
+  name: 'tango_tanda',
   schema: {
     type: 'object',
-    required: ['tandas', 'cortinaTrackIds'],
+    required: ['type', 'reasoning', 'trackIds'],
     properties: {
-      tandas: {
+      type: { type: 'string', enum: TANDA_TYPES },
+      reasoning: { type: 'string' },
+      trackIds: {
         type: 'array',
-        minItems: 6,
-        maxItems: 6,
-        items: {
-          type: 'object',
-          required: ['type', 'reasoning', 'trackIds'],
-          properties: {
-            type: { type: 'string', enum: ['tango', 'vals', 'milonga'] },
-            reasoning: { type: 'string' },
-            trackIds: {
-              type: 'array',
-              items: { type: 'string' }
-            }
-          },
-          additionalProperties: false
-        }
-      },
-      cortinaTrackIds: {
-        type: 'array',
-        minItems: 6,
-        maxItems: 6,
         items: { type: 'string' }
       }
     },
@@ -58,10 +161,47 @@ const generationSchema = {
   }
 };
 
+function buildGenerationSchema(slotCount) {
+  return {
+    name: 'tango_playlist_plan',
+    schema: {
+      type: 'object',
+      required: ['tandas', 'cortinaTrackIds'],
+      properties: {
+        tandas: {
+          type: 'array',
+          minItems: slotCount,
+          maxItems: slotCount,
+          items: tandaSchema.schema
+        },
+        cortinaTrackIds: {
+          type: 'array',
+          minItems: slotCount,
+          maxItems: slotCount,
+          items: { type: 'string' }
+        }
+      },
+      additionalProperties: false
+    }
+  };
+}
+
 async function ensureDataDirs() {
   await fs.mkdir(path.dirname(LIBRARY_FILE), { recursive: true });
   await fs.mkdir(PLAYLISTS_DIR, { recursive: true });
   await fs.mkdir(TANDA_LIBRARY_DIR, { recursive: true });
+  await fs.mkdir(STRUCTURES_DIR, { recursive: true });
+  await fs.mkdir(CORTINA_LIBRARY_DIR, { recursive: true });
+  await fs.mkdir(PERFORMANCE_DIR, { recursive: true });
+  await fs.mkdir(PLAYLIST_REVISIONS_DIR, { recursive: true });
+  await fs.mkdir(PLAY_LOG_DIR, { recursive: true });
+  await fs.mkdir(path.dirname(LLM_SETTINGS_FILE), { recursive: true });
+  const structureFiles = (await fs.readdir(STRUCTURES_DIR)).filter((name) => name.endsWith('.json'));
+  if (!structureFiles.length) {
+    for (const structure of DEFAULT_STRUCTURES) {
+      await writeJson(path.join(STRUCTURES_DIR, `${structure.id}.json`), structure);
+    }
+  }
   try {
     await fs.access(LIBRARY_FILE);
   } catch {
@@ -83,7 +223,8 @@ function mapCatalogTrack(entry = {}) {
   if (!absPath) return null;
 
   const tags = entry.tags || {};
-  return {
+  const normalizedOrchestra = entry.normalizedOrchestra || tags.normalizedOrchestra;
+  return withCredits({
     id: absPath,
     sourcePath: absPath,
     relativePath: absPath,
@@ -92,10 +233,16 @@ function mapCatalogTrack(entry = {}) {
     album: tags.album || 'Unknown Album',
     genre: Array.isArray(tags.genre) ? tags.genre.join(', ') : tags.genre || '',
     year: tags.year || null,
-    duration: 0,
+    duration: toNumberOrNull(tags.durationSec) || 0,
     style: inferTrackStyle(tags),
-    artUrl: entry.artUrl || null
-  };
+    orchestra: normalizedOrchestra && normalizedOrchestra !== 'Unknown' ? normalizedOrchestra : null,
+    bpm: toNumberOrNull(tags.tempoBPM),
+    energy: toNumberOrNull(tags.Energy),
+    key: tags.Key || null,
+    camelotKey: tags.camelotKey || null,
+    artUrl: entry.artUrl || null,
+    coverUrl: tags.coverUrl || null
+  }, { comment: tags.comment, dates: [tags.recordingDate, tags.originalDate] });
 }
 
 async function loadCatalogFallback() {
@@ -111,312 +258,792 @@ async function loadCatalogFallback() {
 
     return {
       generatedAt: new Date().toISOString(),
-      root: MUSIC_ROOT,
+      root: MUSIC_ROOTS[0]?.path || null,
       source: fileName,
       trackCount: tracks.length,
       tracks
     };
   }
 
-  return { generatedAt: null, root: MUSIC_ROOT, tracks: [] };
+  return { generatedAt: null, root: MUSIC_ROOTS[0]?.path || null, tracks: [] };
 }
 
-async function readJson(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
+function normalizeStructure(input = {}, id) {
+  const pattern = Array.isArray(input.pattern) ? input.pattern.map((type) => `${type}`.toLowerCase()) : [];
+  const tandaSizes = {};
+  for (const type of TANDA_TYPES) {
+    tandaSizes[type] = Math.round(toNumberOrNull(input.tandaSizes?.[type]) || (type === 'tango' ? 4 : 3));
   }
+  return {
+    id,
+    name: `${input.name || id}`.trim(),
+    pattern,
+    tandaSizes,
+    tandaCount: toNumberOrNull(input.tandaCount) ? Math.round(input.tandaCount) : null,
+    targetDurationMinutes: toNumberOrNull(input.targetDurationMinutes)
+  };
 }
 
-async function writeJson(filePath, value) {
-  await fs.writeFile(filePath, JSON.stringify(value, null, 2));
+function validateStructure(structure) {
+  if (!structure.name) return 'name is required';
+  if (!structure.pattern.length) return 'pattern must list at least one tanda type';
+  const unknown = structure.pattern.find((type) => !TANDA_TYPES.includes(type));
+  if (unknown) return `Unknown tanda type in pattern: ${unknown}`;
+  if (Object.values(structure.tandaSizes).some((size) => size < 1 || size > 8)) return 'tandaSizes must be between 1 and 8';
+  if (structure.tandaCount !== null && (structure.tandaCount < 1 || structure.tandaCount > 60)) return 'tandaCount must be between 1 and 60';
+  if (structure.targetDurationMinutes !== null && structure.targetDurationMinutes <= 0) return 'targetDurationMinutes must be positive';
+  return null;
 }
 
-async function walk(dirPath) {
-  const entries = await fs.readdir(dirPath, { withFileTypes: true });
-  const files = [];
-  for (const entry of entries) {
-    const full = path.join(dirPath, entry.name);
-    if (entry.isDirectory()) {
-      files.push(...(await walk(full)));
-    } else if (ALLOWED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
-      files.push(full);
-    }
+function averageTrackSecondsByStyle(library) {
+  const totals = {};
+  for (const track of library?.tracks || []) {
+    const seconds = toNumberOrNull(track.duration);
+    if (!seconds) continue;
+    const entry = totals[track.style] || { sum: 0, count: 0 };
+    entry.sum += seconds;
+    entry.count += 1;
+    totals[track.style] = entry;
   }
-  return files;
+  const averages = {};
+  for (const type of TANDA_TYPES) {
+    averages[type] = totals[type] ? totals[type].sum / totals[type].count : AVERAGE_TRACK_SECONDS;
+  }
+  return averages;
 }
 
-function guessStyleFromMetadata(metadata) {
-  const text = `${metadata.genre || ''} ${metadata.title || ''} ${metadata.album || ''}`.toLowerCase();
-  if (text.includes('vals') || text.includes('waltz')) return 'vals';
-  if (text.includes('milonga')) return 'milonga';
-  if (text.includes('cortina')) return 'cortina';
-  return 'tango';
+function parseDurationMinutes(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const text = `${value}`.trim().toLowerCase();
+  let match = text.match(/^(\d+)\s*h(?:\s*(\d{1,2})\s*m?)?$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2] || 0);
+  match = text.match(/^(\d+):(\d{2})$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  match = text.match(/^(\d+)\s*(?:m|min)?$/);
+  if (match && Number(match[1]) > 0) return Number(match[1]);
+  return null;
 }
 
-async function buildLibrary(rootDir = MUSIC_ROOT) {
-  const files = await walk(rootDir);
-  const tracks = [];
+function parseClock(value) {
+  const match = `${value || ''}`.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60;
+}
 
-  for (const file of files) {
-    try {
-      const meta = await parseFile(file);
-      const relativePath = path.relative(rootDir, file);
-      const common = meta.common || {};
-      const format = meta.format || {};
-      const title = common.title || path.basename(file);
-      const artist = common.artist || 'Unknown Artist';
-      const album = common.album || 'Unknown Album';
-      const genre = (common.genre && common.genre[0]) || '';
-      const year = common.year || null;
-      const duration = format.duration || 0;
-
-      tracks.push({
-        id: relativePath,
-        sourcePath: file,
-        relativePath,
-        title,
-        artist,
-        album,
-        genre,
-        year,
-        duration,
-        style: guessStyleFromMetadata({ genre, title, album })
-      });
-    } catch (error) {
-      console.warn(`Could not parse ${file}: ${error.message}`);
-    }
-  }
+function formatClock(seconds) {
+  const minutes = Math.floor(seconds / 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-  const library = {
-    generatedAt: new Date().toISOString(),
-    root: rootDir,
-    trackCount: tracks.length,
-    tracks
-  };
+function estimateTandaCount(structure, targetDurationMinutes, options = {}) {
+  if (!targetDurationMinutes) return structure.pattern.length;
+  const averages = options.averageSeconds || {};
+  const cortinaSeconds = options.cortinaSeconds ?? DEFAULT_CORTINA_SECONDS;
+  const cycleSeconds = structure.pattern.reduce((sum, type) => sum
+    + structure.tandaSizes[type] * (averages[type] || AVERAGE_TRACK_SECONDS)
+    + cortinaSeconds, 0);
+  const averageTandaSeconds = cycleSeconds / structure.pattern.length;
+  // Plan one tanda beyond the estimate so there is enough material; fitPlanToDuration trims the overshoot.
+  return Math.max(1, Math.ceil((targetDurationMinutes * 60) / averageTandaSeconds) + 1);
+}
 
-  await writeJson(LIBRARY_FILE, library);
-  return library;
+function expandStructure(structure, options = {}) {
+  const targetDurationMinutes = options.targetDurationMinutes
+    || (structure.tandaCount ? null : structure.targetDurationMinutes);
+  const count = targetDurationMinutes
+    ? estimateTandaCount(structure, targetDurationMinutes, options)
+    : structure.tandaCount || structure.pattern.length;
+  return Array.from({ length: count }, (_, idx) => {
+    const type = structure.pattern[idx % structure.pattern.length];
+    return { type, size: structure.tandaSizes[type] };
+  });
 }
 
-function groupByStyle(library) {
-  const grouped = { tango: [], vals: [], milonga: [], cortina: [] };
-  for (const track of library.tracks || []) {
-    const style = grouped[track.style] ? track.style : 'tango';
-    grouped[style].push(track);
-  }
-  return grouped;
+function describeSlots(slots) {
+  return slots.map((slot) => `${slot.type}(${slot.size})`).join(', ');
 }
 
-function shuffle(arr) {
-  const copy = [...arr];
-  for (let i = copy.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
+async function readStructure(id) {
+  if (!isSafeId(id)) return null;
+  const structure = await readJson(path.join(STRUCTURES_DIR, `${id}.json`), null)
+    || (id === DEFAULT_STRUCTURE_ID ? DEFAULT_STRUCTURES[0] : null);
+  return structure ? normalizeStructure(structure, structure.id || id) : null;
+}
+
+/**
+ * Reads the library with the DJ's metadata overrides applied, whatever produced it (scan or
+ * catalog). With `playable`, tracks flagged "do not play" are left out for set building.
+ */
+async function readLibrary(options = {}) {
+  const library = applyOverrides(
+    await readJson(LIBRARY_FILE, { generatedAt: null, tracks: [] }),
+    await readJson(OVERRIDES_FILE, {})
+  );
+  return options.playable ? { ...library, tracks: library.tracks.filter((track) => !track.doNotPlay) } : library;
+}
+
+async function readCortinaEntries() {
+  const entries = await fs.readdir(CORTINA_LIBRARY_DIR, { withFileTypes: true });
+  const cortinas = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+    const item = await readJson(path.join(CORTINA_LIBRARY_DIR, entry.name), null);
+    if (item) cortinas.push(item);
   }
-  return copy;
+  return cortinas.sort((a, b) => (a.theme || '').localeCompare(b.theme || '') || (a.name || '').localeCompare(b.name || ''));
 }
 
-function selectConsistentOrchestraTracks(candidates, expectedSize, usedTrackIds = new Set()) {
-  const available = candidates.filter((track) => track && !usedTrackIds.has(track.id));
+// The cortina library, or the library's cortina-tagged tracks while it is empty.
+async function loadCortinaPool(library) {
+  const trackMap = new Map((library.tracks || []).map((track) => [track.id, track]));
+  const entries = await readCortinaEntries();
+  const source = entries.length ? entries : autoCortinaEntries(library);
+  return source.map((entry) => hydrateCortina(entry, trackMap.get(entry.trackId))).filter(Boolean);
+}
+
+function normalizeCortinaEntry(input = {}, id) {
+  return {
+    id,
+    trackId: input.trackId,
+    name: `${input.name || ''}`.trim() || null,
+    theme: `${input.theme || ''}`.trim() || 'General',
+    startOffset: Math.max(0, toNumberOrNull(input.startOffset) || 0),
+    playLength: toNumberOrNull(input.playLength) || DEFAULT_CORTINA_SECONDS,
+    fadeOut: Math.max(0, toNumberOrNull(input.fadeOut) ?? 5)
+  };
+}
+
+// How well a track fits tracks already in a tanda: same singer first, then the closest recording year.
+function tandaFitCost(track, chosen) {
+  const singers = chosen.map(singerKey);
+  const dominant = singers.sort((a, b) => singers.filter((key) => key === b).length - singers.filter((key) => key === a).length)[0];
+  const years = chosen.map((item) => toNumberOrNull(item.year)).filter((year) => year !== null).sort((a, b) => a - b);
+  const year = toNumberOrNull(track.year);
+  const yearCost = year !== null && years.length ? Math.abs(year - years[Math.floor(years.length / 2)]) : 3;
+  return (singerKey(track) === dominant ? 0 : 10) + yearCost;
+}
+
+/**
+ * Picks one orchestra for a tanda: the seed tracks' orchestra when there are seeds, else the
+ * largest pool that can fill the slot. Seeds are kept and the rest is filled with the tracks
+ * that best match their singer and recording years. `rng` breaks ties, so a seeded plan repeats.
+ */
+function selectConsistentOrchestraTracks(candidates, expectedSize, usedTrackIds = new Set(), seedTracks = [], rng) {
+  const seen = new Set();
+  const available = candidates.filter((track) => {
+    if (!track || usedTrackIds.has(track.id) || seen.has(track.id)) return false;
+    seen.add(track.id);
+    return true;
+  });
   if (!available.length) return [];
 
-  const byArtist = new Map();
+  const byOrchestra = new Map();
   for (const track of available) {
-    const artistKey = (track.artist || '').trim().toLowerCase() || '__unknown_artist__';
-    const tracks = byArtist.get(artistKey) || [];
+    const key = orchestraKey(track);
+    const tracks = byOrchestra.get(key) || [];
     tracks.push(track);
-    byArtist.set(artistKey, tracks);
+    byOrchestra.set(key, tracks);
   }
 
-  const artistPools = shuffle([...byArtist.values()]).sort((a, b) => b.length - a.length);
-  const selectedPool = artistPools.find((pool) => pool.length >= expectedSize) || artistPools[0] || [];
-  const chosen = shuffle(selectedPool).slice(0, expectedSize);
+  const seedPool = seedTracks[0] ? byOrchestra.get(orchestraKey(seedTracks[0])) : null;
+  const artistPools = shuffleWith(rng, [...byOrchestra.values()]).sort((a, b) => b.length - a.length);
+  const selectedPool = seedPool || artistPools.find((pool) => pool.length >= expectedSize) || artistPools[0] || [];
+  const seedIds = new Set(seedTracks.map((track) => track.id));
+  const remaining = shuffleWith(rng, selectedPool.filter((track) => !seedIds.has(track.id)));
+  const chosen = selectedPool.filter((track) => seedIds.has(track.id)).slice(0, expectedSize);
+  if (!chosen.length && remaining.length) chosen.push(remaining.shift());
+  while (chosen.length < expectedSize && remaining.length) {
+    remaining.sort((a, b) => tandaFitCost(a, chosen) - tandaFitCost(b, chosen));
+    chosen.push(remaining.shift());
+  }
   chosen.forEach((track) => usedTrackIds.add(track.id));
   return chosen;
 }
 
-function fallbackPlaylistPlan(library) {
-  const grouped = groupByStyle(library);
-  const pattern = [
-    { type: 'tango', size: 4 },
-    { type: 'tango', size: 4 },
-    { type: 'vals', size: 3 },
-    { type: 'tango', size: 4 },
-    { type: 'tango', size: 4 },
-    { type: 'milonga', size: 3 }
-  ];
-
-  const used = new Set();
-  const tandas = pattern.map((slot, idx) => {
-    const chosen = selectConsistentOrchestraTracks(grouped[slot.type], slot.size, used);
-    return {
-      id: `tanda-${idx + 1}`,
-      type: slot.type,
-      reasoning: 'Fallback selection due to unavailable OpenAI plan.',
-      tracks: chosen
-    };
-  });
-
-  const cortinaPool = shuffle(grouped.cortina.length ? grouped.cortina : grouped.tango).filter((track) => !used.has(track.id));
-  const cortinas = tandas.map((_, idx) => cortinaPool[idx] || null);
-
-  return { tandas, cortinas };
+function validatePlanShape(plan, slots) {
+  if (!plan || !Array.isArray(plan.tandas) || plan.tandas.length !== slots.length) return false;
+  return plan.tandas.every((t, i) => t.type === slots[i].type
+    && Array.isArray(t.trackIds)
+    && t.trackIds.length >= slots[i].size);
 }
 
-function validatePlanShape(plan) {
-  if (!plan || !Array.isArray(plan.tandas) || plan.tandas.length !== 6) return false;
-  const pattern = ['tango', 'tango', 'vals', 'tango', 'tango', 'milonga'];
-  const sizes = [4, 4, 3, 4, 4, 3];
-  return plan.tandas.every((t, i) => t.type === pattern[i]
-    && Array.isArray(t.trackIds)
-    && t.trackIds.length >= sizes[i]);
+function toConciseTrack(t) {
+  return {
+    id: t.id,
+    title: t.title,
+    artist: t.artist,
+    orchestra: orchestraOf(t),
+    singer: t.instrumental ? 'instrumental' : t.singer || null,
+    album: t.album,
+    style: t.style,
+    year: t.year,
+    duration: t.duration,
+    bpm: t.bpm ?? null,
+    energy: t.energy ?? null,
+    camelotKey: t.camelotKey ?? null
+  };
 }
 
-async function createPlanWithAgent(library, userPrompt) {
-  const openai = buildOpenAIClient();
-  if (!openai) {
+async function createPlanWithAgent(library, userPrompt, slots, options = {}) {
+  const llm = await buildLlmClient();
+  if (!llm) {
     return {
       plan: null,
       debug: {
         enabled: false,
-        reason: 'No OpenAI API key found (checked OPENAI_API_KEY)',
+        reason: NO_LLM_REASON,
         timestamp: new Date().toISOString()
       }
     };
   }
 
-  const pattern = ['tango', 'tango', 'vals', 'tango', 'tango', 'milonga'];
-  const conciseLibrary = library.tracks.map((t) => ({
-    id: t.id,
-    title: t.title,
-    artist: t.artist,
-    album: t.album,
-    style: t.style,
-    year: t.year,
-    duration: t.duration
-  }));
+  const pattern = slots.map((slot) => slot.type);
+  const generationSchema = buildGenerationSchema(slots.length);
+  // Tracks from recent milongas never reach the agent; reviewAgentPlan catches any that come back.
+  const playedTrackIds = options.playedTrackIds || new Set();
+  const fresh = playedTrackIds.size ? { ...library, tracks: library.tracks.filter((track) => !playedTrackIds.has(track.id)) } : library;
+  const shortlist = buildShortlist(fresh, slots, userPrompt, { limit: AGENT_SHORTLIST_LIMIT });
+  const savedTandas = (options.savedTandas || []).filter((saved) => saved.tracks.every((track) => !playedTrackIds.has(track.id)));
+  const conciseLibrary = shortlist.tracks.map(toConciseTrack);
 
   const instructions = [
     'You are an expert Tango DJ agent. Build tandas with strong dance-floor flow.',
-    'Pattern must be tango(4), tango(4), vals(3), tango(4), tango(4), milonga(3).',
-    'Add one cortina id after each tanda (6 total).',
+    `Pattern must be ${describeSlots(slots)}.`,
+    `Add one cortina id after each tanda (${slots.length} total), taken from the cortinas list and all from one theme${options.cortinaTheme ? ` (use theme "${options.cortinaTheme}")` : ''}. Never use a dance track as a cortina.`,
     'Do not repeat track IDs.',
     'Orchestras can repeat only if separated by at least two full tandas.',
-    'Each tanda must use a single orchestra only: once the first track orchestra is chosen, all tracks in that tanda must be by the same artist/orchestra.',
+    'Each tanda must use a single orchestra only: once the first track orchestra is chosen, all tracks in that tanda must share the same orchestra field.',
+    'Within a tanda prefer one singer (or all instrumental) and recordings no more than about three years apart; year is the recording year.',
+    'Use bpm and energy (loudness in dB, higher is more energetic) to keep tempo consistent inside a tanda and to shape the energy arc across the night.',
+    playedTrackIds.size ? `Tracks played at the last ${options.recentEvents} milonga(s) were left out of the list so dancers do not hear the same tandas again; do not reuse their IDs.` : '',
+    savedTandas.length ? 'savedTandas are tandas the DJ built by hand. When one matches a slot\'s type and size and keeps the orchestra spacing, use its trackIds in that order.' : '',
+    shortlist.slotPools.length ? 'The tracks are a shortlist; slotPools suggests candidate orchestras for each tanda slot, so prefer those.' : '',
     userPrompt ? `User direction: ${userPrompt}` : ''
   ].filter(Boolean).join('\n');
 
   const startedAt = Date.now();
   const requestPayload = {
     pattern,
+    sizes: slots.map((slot) => slot.size),
     trackCount: conciseLibrary.length,
+    shortlist: shortlist.stats,
     sampleTrackIds: conciseLibrary.slice(0, 5).map((track) => track.id),
-    userPrompt: userPrompt || ''
+    userPrompt: userPrompt || '',
+    savedTandaCount: savedTandas.length,
+    recentlyPlayedCount: playedTrackIds.size,
+    maxRepairRounds: AGENT_REPAIR_ROUNDS
   };
 
-  const response = await openai.responses.create({
-    model: 'gpt-4.1-mini',
-    instructions,
-    input: [{ role: 'user', content: [{ type: 'input_text', text: JSON.stringify({ pattern, tracks: conciseLibrary }) }] }],
-    text: {
-      format: {
-        type: 'json_schema',
-        name: generationSchema.name,
-        schema: generationSchema.schema,
-        strict: true
-      }
-    }
+  const trackMap = new Map(library.tracks.map((track) => [track.id, track]));
+  const cortinaPool = options.cortinaPool || [];
+  const cortinaMap = cortinaPool.length ? new Map(cortinaPool.map((cortina) => [cortina.id, cortina])) : trackMap;
+  const libraryMessage = JSON.stringify({
+    pattern,
+    sizes: slots.map((slot) => slot.size),
+    slotPools: shortlist.slotPools,
+    tracks: conciseLibrary,
+    savedTandas: savedTandas.map((saved) => ({
+      id: saved.id,
+      name: saved.name,
+      type: saved.type,
+      tags: saved.tags,
+      tracks: saved.tracks.map(toConciseTrack)
+    })),
+    cortinas: cortinaPool.map((cortina) => ({
+      id: cortina.id,
+      title: cortina.title,
+      artist: cortina.artist,
+      theme: cortina.theme
+    }))
   });
+  const conversation = [{ role: 'user', text: libraryMessage }];
+  const rounds = [];
+  let plan = null;
+  let problems = [];
+  let response = null;
+  let jsonText = '';
+
+  for (let round = 0; round <= AGENT_REPAIR_ROUNDS; round += 1) {
+    const roundStartedAt = Date.now();
+    response = await llm.generate({ instructions, messages: conversation, schema: generationSchema });
 
-  const jsonText = response.output_text;
-  const plan = JSON.parse(jsonText);
+    jsonText = response.text;
+    try {
+      plan = JSON.parse(jsonText);
+      problems = reviewAgentPlan(plan, trackMap, slots, cortinaMap, playedTrackIds);
+    } catch (error) {
+      plan = null;
+      problems = [`Response was not valid JSON: ${error.message}`];
+    }
+
+    rounds.push({
+      round,
+      kind: round === 0 ? 'initial' : 'repair',
+      responseId: response.id,
+      structuredOutput: response.structuredOutput,
+      durationMs: Date.now() - roundStartedAt,
+      outputTextLength: jsonText.length,
+      problems
+    });
+    if (!problems.length || round === AGENT_REPAIR_ROUNDS) break;
+
+    conversation.push({ role: 'assistant', text: jsonText });
+    conversation.push({
+      role: 'user',
+      text: [
+        'Your plan breaks these rules:',
+        ...problems.map((problem) => `- ${problem}`),
+        'Return the complete corrected plan. Use only track IDs from the library you were given.'
+      ].join('\n')
+    });
+  }
+
+  const resolved = !problems.length;
   const debug = {
     enabled: true,
-    model: response.model,
+    model: response.model || llm.config.model,
+    provider: { baseUrl: llm.config.baseUrl, api: llm.config.api },
     responseId: response.id,
     createdAt: new Date().toISOString(),
     durationMs: Date.now() - startedAt,
     request: requestPayload,
     response: {
       outputTextLength: jsonText.length,
-      tandaTypes: (plan.tandas || []).map((t) => t.type),
-      cortinaCount: (plan.cortinaTrackIds || []).length
+      tandaTypes: (plan?.tandas || []).map((t) => t.type),
+      cortinaCount: (plan?.cortinaTrackIds || []).length
+    },
+    rounds,
+    repairRounds: rounds.length - 1,
+    resolved
+  };
+  if (!resolved) {
+    debug.validation = `Agent plan still broke ${problems.length} rule(s) after ${rounds.length - 1} repair round(s); offline planner used`;
+  }
+
+  console.log('[Agent Debug] LLM request/response', JSON.stringify(debug));
+
+  return { plan: resolved ? plan : null, debug };
+}
+
+function summarizeTanda(tanda) {
+  const tracks = (tanda?.tracks || []).filter(Boolean);
+  if (!tracks.length) return null;
+  const average = (field) => {
+    const values = tracks.map((track) => toNumberOrNull(track[field])).filter((value) => value !== null);
+    return values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null;
+  };
+  const years = tracks.map((track) => toNumberOrNull(track.year)).filter((year) => year !== null);
+  return {
+    type: tanda.type,
+    orchestra: orchestraOf(tracks[0]),
+    singers: tandaConsistency(tracks).singers,
+    years: years.length ? [Math.min(...years), Math.max(...years)] : null,
+    bpm: average('bpm'),
+    energy: average('energy')
+  };
+}
+
+function tandaNeighbourhood(playlist, tandaIndex) {
+  const avoid = [];
+  const others = [];
+  playlist.tandas.forEach((tanda, idx) => {
+    const first = (tanda.tracks || []).find(Boolean);
+    if (idx === tandaIndex || !first) return;
+    (Math.abs(idx - tandaIndex) <= ORCHESTRA_SPACING ? avoid : others).push(orchestraKey(first));
+  });
+  return {
+    avoid,
+    others,
+    previous: summarizeTanda(playlist.tandas[tandaIndex - 1]),
+    next: summarizeTanda(playlist.tandas[tandaIndex + 1])
+  };
+}
+
+async function createTandaWithAgent(candidates, slot, context) {
+  const llm = await buildLlmClient();
+  if (!llm) {
+    return {
+      tanda: null,
+      debug: { enabled: false, reason: NO_LLM_REASON, createdAt: new Date().toISOString() }
+    };
+  }
+
+  const shortlist = buildShortlist({ tracks: candidates }, [slot], context.prompt, { limit: AGENT_SHORTLIST_LIMIT });
+  const trackMap = new Map(shortlist.tracks.map((track) => [track.id, track]));
+  const instructions = [
+    'You are an expert Tango DJ agent. Replace one tanda inside an existing set.',
+    `Build one ${slot.type} tanda of exactly ${slot.size} tracks, all from the same orchestra.`,
+    'Prefer one singer (or all instrumental) and recordings no more than about three years apart.',
+    'It must flow from the previous tanda into the next one in tempo, energy and era.',
+    context.lockOrchestra ? `Use only ${context.lockOrchestra}.` : 'Do not use the orchestras of the previous or next tandas.',
+    'Use only track IDs from the list you are given.',
+    context.prompt ? `User direction: ${context.prompt}` : ''
+  ].filter(Boolean).join('\n');
+
+  const startedAt = Date.now();
+  const response = await llm.generate({
+    instructions,
+    messages: [{
+      role: 'user',
+      text: JSON.stringify({
+        slot,
+        previous: context.previous,
+        next: context.next,
+        tracks: shortlist.tracks.map(toConciseTrack)
+      })
+    }],
+    schema: tandaSchema
+  });
+
+  const jsonText = response.text;
+  let proposal = null;
+  const problems = [];
+  try {
+    proposal = JSON.parse(jsonText);
+  } catch (error) {
+    problems.push(`Response was not valid JSON: ${error.message}`);
+  }
+  const tracks = (proposal?.trackIds || []).map((id) => trackMap.get(id)).filter(Boolean);
+  if (proposal) {
+    if (tracks.length !== slot.size) problems.push(`Expected ${slot.size} known track IDs, got ${tracks.length}`);
+    if (new Set(tracks.map(orchestraKey)).size > 1) problems.push('Tracks come from more than one orchestra');
+    if (!context.lockOrchestra && tracks.some((track) => context.avoid.includes(orchestraKey(track)))) {
+      problems.push('Orchestra repeats a neighbouring tanda');
     }
+  }
+
+  const debug = {
+    enabled: true,
+    model: response.model || llm.config.model,
+    responseId: response.id,
+    structuredOutput: response.structuredOutput,
+    createdAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    candidates: shortlist.stats,
+    problems
+  };
+  console.log('[Agent Debug] LLM tanda regeneration', JSON.stringify(debug));
+
+  return {
+    tanda: problems.length ? null : { type: slot.type, reasoning: proposal.reasoning || 'AI selected this tanda for flow.', tracks },
+    debug
   };
+}
 
-  console.log('[Agent Debug] OpenAI request/response', JSON.stringify(debug));
+// Lists what is wrong with a raw agent plan, phrased so it can be sent back to the model.
+function reviewAgentPlan(plan, trackMap, slots, cortinaMap = trackMap, playedTrackIds = new Set()) {
+  if (!plan || !Array.isArray(plan.tandas)) return ['The response must be an object with a tandas array.'];
+  const problems = [];
+  if (plan.tandas.length !== slots.length) problems.push(`Expected ${slots.length} tandas, got ${plan.tandas.length}.`);
+
+  plan.tandas.forEach((tanda, idx) => {
+    const slot = slots[idx];
+    if (!slot) return;
+    const trackIds = Array.isArray(tanda.trackIds) ? tanda.trackIds : [];
+    if (tanda.type !== slot.type) problems.push(`Tanda ${idx + 1} must be ${slot.type}, got ${tanda.type}.`);
+    if (trackIds.length !== slot.size) problems.push(`Tanda ${idx + 1} must have exactly ${slot.size} track IDs, got ${trackIds.length}.`);
+    const unknown = trackIds.filter((id) => !trackMap.has(id));
+    if (unknown.length) problems.push(`Tanda ${idx + 1} uses unknown track IDs: ${JSON.stringify(unknown)}.`);
+    const played = trackIds.filter((id) => playedTrackIds.has(id));
+    if (played.length) problems.push(`Tanda ${idx + 1} uses tracks played at a recent milonga: ${JSON.stringify(played)}.`);
+  });
 
-  return { plan, debug };
+  const cortinaIds = Array.isArray(plan.cortinaTrackIds) ? plan.cortinaTrackIds : [];
+  if (cortinaIds.length !== slots.length) problems.push(`Expected ${slots.length} cortina IDs, got ${cortinaIds.length}.`);
+  const unknownCortinas = cortinaIds.filter((id) => !cortinaMap.has(id));
+  if (unknownCortinas.length) problems.push(`Cortina IDs not in the cortinas list: ${JSON.stringify(unknownCortinas)}.`);
+
+  const draft = {
+    tandas: plan.tandas.map((tanda) => ({
+      type: tanda.type,
+      tracks: (tanda.trackIds || []).map((id) => trackMap.get(id)).filter(Boolean)
+    })),
+    cortinas: cortinaIds.map((id) => cortinaMap.get(id) || null)
+  };
+  const validation = validatePlaylist(draft);
+  problems.push(
+    ...validation.errors.filter((item) => item.code !== 'empty-tanda').map((item) => `${item.message}.`),
+    ...validation.warnings.filter((item) => item.code === 'orchestra-spacing').map((item) => `${item.message}; orchestras need two full tandas between repeats.`)
+  );
+  return problems;
 }
 
-function hydratePlan(plan, library) {
+function hydratePlan(plan, library, slots, options = {}) {
   const trackMap = new Map(library.tracks.map((track) => [track.id, track]));
-  const patternSizes = [4, 4, 3, 4, 4, 3];
   const grouped = groupByStyle(library);
-  const usedTrackIds = new Set();
+  // Recently played tracks are never used to fill a short tanda.
+  const usedTrackIds = new Set([...(options.cortinaPool || []).map((cortina) => cortina.id), ...(options.playedTrackIds || [])]);
+  const rng = createRng(options.seed);
 
   function fillMissingTracks(type, existingTracks, expectedSize) {
     const seedTracks = existingTracks.filter((track) => track && !usedTrackIds.has(track.id));
-    const seedArtist = seedTracks[0]?.artist;
-    const matchingSeedTracks = seedArtist
-      ? seedTracks.filter((track) => track.artist?.toLowerCase() === seedArtist.toLowerCase())
+    const seedOrchestra = seedTracks[0] ? orchestraKey(seedTracks[0]) : null;
+    const matchingSeedTracks = seedOrchestra
+      ? seedTracks.filter((track) => orchestraKey(track) === seedOrchestra)
       : seedTracks;
 
-    const stylePool = shuffle(grouped[type] || []).filter((track) => !usedTrackIds.has(track.id));
-    const backupPool = shuffle(grouped.tango || []).filter((track) => !usedTrackIds.has(track.id));
+    const stylePool = shuffleWith(rng, grouped[type] || []).filter((track) => !usedTrackIds.has(track.id));
+    const backupPool = shuffleWith(rng, grouped.tango || []).filter((track) => !usedTrackIds.has(track.id));
     const candidatePool = [...matchingSeedTracks, ...stylePool, ...backupPool];
 
-    return selectConsistentOrchestraTracks(candidatePool, expectedSize, usedTrackIds);
+    return selectConsistentOrchestraTracks(candidatePool, expectedSize, usedTrackIds, matchingSeedTracks, rng);
   }
 
-  const tandas = plan.tandas.map((tanda, idx) => ({
-    id: `tanda-${idx + 1}`,
-    type: tanda.type,
-    reasoning: tanda.reasoning || 'AI selected this tanda for flow.',
-    tracks: fillMissingTracks(
+  const savedByTracks = new Map((options.savedTandas || []).map((saved) => [saved.tracks.map((track) => track.id).join('|'), saved]));
+  const tandas = plan.tandas.map((tanda, idx) => {
+    const tracks = fillMissingTracks(
       tanda.type,
       (tanda.trackIds || []).map((id) => trackMap.get(id)),
-      patternSizes[idx]
-    )
-  }));
+      slots[idx].size
+    );
+    const saved = savedByTracks.get(tracks.map((track) => track.id).join('|'));
+    return {
+      id: `tanda-${idx + 1}`,
+      type: tanda.type,
+      reasoning: tanda.reasoning || 'AI selected this tanda for flow.',
+      ...(saved ? { savedTandaId: saved.id } : {}),
+      tracks
+    };
+  });
 
-  const cortinas = (plan.cortinaTrackIds || []).map((id) => trackMap.get(id)).filter(Boolean).slice(0, 6);
-  return { tandas, cortinas };
+  const cortinaPool = options.cortinaPool || [];
+  const poolById = new Map(cortinaPool.map((cortina) => [cortina.id, cortina]));
+  const agentCortinas = (plan.cortinaTrackIds || []).slice(0, slots.length).map((id) => poolById.get(id));
+  const agentThemes = new Set(agentCortinas.filter(Boolean).map((cortina) => cortina.theme));
+  if (!options.cortinaTheme && agentCortinas.length === slots.length && agentCortinas.every(Boolean) && agentThemes.size === 1) {
+    return { tandas, cortinas: agentCortinas, cortinaTheme: [...agentThemes][0] };
+  }
+  const picked = pickCortinas(cortinaPool, slots.length, { theme: options.cortinaTheme, rng });
+  return { tandas, cortinas: picked.cortinas, cortinaTheme: picked.theme };
 }
 
-function normalizePlaylist(playlist) {
+function fitPlanToDuration(hydrated, targetDurationMinutes, cortinaSeconds = DEFAULT_CORTINA_SECONDS) {
+  if (!targetDurationMinutes) return hydrated;
+  const targetSeconds = targetDurationMinutes * 60;
+  let elapsed = 0;
+  let keep = 0;
+  hydrated.tandas.forEach((tanda, idx) => {
+    const tandaSeconds = tanda.tracks.reduce((sum, track) => sum + trackSeconds(track), 0);
+    const cortina = hydrated.cortinas[idx];
+    const withCortina = tandaSeconds + cortinaPlaySeconds(cortina, cortinaSeconds);
+    if (keep === idx && (elapsed + withCortina <= targetSeconds || idx === 0)) {
+      elapsed += withCortina;
+      keep += 1;
+    }
+  });
   return {
+    ...hydrated,
+    tandas: hydrated.tandas.slice(0, keep),
+    cortinas: hydrated.cortinas.slice(0, keep)
+  };
+}
+
+function computeTimeline(playlist) {
+  const schedule = playlist.schedule || {};
+  const startSeconds = parseClock(schedule.startTime);
+  const cortinaSeconds = schedule.cortinaSeconds ?? DEFAULT_CORTINA_SECONDS;
+  const clockAt = (offset) => (startSeconds === null ? null : formatClock(startSeconds + offset));
+
+  let elapsed = 0;
+  const tandas = (playlist.tandas || []).map((tanda, index) => {
+    const startOffset = elapsed;
+    elapsed += (tanda.tracks || []).reduce((sum, track) => sum + (track ? trackSeconds(track) : 0), 0);
+    const cortinaOffset = elapsed;
+    const cortina = (playlist.cortinas || [])[index];
+    elapsed += cortinaPlaySeconds(cortina, cortinaSeconds);
+    return {
+      index,
+      id: tanda.id,
+      type: tanda.type,
+      startOffsetSeconds: Math.round(startOffset),
+      cortinaOffsetSeconds: Math.round(cortinaOffset),
+      endOffsetSeconds: Math.round(elapsed),
+      startClock: clockAt(startOffset),
+      cortinaClock: clockAt(cortinaOffset),
+      endClock: clockAt(elapsed)
+    };
+  });
+
+  return {
+    startTime: startSeconds === null ? null : formatClock(startSeconds),
+    targetDurationMinutes: schedule.targetDurationMinutes || null,
+    cortinaSeconds,
+    totalSeconds: Math.round(elapsed),
+    endClock: clockAt(elapsed),
+    tandas
+  };
+}
+
+function normalizePlaylist(playlist) {
+  const normalized = {
     ...playlist,
     tandas: (playlist.tandas || []).map((t) => ({ ...t, tracks: t.tracks || [] })),
     cortinas: (playlist.cortinas || []).map((c) => c || null),
     updatedAt: new Date().toISOString()
   };
+  normalized.tandas.forEach((tanda) => {
+    tanda.consistency = tandaConsistency(tanda.tracks.filter(Boolean));
+  });
+  normalized.timeline = computeTimeline(normalized);
+  normalized.validation = validatePlaylist(normalized);
+  normalized.flow = computeFlow(normalized);
+  return normalized;
+}
+
+const DEFAULT_PERFORMANCE_SETTINGS = { gapSeconds: 2, crossfadeSeconds: 0 };
+
+/**
+ * Live playback state for one playlist: where the queue is, the DJ's transition settings
+ * and tracks added with "extend tanda". The playlist itself is never changed by playback.
+ */
+function normalizePerformance(input = {}, playlist) {
+  const position = input.position || {};
+  const tandaIndex = Math.max(0, Math.min(Math.trunc(toNumberOrNull(position.tandaIndex) || 0), playlist.tandas.length - 1));
+  const extensions = {};
+  Object.entries(input.extensions || {}).forEach(([index, tracks]) => {
+    if (!playlist.tandas[index] || !Array.isArray(tracks)) return;
+    extensions[index] = tracks.filter((track) => track?.id).map((track) => ({ ...track }));
+  });
+  const settings = { ...DEFAULT_PERFORMANCE_SETTINGS };
+  Object.keys(settings).forEach((key) => {
+    const value = toNumberOrNull(input.settings?.[key]);
+    if (value !== null) settings[key] = Math.max(0, Math.min(value, 30));
+  });
+  return {
+    playlistId: playlist.id,
+    position: {
+      tandaIndex,
+      part: position.part === 'cortina' ? 'cortina' : 'track',
+      trackIndex: Math.max(0, Math.trunc(toNumberOrNull(position.trackIndex) || 0)),
+      currentTime: Math.max(0, toNumberOrNull(position.currentTime) || 0)
+    },
+    held: Boolean(input.held),
+    settings,
+    extensions,
+    // The play-log event this performance adds its plays to.
+    playLogEventId: typeof input.playLogEventId === 'string' ? input.playLogEventId : null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Every playlist write goes through here so it becomes a revision that can be undone.
+async function savePlaylist(playlist, action) {
+  const previous = playlist.history ? null : await readPlaylist(playlist.id);
+  const history = await recordRevision(PLAYLIST_REVISIONS_DIR, playlist, action, previous);
+  const stored = { ...playlist, history };
+  await writeJson(path.join(PLAYLISTS_DIR, `${playlist.id}.json`), stored);
+  return stored;
 }
 
 async function readPlaylist(id) {
+  if (!isSafeId(id)) return null;
   const filePath = path.join(PLAYLISTS_DIR, `${id}.json`);
   const playlist = await readJson(filePath, null);
   return playlist;
 }
 
-app.get('/api/library', async (_req, res) => {
-  const library = await readJson(LIBRARY_FILE, { generatedAt: null, tracks: [] });
-  res.json(library);
+app.get('/api/library', async (req, res) => {
+  const library = await readLibrary();
+  if (!Object.keys(req.query || {}).length) return res.json(library);
+  // excludeIds is only ever built by the server; a client cannot send one.
+  const query = { ...req.query };
+  delete query.excludeIds;
+  const tracks = filterLibraryTracks(library.tracks || [], query);
+  res.json({ ...library, trackCount: tracks.length, totalTrackCount: (library.tracks || []).length, tracks });
 });
 
+app.get('/api/library/search', async (req, res) => {
+  const library = await readLibrary();
+  const query = { ...req.query };
+  delete query.excludeIds;
+  if (req.query.notInPlaylist) {
+    const playlist = await readPlaylist(req.query.notInPlaylist);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    query.excludeIds = new Set([
+      ...playlist.tandas.flatMap((tanda) => (tanda.tracks || []).filter(Boolean).map((track) => track.id)),
+      ...playlist.cortinas.filter(Boolean).map((cortina) => cortina.id)
+    ]);
+  }
+  res.json({
+    generatedAt: library.generatedAt || null,
+    totalTrackCount: library.tracks.length,
+    ...searchLibrary(library.tracks, query)
+  });
+});
+
+app.get('/api/library/roots', async (_req, res) => {
+  res.json({ roots: await describeMusicRoots(MUSIC_ROOTS) });
+});
+
+// `root` names a configured music root (the primary one when left out); other folders are refused.
 app.post('/api/library/scan', async (req, res) => {
+  const root = findMusicRoot(MUSIC_ROOTS, req.body?.root);
+  if (!root) {
+    return res.status(400).json({ error: `Unknown music root; use one of: ${MUSIC_ROOTS.map((item) => item.name).join(', ') || 'none configured'}` });
+  }
+  const stat = await fs.stat(root.path).catch(() => null);
+  if (!stat?.isDirectory()) return res.status(400).json({ error: `Music folder not found: ${root.path} (${root.name})` });
+  // Track IDs from the primary root stay plain relative paths, as they were before roots had names.
+  const idPrefix = root === MUSIC_ROOTS[0] ? '' : `${root.name}:`;
   try {
-    const root = req.body?.root || MUSIC_ROOT;
-    const library = await buildLibrary(root);
-    res.json(library);
+    res.status(202).json(startScan(root.path, { ...SCAN_OPTIONS, rootName: root.name, idPrefix, analyze: Boolean(req.body?.analyze ?? AUDIO_ANALYSIS) }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(409).json({ error: error.message, job: error.job });
   }
 });
 
+app.get('/api/library/scan', async (_req, res) => {
+  const job = await latestScanJob(SCAN_OPTIONS);
+  if (!job) return res.status(404).json({ error: 'No library scan has run yet' });
+  res.json(job);
+});
+
+app.get('/api/library/scan/:jobId', async (req, res) => {
+  const job = await getScanJob(req.params.jobId, SCAN_OPTIONS);
+  if (!job) return res.status(404).json({ error: 'Scan job not found' });
+  res.json(job);
+});
+
+app.get('/api/library/scan/:jobId/events', async (req, res) => {
+  const job = await getScanJob(req.params.jobId, SCAN_OPTIONS);
+  if (!job) return res.status(404).json({ error: 'Scan job not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (snapshot) => {
+    res.write(`event: ${isScanActive(snapshot) ? 'progress' : 'done'}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (!isScanActive(snapshot)) res.end();
+  };
+  send(job);
+  if (!isScanActive(job)) return;
+  const unsubscribe = subscribeScan(job.id, send);
+  res.on('close', unsubscribe);
+});
+
+app.delete('/api/library/scan/:jobId', (req, res) => {
+  const job = cancelScan(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'No running scan with that id' });
+  res.status(202).json(job);
+});
+
+app.patch('/api/library/tracks/:id(*)', async (req, res) => {
+  const library = await readJson(LIBRARY_FILE, { tracks: [] });
+  const trackId = req.params.id;
+  if (!library.tracks.some((track) => track.id === trackId)) return res.status(404).json({ error: 'Track not found' });
+  const { changes, error } = parseOverrideChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const overrides = await readJson(OVERRIDES_FILE, {});
+  const merged = mergeOverride(overrides[trackId], changes);
+  if (merged) overrides[trackId] = merged;
+  else delete overrides[trackId];
+  await writeJson(OVERRIDES_FILE, overrides);
+
+  const updated = (await readLibrary()).tracks.find((track) => track.id === trackId);
+  res.json(updated);
+});
+
 app.get('/api/playlists', async (_req, res) => {
   const entries = await fs.readdir(PLAYLISTS_DIR, { withFileTypes: true });
   const playlists = [];
@@ -432,15 +1059,124 @@ app.get('/api/playlists', async (_req, res) => {
 app.get('/api/playlists/:id', async (req, res) => {
   const playlist = await readPlaylist(req.params.id);
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
-  res.json(playlist);
+  // Playlists saved before the flow existed get it on the fly.
+  res.json(playlist.flow ? playlist : { ...playlist, flow: computeFlow(playlist) });
+});
+
+app.get('/api/playlists/:id/timeline', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  res.json(computeTimeline(playlist));
+});
+
+app.get('/api/playlists/:id/flow', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  res.json(computeFlow(playlist));
+});
+
+app.get('/api/playlists/:id/revisions', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  res.json(await listRevisions(PLAYLIST_REVISIONS_DIR, playlist.id));
+});
+
+// Compares revision `from` with `to`; `to` defaults to the current head and `from` to the one before it.
+app.get('/api/playlists/:id/revisions/diff', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const to = Number(req.query.to ?? playlist.history?.revision);
+  const from = Number(req.query.from ?? to - 1);
+  const [before, after] = await Promise.all([
+    readRevision(PLAYLIST_REVISIONS_DIR, playlist.id, from),
+    readRevision(PLAYLIST_REVISIONS_DIR, playlist.id, to)
+  ]);
+  if (!before || !after) return res.status(404).json({ error: 'Revision not found' });
+  res.json({ from, to, ...diffPlaylists(before, after) });
+});
+
+app.get('/api/playlists/:id/revisions/:revision', async (req, res) => {
+  const snapshot = await readRevision(PLAYLIST_REVISIONS_DIR, req.params.id, Number(req.params.revision));
+  if (!snapshot) return res.status(404).json({ error: 'Revision not found' });
+  res.json(snapshot);
+});
+
+// Restoring saves the old arrangement as a new revision, so the restore itself can be undone.
+app.post('/api/playlists/:id/revisions/:revision/restore', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const revision = Number(req.params.revision);
+  const snapshot = await readRevision(PLAYLIST_REVISIONS_DIR, playlist.id, revision);
+  if (!snapshot) return res.status(404).json({ error: 'Revision not found' });
+  const stored = await savePlaylist(normalizePlaylist({ ...snapshot, history: playlist.history }), `restore ${revision}`);
+  res.json(stored);
+});
+
+// Undo and redo move through the history without adding revisions.
+async function stepPlaylistHistory(req, res, step) {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const moved = await stepRevision(PLAYLIST_REVISIONS_DIR, playlist.id, step);
+  if (!moved) return res.status(409).json({ error: `Nothing to ${step < 0 ? 'undo' : 'redo'}` });
+  const stored = { ...normalizePlaylist(moved.snapshot), history: moved.history };
+  await writeJson(path.join(PLAYLISTS_DIR, `${playlist.id}.json`), stored);
+  res.json(stored);
+}
+
+app.post('/api/playlists/:id/undo', (req, res) => stepPlaylistHistory(req, res, -1));
+app.post('/api/playlists/:id/redo', (req, res) => stepPlaylistHistory(req, res, 1));
+
+app.get('/api/playlists/:id/export', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const format = `${req.query.format || 'm3u8'}`.toLowerCase();
+  const exported = exportPlaylist(playlist, computeTimeline(playlist), format);
+  if (!exported) return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  const filename = `${(playlist.name || playlist.id).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || playlist.id}.${format}`;
+  res.type(exported.contentType);
+  res.set('Content-Disposition', `${exported.inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+  res.send(exported.body);
 });
 
 app.post('/api/playlists', async (req, res) => {
-  const library = await readJson(LIBRARY_FILE, { tracks: [] });
+  const library = await readLibrary({ playable: true });
   if (!library.tracks?.length) {
     return res.status(400).json({ error: 'Library is empty. Scan library first.' });
   }
 
+  const structure = await readStructure(req.body?.structureId || DEFAULT_STRUCTURE_ID);
+  if (!structure) return res.status(400).json({ error: 'Structure template not found' });
+
+  const requestedDuration = req.body?.targetDuration ?? req.body?.targetDurationMinutes;
+  const requestedMinutes = parseDurationMinutes(requestedDuration);
+  if (requestedDuration && !requestedMinutes) {
+    return res.status(400).json({ error: 'targetDuration must look like 3h30, 3:30 or 210' });
+  }
+  const startTime = req.body?.startTime || null;
+  if (startTime && parseClock(startTime) === null) {
+    return res.status(400).json({ error: 'startTime must be HH:MM' });
+  }
+  const schedule = {
+    startTime,
+    targetDurationMinutes: requestedMinutes || (structure.tandaCount ? null : structure.targetDurationMinutes),
+    cortinaSeconds: DEFAULT_CORTINA_SECONDS
+  };
+  const slots = expandStructure(structure, {
+    targetDurationMinutes: schedule.targetDurationMinutes,
+    averageSeconds: averageTrackSecondsByStyle(library),
+    cortinaSeconds: schedule.cortinaSeconds
+  });
+
+  const cortinaPool = await loadCortinaPool(library);
+  const cortinaTheme = `${req.body?.cortinaTheme || ''}`.trim() || null;
+  const savedTandas = req.body?.preferSavedTandas ? usableSavedTandas(await loadSavedTandas(library)) : [];
+  const avoidEvents = req.body?.avoidRecentEvents ?? AVOID_RECENT_EVENTS;
+  if (!Number.isInteger(Number(avoidEvents)) || Number(avoidEvents) < 0) {
+    return res.status(400).json({ error: 'avoidRecentEvents must be a whole number of events, 0 or more' });
+  }
+  const recent = recentPlays(await readPlayLog(), { count: Number(avoidEvents), venue: req.body?.venue });
+  const playedTrackIds = recent.trackIds;
+
   const id = `playlist-${Date.now()}`;
   const name = req.body?.name || `Milonga ${new Date().toLocaleDateString()}`;
 
@@ -453,44 +1189,153 @@ app.post('/api/playlists', async (req, res) => {
   try {
     const agentResult = await createPlanWithAgent(
       library,
-      req.body?.prompt || ''
+      req.body?.prompt || '',
+      slots,
+      { cortinaPool, cortinaTheme, savedTandas, playedTrackIds, recentEvents: recent.events }
     );
     plan = agentResult.plan;
     agentDebug = agentResult.debug;
   } catch (error) {
-    console.warn(`OpenAI generation failed: ${error.message}`);
+    console.warn(`Agent generation failed: ${error.message}`);
     agentDebug = {
       enabled: false,
       createdAt: new Date().toISOString(),
-      reason: `OpenAI generation failed: ${error.message}`
+      reason: `Agent generation failed: ${error.message}`
     };
   }
 
-  const usedFallback = !plan || !validatePlanShape(plan);
-  if (usedFallback && agentDebug?.enabled) {
-    agentDebug.validation = 'Agent response shape was invalid; fallback plan used';
+  const usedFallback = !plan || !validatePlanShape(plan, slots);
+  if (usedFallback && agentDebug?.enabled && !agentDebug.validation) {
+    agentDebug.validation = 'Agent response shape was invalid; offline planner used';
   }
-  const hydrated = usedFallback ? fallbackPlaylistPlan(library) : hydratePlan(plan, library);
+  const planned = usedFallback ? planSet(library, slots, { seed: req.body?.seed, cortinaPool, cortinaTheme, savedTandas, playedTrackIds }) : null;
+  const hydrated = fitPlanToDuration(
+    usedFallback ? planned : hydratePlan(plan, library, slots, { cortinaPool, cortinaTheme, savedTandas, playedTrackIds, seed: req.body?.seed }),
+    schedule.targetDurationMinutes,
+    schedule.cortinaSeconds
+  );
   const playlist = normalizePlaylist({
     id,
     name,
     prompt: req.body?.prompt || '',
-    generationSource: usedFallback ? 'fallback' : 'agent',
+    structure: { ...structure, slots: slots.slice(0, hydrated.tandas.length) },
+    schedule,
+    cortinaTheme: hydrated.cortinaTheme || null,
+    generationSource: usedFallback ? 'planner' : 'agent',
+    plannerSeed: planned ? planned.seed : null,
+    avoidedPlays: { events: recent.events, venue: recent.venue, trackCount: playedTrackIds.size },
     agentDebug,
     createdAt: new Date().toISOString(),
-    ...hydrated
+    tandas: hydrated.tandas,
+    cortinas: hydrated.cortinas
   });
 
-  await writeJson(path.join(PLAYLISTS_DIR, `${id}.json`), playlist);
-  res.status(201).json(playlist);
+  const stored = await savePlaylist(playlist, 'create');
+  res.status(201).json(stored);
+});
+
+app.post('/api/playlists/import', async (req, res) => {
+  const { content } = req.body || {};
+  if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: 'content must hold the text of an M3U, M3U8 or CSV file' });
+  if (req.body.filename !== undefined && req.body.filename !== null && typeof req.body.filename !== 'string') {
+    return res.status(400).json({ error: 'filename must be a string' });
+  }
+  const filename = `${req.body.filename || ''}`;
+  let entries;
+  try {
+    entries = parsePlaylistFile(content, filename);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read the playlist file: ${error.message}` });
+  }
+  if (!entries) return res.status(400).json({ error: 'CSV files need a header row with a path or title column' });
+  if (!entries.length) return res.status(400).json({ error: 'No playlist entries found' });
+
+  try {
+    const library = await readLibrary();
+    const cortinaPool = await loadCortinaPool(library);
+    const cortinaMap = new Map(cortinaPool.map((cortina) => [cortina.id, cortina]));
+    const matched = matchEntries(entries, library.tracks || []);
+    const segmented = segmentEntries(matched, new Set(cortinaMap.keys()));
+    if (!segmented.tandas.length) {
+      return res.status(400).json({ error: 'No dance tracks in the file matched the library', unmatched: segmented.unmatched });
+    }
+
+    const id = `playlist-${Date.now()}`;
+    const source = path.basename(filename) || 'imported playlist';
+    const playlist = normalizePlaylist({
+      id,
+      name: `${req.body?.name || ''}`.trim() || path.basename(source, path.extname(source)),
+      prompt: '',
+      structure: {
+        id: 'imported',
+        name: `Imported from ${source}`,
+        slots: segmented.tandas.map((tanda) => ({ type: tanda.type, size: tanda.tracks.length }))
+      },
+      schedule: { startTime: null, targetDurationMinutes: null, cortinaSeconds: DEFAULT_CORTINA_SECONDS },
+      cortinaTheme: null,
+      generationSource: 'import',
+      createdAt: new Date().toISOString(),
+      tandas: segmented.tandas.map((tanda, idx) => ({
+        id: `tanda-${idx + 1}`,
+        type: tanda.type,
+        reasoning: `Imported from ${source}.`,
+        tracks: tanda.tracks
+      })),
+      cortinas: segmented.cortinas.map((cortina) => (cortina ? cortinaMap.get(cortina.id) || cortina : null)),
+      importReport: {
+        filename: source,
+        importedAt: new Date().toISOString(),
+        entryCount: entries.length,
+        matchedByPath: matched.filter((entry) => entry.matchedBy === 'path').length,
+        matchedByTitle: matched.filter((entry) => entry.matchedBy === 'title').length,
+        unmatched: segmented.unmatched
+      }
+    });
+
+    const stored = await savePlaylist(playlist, 'import');
+    res.status(201).json(stored);
+  } catch (error) {
+    console.warn(`Playlist import failed: ${error.message}`);
+    if (!res.headersSent) res.status(500).json({ error: `Could not import playlist: ${error.message}` });
+  }
+});
+
+// Settles one unmatched import line: `trackId` inserts that track where the line was, `dismiss` drops it.
+app.post('/api/playlists/:id/import/resolve', async (req, res) => {
+  const { line, trackId, dismiss } = req.body || {};
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const unmatched = playlist.importReport?.unmatched || [];
+  const item = unmatched.find((entry) => entry.line === line);
+  if (!item) return res.status(400).json({ error: 'line is not an unmatched import entry' });
+
+  if (!dismiss) {
+    const library = await readLibrary();
+    const track = library.tracks.find((candidate) => candidate.id === trackId);
+    if (!track) return res.status(400).json({ error: 'trackId not found in library' });
+    const tanda = playlist.tandas[Math.min(item.tandaIndex, playlist.tandas.length - 1)];
+    if (!tanda) return res.status(400).json({ error: 'The tanda for this entry no longer exists' });
+    tanda.tracks.splice(Math.min(item.position, tanda.tracks.length), 0, track);
+    // Later entries in the same tanda move down by one.
+    unmatched.forEach((entry) => {
+      if (entry !== item && entry.tandaIndex === item.tandaIndex && entry.position >= item.position) entry.position += 1;
+    });
+  }
+
+  const updated = normalizePlaylist({
+    ...playlist,
+    importReport: { ...playlist.importReport, unmatched: unmatched.filter((entry) => entry !== item) }
+  });
+  const stored = await savePlaylist(updated, 'import-resolve');
+  res.json(stored);
 });
 
 app.put('/api/playlists/:id', async (req, res) => {
   const existing = await readPlaylist(req.params.id);
   if (!existing) return res.status(404).json({ error: 'Playlist not found' });
   const updated = normalizePlaylist({ ...existing, ...req.body, id: existing.id });
-  await writeJson(path.join(PLAYLISTS_DIR, `${existing.id}.json`), updated);
-  res.json(updated);
+  const stored = await savePlaylist(updated, 'edit');
+  res.json(stored);
 });
 
 app.post('/api/playlists/:id/move-tanda', async (req, res) => {
@@ -509,14 +1354,56 @@ app.post('/api/playlists/:id/move-tanda', async (req, res) => {
   cortinas.splice(toIndex, 0, cortina);
 
   const updated = normalizePlaylist({ ...playlist, tandas, cortinas });
-  await writeJson(path.join(PLAYLISTS_DIR, `${playlist.id}.json`), updated);
-  res.json(updated);
+  const stored = await savePlaylist(updated, 'move-tanda');
+  res.json(stored);
+});
+
+// Inserts a saved tanda before `position` (or at the end), followed by a cortina from the playlist's theme.
+app.post('/api/playlists/:id/insert-tanda', async (req, res) => {
+  const { savedTandaId } = req.body || {};
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const library = await readLibrary();
+  const saved = await findSavedTanda(savedTandaId, library);
+  if (!saved) return res.status(400).json({ error: 'savedTandaId not found in the tanda library' });
+  if (saved.status.stale) {
+    return res.status(409).json({ error: 'Saved tanda refers to tracks that are no longer in the library', missingTrackIds: saved.status.missingTrackIds });
+  }
+  const requested = req.body?.position ?? playlist.tandas.length;
+  const position = Number(requested);
+  if (!Number.isInteger(position) || position < 0 || position > playlist.tandas.length) {
+    return res.status(400).json({ error: `position must be a whole number from 0 to ${playlist.tandas.length}` });
+  }
+
+  const usedIds = new Set(playlist.cortinas.filter(Boolean).map((cortina) => cortina.id));
+  const cortina = planCortina(await loadCortinaPool(await readLibrary({ playable: true })), {
+    seed: req.body?.seed,
+    excludeIds: usedIds,
+    theme: playlist.cortinaTheme
+  });
+  const tanda = {
+    id: `tanda-${Date.now()}`,
+    type: saved.tanda.type,
+    reasoning: `Saved tanda "${saved.name}".${saved.notes ? ` ${saved.notes}` : ''}`,
+    savedTandaId: saved.id,
+    tracks: saved.tanda.tracks
+  };
+  const tandas = [...playlist.tandas];
+  const cortinas = [...playlist.cortinas];
+  tandas.splice(position, 0, tanda);
+  cortinas.splice(position, 0, cortina);
+  const slots = [...(playlist.structure?.slots || [])];
+  if (slots.length) slots.splice(position, 0, { type: tanda.type, size: tanda.tracks.length });
+
+  const updated = normalizePlaylist({ ...playlist, structure: { ...playlist.structure, slots }, tandas, cortinas });
+  const stored = await savePlaylist(updated, 'insert-tanda');
+  res.json(stored);
 });
 
 app.post('/api/playlists/:id/replace-track', async (req, res) => {
   const { tandaIndex, trackIndex, replacementTrackId } = req.body || {};
   const playlist = await readPlaylist(req.params.id);
-  const library = await readJson(LIBRARY_FILE, { tracks: [] });
+  const library = await readLibrary();
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
 
   const replacement = library.tracks.find((t) => t.id === replacementTrackId);
@@ -527,39 +1414,262 @@ app.post('/api/playlists/:id/replace-track', async (req, res) => {
     return res.status(400).json({ error: 'Invalid tandaIndex or trackIndex' });
   }
 
-  const orchestra = tanda.tracks.find((track, idx) => idx !== trackIndex && track?.artist)?.artist;
-  if (orchestra && replacement.artist?.toLowerCase() !== orchestra.toLowerCase()) {
+  const anchor = tanda.tracks.find((track, idx) => idx !== trackIndex && orchestraOf(track));
+  if (anchor && orchestraKey(replacement) !== orchestraKey(anchor)) {
     return res.status(400).json({
-      error: `Replacement track must match tanda orchestra: ${orchestra}`
+      error: `Replacement track must match tanda orchestra: ${orchestraOf(anchor)}`
     });
   }
 
   playlist.tandas[tandaIndex].tracks[trackIndex] = replacement;
   const updated = normalizePlaylist(playlist);
-  await writeJson(path.join(PLAYLISTS_DIR, `${playlist.id}.json`), updated);
-  res.json(updated);
+  const stored = await savePlaylist(updated, 'replace-track');
+  res.json(stored);
 });
 
-app.post('/api/tanda-library', async (req, res) => {
-  const { playlistId, tandaIndex, name } = req.body || {};
-  const playlist = await readPlaylist(playlistId);
+app.post('/api/playlists/:id/tandas/:index/regenerate', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
-  const tanda = playlist.tandas[tandaIndex];
-  if (!tanda) return res.status(404).json({ error: 'Tanda not found' });
+  const tandaIndex = Number(req.params.index);
+  const tanda = Number.isInteger(tandaIndex) ? playlist.tandas[tandaIndex] : null;
+  if (!tanda) return res.status(400).json({ error: 'Invalid tanda index' });
+
+  const library = await readLibrary({ playable: true });
+  const part = req.body?.part === 'cortina' ? 'cortina' : 'tanda';
+  const prompt = `${req.body?.prompt || ''}`.trim();
+  const lockOrchestra = `${req.body?.orchestra || ''}`.trim() || null;
+  const excludeIds = new Set();
+  playlist.tandas.forEach((item, idx) => {
+    if (part === 'tanda' && idx === tandaIndex) return;
+    (item.tracks || []).forEach((track) => track && excludeIds.add(track.id));
+  });
+  playlist.cortinas.forEach((cortina, idx) => {
+    if (cortina && !(part === 'cortina' && idx === tandaIndex)) excludeIds.add(cortina.id);
+  });
+  const cortinaPool = await loadCortinaPool(library);
+
+  if (part === 'cortina') {
+    const cortina = planCortina(cortinaPool, {
+      seed: req.body?.seed,
+      excludeIds,
+      theme: playlist.cortinaTheme,
+      currentId: playlist.cortinas[tandaIndex]?.id
+    });
+    if (!cortina) return res.status(400).json({ error: 'No cortinas available. Add some to the cortina library first.' });
+    playlist.cortinas[tandaIndex] = cortina;
+    playlist.lastRegeneration = { tandaIndex, part, source: 'planner', at: new Date().toISOString() };
+    const updated = normalizePlaylist(playlist);
+    const stored = await savePlaylist(updated, 'regenerate-cortina');
+    return res.json(stored);
+  }
+  cortinaPool.forEach((cortina) => excludeIds.add(cortina.id));
 
-  const record = {
-    id: `saved-tanda-${Date.now()}`,
-    name: name || `${tanda.type} tanda ${new Date().toISOString()}`,
-    sourcePlaylistId: playlistId,
-    savedAt: new Date().toISOString(),
-    tanda
+  const slot = {
+    type: tanda.type,
+    size: playlist.structure?.slots?.[tandaIndex]?.size || tanda.tracks.length || (tanda.type === 'tango' ? 4 : 3)
   };
+  const neighbourhood = tandaNeighbourhood(playlist, tandaIndex);
+  const lockKey = lockOrchestra ? foldText(lockOrchestra) : '';
+  const candidates = (groupByStyle(library)[slot.type] || [])
+    .filter((track) => !excludeIds.has(track.id))
+    .filter((track) => (lockKey ? orchestraKey(track).includes(lockKey) : !neighbourhood.avoid.includes(orchestraKey(track))));
+
+  let regenerated = null;
+  let debug = { enabled: false, reason: 'Agent was not called', createdAt: new Date().toISOString() };
+  try {
+    const agentResult = await createTandaWithAgent(candidates, slot, { ...neighbourhood, prompt, lockOrchestra });
+    regenerated = agentResult.tanda;
+    debug = agentResult.debug;
+  } catch (error) {
+    console.warn(`Agent tanda regeneration failed: ${error.message}`);
+    debug = { enabled: false, reason: `Agent generation failed: ${error.message}`, createdAt: new Date().toISOString() };
+  }
 
-  await writeJson(path.join(TANDA_LIBRARY_DIR, `${record.id}.json`), record);
-  res.status(201).json(record);
+  const source = regenerated ? 'agent' : 'planner';
+  if (!regenerated) {
+    regenerated = planTanda(library, slot, {
+      seed: req.body?.seed,
+      position: playlist.tandas.length > 1 ? tandaIndex / (playlist.tandas.length - 1) : 0,
+      excludeIds,
+      avoidOrchestras: neighbourhood.avoid,
+      otherOrchestras: neighbourhood.others,
+      lockOrchestra
+    });
+  }
+  if (!regenerated.tracks.length) return res.status(400).json({ error: regenerated.reasoning });
+
+  playlist.tandas[tandaIndex] = {
+    ...tanda,
+    reasoning: regenerated.reasoning,
+    tracks: regenerated.tracks,
+    generationSource: source,
+    regeneratedAt: new Date().toISOString()
+  };
+  playlist.lastRegeneration = { tandaIndex, part, source, prompt, lockOrchestra, debug, at: new Date().toISOString() };
+  const updated = normalizePlaylist(playlist);
+  const stored = await savePlaylist(updated, 'regenerate-tanda');
+  res.json(stored);
+});
+
+app.post('/api/playlists/:id/replace-cortina', async (req, res) => {
+  const { tandaIndex, cortinaId, trackId } = req.body || {};
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  if (typeof tandaIndex !== 'number' || !playlist.tandas[tandaIndex]) {
+    return res.status(400).json({ error: 'Invalid tandaIndex' });
+  }
+
+  const library = await readLibrary();
+  const current = playlist.cortinas[tandaIndex];
+  let entry = null;
+  if (cortinaId) {
+    entry = (await readCortinaEntries()).find((item) => item.id === cortinaId);
+    if (!entry) return res.status(400).json({ error: 'cortinaId not found in cortina library' });
+  } else {
+    const sourceTrackId = trackId || current?.id;
+    if (!sourceTrackId) return res.status(400).json({ error: 'cortinaId or trackId is required' });
+    entry = { id: trackId ? null : current?.cortinaId || null, trackId: sourceTrackId, theme: current?.theme };
+  }
+
+  const track = library.tracks.find((item) => item.id === entry.trackId);
+  if (!track) return res.status(400).json({ error: 'Cortina track not found in library' });
+  // Per-slot trims override the cortina library defaults.
+  const trims = {};
+  ['startOffset', 'playLength', 'fadeOut'].forEach((field) => {
+    if (req.body?.[field] !== undefined) trims[field] = req.body[field];
+    else if (!cortinaId && !trackId && current?.[field] !== undefined) trims[field] = current[field];
+  });
+
+  playlist.cortinas[tandaIndex] = hydrateCortina({ ...entry, ...trims }, track);
+  const updated = normalizePlaylist(playlist);
+  const stored = await savePlaylist(updated, 'replace-cortina');
+  res.json(stored);
 });
 
-app.get('/api/tanda-library', async (_req, res) => {
+app.get('/api/cortinas', async (_req, res) => {
+  const library = await readLibrary();
+  const entries = await readCortinaEntries();
+  const pool = await loadCortinaPool(library);
+  res.json({ cortinas: pool, themes: cortinaThemes(pool), fromLibraryTags: !entries.length });
+});
+
+app.get('/api/playlists/:id/performance', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const saved = await readJson(path.join(PERFORMANCE_DIR, `${playlist.id}.json`), null);
+  res.json(saved ? { ...saved, resumed: true } : { ...normalizePerformance({}, playlist), resumed: false });
+});
+
+app.put('/api/playlists/:id/performance', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  if (!playlist.tandas.length) return res.status(400).json({ error: 'Playlist has no tandas to perform' });
+  const performance = normalizePerformance(req.body, playlist);
+  await writeJson(path.join(PERFORMANCE_DIR, `${playlist.id}.json`), performance);
+  res.json(performance);
+});
+
+app.delete('/api/playlists/:id/performance', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  await fs.rm(path.join(PERFORMANCE_DIR, `${playlist.id}.json`), { force: true });
+  res.status(204).end();
+});
+
+async function readPlayLog() {
+  const entries = await fs.readdir(PLAY_LOG_DIR, { withFileTypes: true });
+  const events = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+    const event = await readJson(path.join(PLAY_LOG_DIR, entry.name), null);
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+async function readPlayLogEvent(id) {
+  const events = await readPlayLog();
+  return events.find((event) => event.id === id) || null;
+}
+
+// Performance mode reports each track once it has really been heard; plays of one night share an event.
+app.post('/api/playlists/:id/plays', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const { trackId, tandaIndex, eventId } = req.body || {};
+  // A plain lookup would also find "length" and the like on the array.
+  const tanda = Number.isInteger(tandaIndex) && tandaIndex >= 0 ? playlist.tandas[tandaIndex] : null;
+  if (!tanda) return res.status(400).json({ error: 'tandaIndex does not match a tanda of this playlist' });
+  // Tracks added with "extend tanda" are not in the playlist, so they are looked up in the library.
+  const track = tanda.tracks.find((item) => item?.id === trackId)
+    || (await readLibrary()).tracks.find((item) => item.id === trackId);
+  if (!track) return res.status(400).json({ error: 'Unknown track ID' });
+
+  const existing = eventId ? await readPlayLogEvent(eventId) : null;
+  const event = continuesEvent(existing, playlist, req.body.playedAt) ? existing : createEvent(playlist, { venue: req.body.venue, playedAt: req.body.playedAt });
+  addPlay(event, track, tanda, tandaIndex, req.body.playedAt);
+  await writeJson(path.join(PLAY_LOG_DIR, `${event.id}.json`), event);
+  res.status(existing === event ? 200 : 201).json(summarizeEvent(event));
+});
+
+app.post('/api/playlists/:id/mark-played', async (req, res) => {
+  const playlist = await readPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  if (req.body?.playedAt && Number.isNaN(new Date(req.body.playedAt).getTime())) {
+    return res.status(400).json({ error: 'playedAt must be a date' });
+  }
+  const event = markPlaylistPlayed(playlist, req.body || {});
+  if (!event.plays.length) return res.status(400).json({ error: 'Playlist has no tracks to mark as played' });
+  await writeJson(path.join(PLAY_LOG_DIR, `${event.id}.json`), event);
+  res.status(201).json(summarizeEvent(event));
+});
+
+app.get('/api/play-log', async (req, res) => {
+  const events = await readPlayLog();
+  const venues = [...new Set(events.map((event) => event.venue).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  res.json({
+    events: filterEvents(events, req.query).map(summarizeEvent),
+    venues,
+    total: events.length,
+    avoidRecentEvents: AVOID_RECENT_EVENTS
+  });
+});
+
+app.delete('/api/play-log/:id', async (req, res) => {
+  const event = await readPlayLogEvent(req.params.id);
+  if (!event) return res.status(404).json({ error: 'Play-log event not found' });
+  await fs.unlink(path.join(PLAY_LOG_DIR, `${event.id}.json`));
+  res.status(204).end();
+});
+
+app.post('/api/cortinas', async (req, res) => {
+  const library = await readLibrary();
+  const track = library.tracks.find((item) => item.id === req.body?.trackId);
+  if (!track) return res.status(400).json({ error: 'trackId not found in library' });
+  const entry = normalizeCortinaEntry(req.body, `cortina-${Date.now()}`);
+  await writeJson(path.join(CORTINA_LIBRARY_DIR, `${entry.id}.json`), entry);
+  res.status(201).json(hydrateCortina(entry, track));
+});
+
+app.put('/api/cortinas/:id', async (req, res) => {
+  const existing = (await readCortinaEntries()).find((item) => item.id === req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Cortina not found' });
+  const library = await readLibrary();
+  const entry = normalizeCortinaEntry({ ...existing, ...req.body }, existing.id);
+  const track = library.tracks.find((item) => item.id === entry.trackId);
+  if (!track) return res.status(400).json({ error: 'trackId not found in library' });
+  await writeJson(path.join(CORTINA_LIBRARY_DIR, `${entry.id}.json`), entry);
+  res.json(hydrateCortina(entry, track));
+});
+
+app.delete('/api/cortinas/:id', async (req, res) => {
+  const existing = (await readCortinaEntries()).find((item) => item.id === req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Cortina not found' });
+  await fs.unlink(path.join(CORTINA_LIBRARY_DIR, `${existing.id}.json`));
+  res.status(204).end();
+});
+
+async function readSavedTandas() {
   const entries = await fs.readdir(TANDA_LIBRARY_DIR, { withFileTypes: true });
   const tandas = [];
   for (const entry of entries) {
@@ -567,24 +1677,212 @@ app.get('/api/tanda-library', async (_req, res) => {
     const item = await readJson(path.join(TANDA_LIBRARY_DIR, entry.name), null);
     if (item) tandas.push(item);
   }
-  tandas.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
-  res.json({ tandas });
+  return tandas.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
+
+// Saved tandas checked against the current library, so missing or blocked tracks show up.
+async function loadSavedTandas(library) {
+  const trackMap = new Map((library.tracks || []).map((track) => [track.id, track]));
+  return (await readSavedTandas()).map((record) => checkSavedTanda(record, trackMap));
+}
+
+async function findSavedTanda(id, library) {
+  return (await loadSavedTandas(library)).find((record) => record.id === id) || null;
+}
+
+app.post('/api/tanda-library', async (req, res) => {
+  const { playlistId, tandaIndex } = req.body || {};
+  const playlist = await readPlaylist(playlistId);
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const tanda = playlist.tandas[tandaIndex];
+  if (!tanda) return res.status(404).json({ error: 'Tanda not found' });
+
+  const { record, error } = normalizeSavedTanda(
+    { ...req.body, sourcePlaylistId: playlistId, tanda: { type: tanda.type, reasoning: tanda.reasoning, tracks: tanda.tracks } },
+    { id: `saved-tanda-${Date.now()}` }
+  );
+  if (error) return res.status(400).json({ error });
+  await writeJson(path.join(TANDA_LIBRARY_DIR, `${record.id}.json`), record);
+  res.status(201).json(checkSavedTanda(record, new Map((await readLibrary()).tracks.map((track) => [track.id, track]))));
+});
+
+app.get('/api/tanda-library', async (req, res) => {
+  const all = await loadSavedTandas(await readLibrary());
+  const tandas = filterSavedTandas(all, req.query);
+  const tags = [...new Set(all.flatMap((record) => record.tags))].sort((a, b) => a.localeCompare(b));
+  res.json({ tandas, tags, total: all.length, staleCount: all.filter((record) => record.status.stale).length });
+});
+
+app.get('/api/tanda-library/:id', async (req, res) => {
+  const record = await findSavedTanda(req.params.id, await readLibrary());
+  if (!record) return res.status(404).json({ error: 'Saved tanda not found' });
+  res.json(record);
+});
+
+// Renames, retags or annotates a saved tanda; `trackIds` reorders it or drops tracks (e.g. missing ones).
+app.put('/api/tanda-library/:id', async (req, res) => {
+  const library = await readLibrary();
+  const existing = (await readSavedTandas()).find((record) => record.id === req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Saved tanda not found' });
+
+  const input = { ...req.body };
+  delete input.tanda;
+  if (req.body?.trackIds !== undefined) {
+    if (!Array.isArray(req.body.trackIds)) return res.status(400).json({ error: 'trackIds must be an array' });
+    const trackMap = new Map(library.tracks.map((track) => [track.id, track]));
+    const snapshots = new Map((existing.tanda?.tracks || []).filter(Boolean).map((track) => [track.id, track]));
+    const unknown = req.body.trackIds.filter((id) => !trackMap.has(id) && !snapshots.has(id));
+    if (unknown.length) return res.status(400).json({ error: `Unknown track IDs: ${unknown.join(', ')}` });
+    input.tanda = { tracks: req.body.trackIds.map((id) => trackMap.get(id) || snapshots.get(id)) };
+  }
+  const { record, error } = normalizeSavedTanda(input, existing);
+  if (error) return res.status(400).json({ error });
+  await writeJson(path.join(TANDA_LIBRARY_DIR, `${record.id}.json`), record);
+  res.json(await findSavedTanda(record.id, library));
+});
+
+app.delete('/api/tanda-library/:id', async (req, res) => {
+  const existing = (await readSavedTandas()).find((record) => record.id === req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Saved tanda not found' });
+  await fs.unlink(path.join(TANDA_LIBRARY_DIR, `${existing.id}.json`));
+  res.status(204).end();
+});
+
+async function describeLlmSettings() {
+  const saved = await readLlmSettings();
+  const { apiKey, ...settings } = saved;
+  return {
+    ...describeLlmConfig(resolveLlmConfig(saved)),
+    settings: { ...settings, hasApiKey: Boolean(apiKey) },
+    apiStyles: API_STYLES,
+    structuredOutputModes: STRUCTURED_OUTPUT_MODES
+  };
+}
+
+app.get('/api/settings/llm', async (_req, res) => {
+  res.json(await describeLlmSettings());
+});
+
+// Saved values override the environment; an empty value removes the override.
+app.put('/api/settings/llm', async (req, res) => {
+  const { settings, error } = normalizeLlmSettings(req.body || {}, await readLlmSettings());
+  if (error) return res.status(400).json({ error });
+  await writeJson(LLM_SETTINGS_FILE, settings);
+  res.json(await describeLlmSettings());
 });
 
+// Asks the configured model for a tiny JSON answer, so a venue setup can be checked before the night.
+app.post('/api/settings/llm/test', async (_req, res) => {
+  const llm = await buildLlmClient();
+  if (!llm) return res.status(400).json({ error: NO_LLM_REASON });
+  const startedAt = Date.now();
+  try {
+    const reply = await llm.generate({
+      instructions: 'Answer with {"ok": true}.',
+      messages: [{ role: 'user', text: 'Are you there?' }],
+      schema: {
+        name: 'connection_check',
+        schema: { type: 'object', required: ['ok'], properties: { ok: { type: 'boolean' } }, additionalProperties: false }
+      }
+    });
+    res.json({
+      ok: JSON.parse(reply.text).ok === true,
+      model: reply.model || llm.config.model,
+      structuredOutput: reply.structuredOutput,
+      durationMs: Date.now() - startedAt
+    });
+  } catch (error) {
+    res.status(502).json({ error: `Model did not answer: ${error.message}` });
+  }
+});
+
+app.get('/api/structures', async (_req, res) => {
+  const entries = await fs.readdir(STRUCTURES_DIR, { withFileTypes: true });
+  const structures = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+    const structure = await readStructure(path.basename(entry.name, '.json'));
+    if (structure) structures.push({ ...structure, slots: expandStructure(structure) });
+  }
+  structures.sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ structures, defaultStructureId: DEFAULT_STRUCTURE_ID });
+});
+
+app.get('/api/structures/:id', async (req, res) => {
+  const structure = await readStructure(req.params.id);
+  if (!structure) return res.status(404).json({ error: 'Structure template not found' });
+  res.json({ ...structure, slots: expandStructure(structure) });
+});
+
+app.post('/api/structures', async (req, res) => {
+  const slug = `${req.body?.name || ''}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const structure = normalizeStructure(req.body, `${slug || 'structure'}-${Date.now()}`);
+  const error = validateStructure(structure);
+  if (error) return res.status(400).json({ error });
+  await writeJson(path.join(STRUCTURES_DIR, `${structure.id}.json`), structure);
+  res.status(201).json({ ...structure, slots: expandStructure(structure) });
+});
+
+app.put('/api/structures/:id', async (req, res) => {
+  const existing = await readStructure(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Structure template not found' });
+  const structure = normalizeStructure({ ...existing, ...req.body }, existing.id);
+  const error = validateStructure(structure);
+  if (error) return res.status(400).json({ error });
+  await writeJson(path.join(STRUCTURES_DIR, `${structure.id}.json`), structure);
+  res.json({ ...structure, slots: expandStructure(structure) });
+});
+
+app.delete('/api/structures/:id', async (req, res) => {
+  const existing = await readStructure(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Structure template not found' });
+  if (existing.id === DEFAULT_STRUCTURE_ID) return res.status(400).json({ error: 'The default structure template cannot be deleted' });
+  await fs.unlink(path.join(STRUCTURES_DIR, `${existing.id}.json`));
+  res.status(204).end();
+});
+
+// `?transcode=1` asks for a browser-friendly copy, `?transcode=0` for the original file.
 app.get('/api/audio/:trackId(*)', async (req, res) => {
-  const trackId = req.params.trackId;
-  const library = await readJson(LIBRARY_FILE, { tracks: [] });
-  const track = library.tracks.find((item) => item.id === trackId);
+  const track = await audioTracks.get(req.params.trackId);
   if (!track) return res.status(404).json({ error: 'Track not found' });
-  res.sendFile(track.sourcePath);
+  const stat = await fs.stat(track.sourcePath).catch(() => null);
+  if (!stat?.isFile()) return res.status(404).json({ error: 'Audio file not found' });
+  // Symlinks are followed before the check, so a link inside a root cannot reach out of it.
+  if (!(await rootOfFile(MUSIC_ROOTS, track.sourcePath))) return res.status(403).json({ error: 'Audio file is outside the music roots' });
+
+  const forced = AUDIO_TRANSCODE_EXTENSIONS.includes(path.extname(track.sourcePath).toLowerCase());
+  const wanted = req.query.transcode === undefined ? forced : ['1', 'true'].includes(req.query.transcode);
+  // A first request for the whole file (browsers send "bytes=0-") can play while ffmpeg is still converting.
+  const range = req.get('Range');
+  const streamable = req.method === 'GET' && (!range || /^bytes=0-$/.test(range.trim()));
+  const transcoded = wanted ? await transcoder.transcode(track.sourcePath, stat, { stream: streamable }) : null;
+  // Without a transcoder the original is still served; the header tells the app why.
+  if (wanted && !transcoded) res.set('X-Transcode', 'unavailable');
+  try {
+    if (transcoded?.stream) sendAudioStream(res, transcoded.stream, transcoded.contentType);
+    else if (transcoded) await sendAudioFile(req, res, transcoded.file, transcoded.contentType);
+    else await sendAudioFile(req, res, track.sourcePath);
+  } catch (error) {
+    if (!res.headersSent) res.status(500).json({ error: `Could not read audio: ${error.message}` });
+  }
 });
 
 app.get('*', (_req, res) => {
   res.sendFile(path.resolve(__dirname, '..', 'public', 'index.html'));
 });
 
-ensureDataDirs().then(() => {
-  app.listen(PORT, () => {
-    console.log(`Tango DJ Agent listening on http://localhost:${PORT}`);
+// Resolves with the listening http.Server; port 0 picks a free port.
+async function start(port = PORT) {
+  await ensureDataDirs();
+  resumeInterruptedScan(SCAN_OPTIONS).catch((error) => console.warn(`Could not resume library scan: ${error.message}`));
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      console.log(`Tango DJ Agent listening on http://localhost:${server.address().port}`);
+      resolve(server);
+    });
   });
-});
+}
+
+if (require.main === module) start();
+
+module.exports = { app, start };
@@ -0,0 +1,87 @@
+const { TANDA_TYPES, foldText, orchestraOf } = require('./tracks');
+
+const MAX_TAGS = 12;
+
+// Tags arrive as an array or a comma-separated string; they are trimmed and deduplicated ignoring case.
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : `${tags || ''}`.split(',');
+  const seen = new Set();
+  return list
+    .map((tag) => `${tag || ''}`.trim())
+    .filter((tag) => tag && !seen.has(foldText(tag)) && seen.add(foldText(tag)))
+    .slice(0, MAX_TAGS);
+}
+
+/**
+ * Builds a saved tanda record from editor input laid over the stored one. `tracks` keeps a
+ * snapshot of every track so a tanda whose files vanished can still be shown and repaired.
+ * Returns { record, error }.
+ */
+function normalizeSavedTanda(input = {}, existing = {}) {
+  const tanda = { ...(existing.tanda || {}), ...(input.tanda || {}) };
+  const type = input.type || tanda.type;
+  if (!TANDA_TYPES.includes(type)) return { error: `type must be one of ${TANDA_TYPES.join(', ')}` };
+  const tracks = (tanda.tracks || []).filter(Boolean);
+  if (!tracks.length) return { error: 'A saved tanda needs at least one track' };
+  const now = new Date().toISOString();
+  return {
+    record: {
+      id: existing.id || input.id,
+      name: `${input.name ?? existing.name ?? ''}`.trim() || `${type} tanda · ${orchestraOf(tracks[0])}`,
+      tags: normalizeTags(input.tags ?? existing.tags),
+      notes: `${input.notes ?? existing.notes ?? ''}`.trim(),
+      sourcePlaylistId: existing.sourcePlaylistId ?? input.sourcePlaylistId ?? null,
+      savedAt: existing.savedAt || now,
+      updatedAt: now,
+      tanda: { ...tanda, type, tracks }
+    }
+  };
+}
+
+/**
+ * Checks a saved tanda against the current library. Tracks that still exist are replaced by
+ * their current copies (so edits and rescans show through); `status.stale` is set when any
+ * track is gone, and `status.doNotPlayTrackIds` lists tracks the DJ has since blocked.
+ */
+function checkSavedTanda(record, trackMap) {
+  const missingTrackIds = [];
+  const doNotPlayTrackIds = [];
+  const tracks = (record.tanda?.tracks || []).filter(Boolean).map((snapshot) => {
+    const current = trackMap.get(snapshot.id);
+    if (!current) {
+      missingTrackIds.push(snapshot.id);
+      return { ...snapshot, missing: true };
+    }
+    if (current.doNotPlay) doNotPlayTrackIds.push(current.id);
+    return current;
+  });
+  return {
+    ...record,
+    tags: record.tags || [],
+    notes: record.notes || '',
+    tanda: { ...record.tanda, tracks },
+    status: { stale: missingTrackIds.length > 0, missingTrackIds, doNotPlayTrackIds }
+  };
+}
+
+// `q` matches name, notes, tags and orchestra; `tag` must be one of the tags; `type` is the tanda style.
+function filterSavedTandas(records, query = {}) {
+  const words = foldText(query.q).split(/\s+/).filter(Boolean);
+  const tag = foldText(`${query.tag || ''}`.trim());
+  return records.filter((record) => {
+    const text = foldText(`${record.name} ${record.notes} ${record.tags.join(' ')} ${orchestraOf(record.tanda.tracks[0])}`);
+    return (!query.type || record.tanda.type === query.type)
+      && (!tag || record.tags.some((item) => foldText(item) === tag))
+      && (query.stale === undefined || record.status.stale === (query.stale === 'true' || query.stale === true))
+      && words.every((word) => text.includes(word));
+  });
+}
+
+// Saved tandas the planner and agent may reuse whole: nothing missing and nothing blocked.
+function usableSavedTandas(checked) {
+  return checked
+    .filter((record) => !record.status.stale && !record.status.doNotPlayTrackIds.length)
+    .map((record) => ({ id: record.id, name: record.name, type: record.tanda.type, tags: record.tags, tracks: record.tanda.tracks }));
+}
+
+module.exports = { normalizeTags, normalizeSavedTanda, checkSavedTanda, filterSavedTandas, usableSavedTandas };
@@ -0,0 +1,102 @@
+const TANDA_TYPES = ['tango', 'vals', 'milonga'];
+const AVERAGE_TRACK_SECONDS = 180;
+// An orchestra may come back only after at least this many other tandas.
+const ORCHESTRA_SPACING = 2;
+
+function toNumberOrNull(value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+}
+
+function trackSeconds(track) {
+  return toNumberOrNull(track?.duration) || AVERAGE_TRACK_SECONDS;
+}
+
+function groupByStyle(library) {
+  const grouped = { tango: [], vals: [], milonga: [], cortina: [] };
+  for (const track of library.tracks || []) {
+    const style = grouped[track.style] ? track.style : 'tango';
+    grouped[style].push(track);
+  }
+  return grouped;
+}
+
+function orchestraOf(track) {
+  return (track?.orchestra || track?.artist || '').trim();
+}
+
+// Accents are dropped so "Ángel D'Agostino" and "Angel D'Agostino" compare equal.
+function foldText(text) {
+  return `${text || ''}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function orchestraKey(track) {
+  return foldText(orchestraOf(track)) || '__unknown_artist__';
+}
+
+// One recording, whatever file it came in: the same title by the same orchestra, ignoring
+// bracketed notes ("(canta …)", "(remastered)"), punctuation and accents.
+function recordingKey(track) {
+  const title = foldText(track?.title).replace(/[([].*?[)\]]/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+  return `${orchestraKey(track)}|${title || track?.id}`;
+}
+
+// The parsed singer, folded. Instrumentals and tracks with no singer credited both give the empty
+// key, so neither counts as a voice of its own; tandaConsistency tells the two apart.
+function singerKey(track) {
+  const singer = track?.instrumental ? '' : foldText(track?.singer).trim();
+  return singer === 'instrumental' ? '' : singer;
+}
+
+function isInstrumental(track) {
+  return Boolean(track?.instrumental) || foldText(track?.singer).trim() === 'instrumental';
+}
+
+// Tight windows dance as one recording session; beyond that the sound of an orchestra drifts.
+const TIGHT_YEAR_SPAN = 3;
+const LOOSE_YEAR_SPAN = 8;
+
+/**
+ * How traditional a tanda is: one singer (or all instrumental) and recordings close together.
+ * `level` is "consistent", "loose" or "mixed". Tracks with no singer credited are counted in
+ * `unknownSingerTracks` rather than taken for instrumentals.
+ */
+function tandaConsistency(tracks) {
+  const present = (tracks || []).filter(Boolean);
+  const singers = new Map();
+  present.forEach((track) => {
+    const key = singerKey(track);
+    if (key && !singers.has(key)) singers.set(key, track.singer.trim());
+  });
+  const instrumental = present.some(isInstrumental);
+  const years = present.map((track) => toNumberOrNull(track.year)).filter((year) => year !== null);
+  const yearSpan = years.length ? Math.max(...years) - Math.min(...years) : null;
+  const voiceCount = singers.size + (instrumental ? 1 : 0);
+  let level = 'consistent';
+  if (voiceCount > 2 || (yearSpan !== null && yearSpan > LOOSE_YEAR_SPAN)) level = 'mixed';
+  else if (voiceCount > 1 || (yearSpan !== null && yearSpan > TIGHT_YEAR_SPAN)) level = 'loose';
+  return {
+    level,
+    singers: [...singers.values()],
+    instrumental,
+    unknownSingerTracks: present.filter((track) => !singerKey(track) && !isInstrumental(track)).length,
+    years: years.length ? [Math.min(...years), Math.max(...years)] : null,
+    yearSpan,
+    undatedTracks: present.length - years.length
+  };
+}
+
+module.exports = {
+  TANDA_TYPES,
+  AVERAGE_TRACK_SECONDS,
+  ORCHESTRA_SPACING,
+  toNumberOrNull,
+  trackSeconds,
+  foldText,
+  groupByStyle,
+  orchestraOf,
+  orchestraKey,
+  recordingKey,
+  singerKey,
+  tandaConsistency
+};
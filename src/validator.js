@@ -0,0 +1,141 @@
+const { ORCHESTRA_SPACING, orchestraOf, orchestraKey, recordingKey } = require('./tracks');
+
+function issue(severity, code, message, details = {}) {
+  return { severity, code, message, ...details };
+}
+
+function joinList(items) {
+  return items.length < 2 ? `${items[0] ?? ''}` : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function listTandas(indexes) {
+  return `tanda${indexes.length === 1 ? '' : 's'} ${joinList(indexes.map((index) => index + 1))}`;
+}
+
+/**
+ * Checks a hydrated playlist against the tanda rules the agent is asked to follow.
+ * Every issue carries the 0-based `tandaIndexes` it concerns so the UI can place it.
+ */
+function validatePlaylist(playlist) {
+  const issues = [];
+  const tandas = playlist.tandas || [];
+  const cortinas = playlist.cortinas || [];
+  const slots = playlist.structure?.slots || [];
+
+  tandas.forEach((tanda, tandaIndex) => {
+    const tracks = (tanda.tracks || []).filter(Boolean);
+    const expectedSize = slots[tandaIndex]?.size;
+
+    if (!tracks.length) {
+      issues.push(issue('error', 'empty-tanda', `Tanda ${tandaIndex + 1} has no tracks`, { tandaIndexes: [tandaIndex] }));
+      return;
+    }
+    if (expectedSize && tracks.length !== expectedSize) {
+      issues.push(issue('warning', 'tanda-size', `Tanda ${tandaIndex + 1} has ${tracks.length} tracks; the structure expects ${expectedSize}`, {
+        tandaIndexes: [tandaIndex]
+      }));
+    }
+
+    const orchestras = [...new Map(tracks.map((track) => [orchestraKey(track), orchestraOf(track)])).values()];
+    if (orchestras.length > 1) {
+      issues.push(issue('error', 'mixed-orchestras', `Tanda ${tandaIndex + 1} mixes ${joinList(orchestras)}`, {
+        tandaIndexes: [tandaIndex]
+      }));
+    }
+
+    tracks.forEach((track) => {
+      if (track.style === 'cortina') {
+        issues.push(issue('error', 'cortina-in-tanda', `"${track.title}" is a cortina inside tanda ${tandaIndex + 1}`, {
+          tandaIndexes: [tandaIndex],
+          trackId: track.id
+        }));
+      } else if (track.style && track.style !== tanda.type) {
+        issues.push(issue('warning', 'style-mismatch', `"${track.title}" is tagged ${track.style} inside a ${tanda.type} tanda`, {
+          tandaIndexes: [tandaIndex],
+          trackId: track.id
+        }));
+      }
+    });
+
+    const cortina = cortinas[tandaIndex];
+    if (!cortina && tandaIndex < tandas.length - 1) {
+      issues.push(issue('warning', 'missing-cortina', `No cortina after tanda ${tandaIndex + 1}`, { tandaIndexes: [tandaIndex] }));
+    } else if (cortina && !cortina.cortinaId && cortina.style && cortina.style !== 'cortina') {
+      issues.push(issue('warning', 'cortina-style', `Cortina after tanda ${tandaIndex + 1} is a ${cortina.style} track`, {
+        tandaIndexes: [tandaIndex],
+        trackId: cortina.id
+      }));
+    }
+  });
+
+  const trackPlacements = new Map();
+  const placeTrack = (track, tandaIndex) => {
+    if (!track?.id) return;
+    const placement = trackPlacements.get(track.id) || { track, tandaIndexes: [] };
+    placement.tandaIndexes.push(tandaIndex);
+    trackPlacements.set(track.id, placement);
+  };
+  tandas.forEach((tanda, tandaIndex) => (tanda.tracks || []).forEach((track) => placeTrack(track, tandaIndex)));
+  // Repeating a cortina is normal; a dance track doubling as a cortina is not.
+  cortinas.forEach((cortina, tandaIndex) => {
+    const placement = cortina?.id && trackPlacements.get(cortina.id);
+    if (!placement) return;
+    issues.push(issue('error', 'dance-track-as-cortina', `"${cortina.title}" is used as the cortina after tanda ${tandaIndex + 1} and danced in ${listTandas([...new Set(placement.tandaIndexes)])}`, {
+      tandaIndexes: [tandaIndex],
+      trackId: cortina.id
+    }));
+  });
+  for (const { track, tandaIndexes } of trackPlacements.values()) {
+    if (tandaIndexes.length < 2) continue;
+    const distinct = [...new Set(tandaIndexes)];
+    issues.push(issue('error', 'repeated-track', `"${track.title}" appears ${tandaIndexes.length} times (${listTandas(distinct)})`, {
+      tandaIndexes: distinct,
+      trackId: track.id
+    }));
+  }
+
+  // The same recording in two files passes the ID check above, but the floor hears it twice all the same.
+  const recordings = new Map();
+  tandas.forEach((tanda, tandaIndex) => (tanda.tracks || []).forEach((track) => {
+    if (!track?.id) return;
+    const key = recordingKey(track);
+    const recording = recordings.get(key) || { track, trackIds: new Set(), tandaIndexes: [] };
+    if (!recording.trackIds.has(track.id)) {
+      recording.trackIds.add(track.id);
+      recording.tandaIndexes.push(tandaIndex);
+    }
+    recordings.set(key, recording);
+  }));
+  for (const { track, trackIds, tandaIndexes } of recordings.values()) {
+    if (trackIds.size < 2) continue;
+    const distinct = [...new Set(tandaIndexes)];
+    const where = distinct.length === 1 ? `tanda ${distinct[0] + 1}` : listTandas(distinct);
+    issues.push(issue('error', 'repeated-recording', `"${track.title}" by ${orchestraOf(track)} is in ${where} ${trackIds.size} times as different files`, {
+      tandaIndexes: distinct,
+      trackId: [...trackIds][1],
+      trackIds: [...trackIds]
+    }));
+  }
+
+  const lastSeen = new Map();
+  tandas.forEach((tanda, tandaIndex) => {
+    const first = (tanda.tracks || []).find(Boolean);
+    if (!first) return;
+    const key = orchestraKey(first);
+    const previous = lastSeen.get(key);
+    if (previous !== undefined && tandaIndex - previous - 1 < ORCHESTRA_SPACING) {
+      issues.push(issue('warning', 'orchestra-spacing', `${orchestraOf(first)} appears in ${listTandas([previous, tandaIndex])}`, {
+        tandaIndexes: [previous, tandaIndex]
+      }));
+    }
+    lastSeen.set(key, tandaIndex);
+  });
+
+  return {
+    checkedAt: new Date().toISOString(),
+    errors: issues.filter((item) => item.severity === 'error'),
+    warnings: issues.filter((item) => item.severity === 'warning')
+  };
+}
+
+module.exports = { validatePlaylist };
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const { makeDataDir } = require('./fixtures');
+
+let server;
+let stub;
+let baseUrl;
+let dataDir;
+// What the stub model does with each chat request, set per test.
+let reply = () => null;
+let requests = [];
+
+// An OpenAI-compatible chat endpoint that answers with whatever `reply(body, index)` returns.
+function startStub() {
+  const stubServer = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+      const answer = reply(body, requests.length - 1);
+      res.setHeader('Content-Type', 'application/json');
+      if (answer.error) {
+        res.statusCode = answer.status;
+        return res.end(JSON.stringify({ error: { message: answer.error, type: 'invalid_request_error' } }));
+      }
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(answer) }, finish_reason: 'stop' }]
+      }));
+    });
+  });
+  return new Promise((resolve) => stubServer.listen(0, () => resolve(stubServer)));
+}
+
+// A plan that keeps every rule: one orchestra per tanda, taking orchestras in turn from the library message.
+function validPlan(body) {
+  const library = JSON.parse(body.messages.find((message) => message.role === 'user').content);
+  const orchestras = [...new Set(library.tracks.map((track) => track.orchestra))];
+  const tandas = library.pattern.map((type, index) => {
+    const orchestra = orchestras[index % orchestras.length];
+    const tracks = library.tracks.filter((track) => track.style === type && track.orchestra === orchestra);
+    return { type, trackIds: tracks.slice(0, library.sizes[index]).map((track) => track.id) };
+  });
+  return { tandas, cortinaTrackIds: library.pattern.map((type, index) => library.cortinas[index % library.cortinas.length].id) };
+}
+
+function withUnknownTrack(plan) {
+  const [first, ...rest] = plan.tandas;
+  return { ...plan, tandas: [{ ...first, trackIds: ['made-up.mp3', ...first.trackIds.slice(1)] }, ...rest] };
+}
+
+test.before(async () => {
+  stub = await startStub();
+  dataDir = await makeDataDir();
+  process.env.DATA_DIR = dataDir;
+  ['LLM_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY', 'LLM_STRUCTURED_OUTPUT', 'AGENT_REPAIR_ROUNDS'].forEach((key) => delete process.env[key]);
+  process.env.LLM_BASE_URL = `http://localhost:${stub.address().port}/v1`;
+  process.env.LLM_API = 'chat';
+  server = await require('../src/server').start(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.beforeEach(() => {
+  requests = [];
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => stub.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Rejected output modes are remembered per provider and model, so each test names its own model.
+async function createPlaylist(model) {
+  process.env.LLM_MODEL = model;
+  const res = await fetch(`${baseUrl}/api/playlists`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: model, targetDuration: '1h', seed: 3 })
+  });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+test('a plan with an unknown track is repaired in one round', async () => {
+  reply = (body, index) => (index === 0 ? withUnknownTrack(validPlan(body)) : validPlan(body));
+  const playlist = await createPlaylist('stub-repair');
+  const { rounds } = playlist.agentDebug;
+
+  assert.equal(playlist.generationSource, 'agent');
+  assert.equal(playlist.agentDebug.resolved, true);
+  assert.equal(playlist.agentDebug.repairRounds, 1);
+  assert.deepEqual(rounds.map((round) => round.kind), ['initial', 'repair']);
+  assert.ok(rounds[0].problems.some((problem) => problem.includes('unknown track IDs') && problem.includes('made-up.mp3')));
+  assert.deepEqual(rounds[1].problems, []);
+  // The repair request carries the rejected plan and the problems back to the model.
+  const repairMessages = requests[1].messages;
+  assert.equal(repairMessages.at(-2).role, 'assistant');
+  assert.match(repairMessages.at(-1).content, /Your plan breaks these rules:[\s\S]*made-up\.mp3/);
+  assert.ok(playlist.tandas.flatMap((tanda) => tanda.tracks).every((track) => track.id !== 'made-up.mp3'));
+});
+
+test('a provider without json_schema is retried with json_object', async () => {
+  reply = (body) => (body.response_format?.type === 'json_schema'
+    ? { status: 400, error: 'response_format json_schema is not supported by this server' }
+    : validPlan(body));
+  const playlist = await createPlaylist('stub-json-object');
+
+  assert.equal(playlist.generationSource, 'agent');
+  assert.deepEqual(requests.map((body) => body.response_format?.type), ['json_schema', 'json_object']);
+  assert.deepEqual(playlist.agentDebug.rounds.map((round) => round.structuredOutput), ['json_object']);
+  // Without a schema the model is told the shape in the system message instead.
+  assert.match(requests[1].messages[0].content, /must match this JSON schema/);
+});
+
+test('the offline planner takes over after the last repair round', async () => {
+  reply = (body) => withUnknownTrack(validPlan(body));
+  const playlist = await createPlaylist('stub-stubborn');
+  const { agentDebug } = playlist;
+
+  assert.equal(playlist.generationSource, 'planner');
+  assert.equal(agentDebug.resolved, false);
+  assert.equal(agentDebug.request.maxRepairRounds, 2);
+  assert.equal(agentDebug.rounds.length, 3);
+  assert.equal(requests.length, 3);
+  assert.ok(agentDebug.rounds.every((round) => round.problems.length > 0));
+  assert.match(agentDebug.validation, /after 2 repair round\(s\); offline planner used/);
+  assert.equal(playlist.tandas.length, playlist.structure.slots.length);
+  assert.ok(playlist.tandas.every((tanda) => tanda.tracks.length));
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { analyzeSamples, analyzeFile, openAnalysisCache } = require('../src/analysis');
+
+const RATE = 22050;
+
+// Short decaying 1 kHz blips, one per beat.
+function clickTrain(bpm, seconds) {
+  const samples = new Float32Array(RATE * seconds);
+  const period = (RATE * 60) / bpm;
+  for (let beat = 0; beat * period < samples.length; beat += 1) {
+    const start = Math.round(beat * period);
+    for (let i = 0; i < RATE * 0.02 && start + i < samples.length; i += 1) {
+      samples[start + i] = 0.8 * Math.sin((2 * Math.PI * 1000 * i) / RATE) * Math.exp(-i / (RATE * 0.005));
+    }
+  }
+  return samples;
+}
+
+function sine(amplitude, seconds, rate = RATE) {
+  return Float32Array.from({ length: rate * seconds }, (_value, i) => amplitude * Math.sin((2 * Math.PI * 997 * i) / rate));
+}
+
+// A mono 16-bit PCM WAV file.
+function wav(samples, rate) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, value)) * 32767), i * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+test('a click train is measured at its tempo', () => {
+  for (const bpm of [64, 96, 120, 180]) {
+    const measured = analyzeSamples([clickTrain(bpm, 30)], RATE).bpm;
+    assert.ok(Math.abs(measured - bpm) <= 1, `${bpm} BPM measured as ${measured}`);
+  }
+});
+
+test('a steady tone has no tempo', () => {
+  assert.equal(analyzeSamples([sine(0.5, 10)], RATE).bpm, null);
+});
+
+test('a 997 Hz sine reads at its BS.1770 loudness', () => {
+  // A full-scale sine in one channel is -3.01 LUFS; every 20 dB down takes 20 LU off.
+  assert.ok(Math.abs(analyzeSamples([sine(1, 5, 48000)], 48000).loudness - -3.01) <= 0.1);
+  assert.ok(Math.abs(analyzeSamples([sine(0.1, 5, 48000)], 48000).loudness - -23.01) <= 0.1);
+  assert.equal(analyzeSamples([new Float32Array(RATE * 5)], RATE).loudness, null);
+});
+
+test('leading and trailing zeros are measured as silence', () => {
+  const samples = new Float32Array(RATE * 6);
+  samples.set(sine(0.5, 3), RATE);
+  const result = analyzeSamples([samples], RATE);
+  assert.ok(Math.abs(result.leadingSilence - 1) <= 0.02);
+  assert.ok(Math.abs(result.trailingSilence - 2) <= 0.02);
+  assert.equal(result.peak, 0.5);
+  assert.equal(result.duration, 6);
+});
+
+test('a file is decoded once and then found in the cache by its contents', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tango-dj-analysis-'));
+  try {
+    const file = path.join(dir, 'clicks.wav');
+    await fs.writeFile(file, wav(clickTrain(120, 20), RATE));
+    const cacheFile = path.join(dir, 'analysis-cache.json');
+    const cache = await openAnalysisCache(cacheFile);
+
+    const first = await analyzeFile(file, cache);
+    assert.equal(first.cached, false);
+    assert.ok(Math.abs(first.result.bpm - 120) <= 1);
+    assert.equal(first.result.duration, 20);
+
+    // A copy under another name has the same contents, so it is not decoded again.
+    const copy = path.join(dir, 'copy.wav');
+    await fs.copyFile(file, copy);
+    const second = await analyzeFile(copy, cache);
+    assert.equal(second.cached, true);
+    assert.equal(second.hash, first.hash);
+    assert.deepEqual(second.result, first.result);
+
+    await cache.save();
+    const reopened = await openAnalysisCache(cacheFile);
+    assert.deepEqual(reopened.get(first.hash), first.result);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a file that cannot be decoded fails without stopping the worker', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tango-dj-analysis-'));
+  try {
+    const broken = path.join(dir, 'broken.wav');
+    await fs.writeFile(broken, Buffer.from('not audio at all'));
+    const cache = await openAnalysisCache(path.join(dir, 'cache.json'));
+    await assert.rejects(analyzeFile(broken, cache));
+    const file = path.join(dir, 'tone.wav');
+    await fs.writeFile(file, wav(sine(0.5, 2), RATE));
+    assert.equal((await analyzeFile(file, cache)).result.peak, 0.5);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createTranscoder } = require('../src/audio');
+
+// Stands in for ffmpeg: copies the input to the output file, or to stdout in slow chunks for pipe:1.
+const FAKE_TRANSCODER = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const source = args[args.indexOf('-i') + 1];
+const output = args[args.length - 1];
+if (source.includes('broken')) {
+  console.error('Invalid data found when processing input');
+  process.exit(1);
+}
+const data = fs.readFileSync(source);
+if (output !== 'pipe:1') {
+  fs.writeFileSync(output, data);
+} else {
+  let offset = 0;
+  const next = () => {
+    if (offset >= data.length) return;
+    process.stdout.write(data.subarray(offset, offset + 4096), () => setTimeout(next, 5));
+    offset += 4096;
+  };
+  next();
+}
+`;
+
+let dir;
+let command;
+
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tango-dj-audio-'));
+  command = path.join(dir, 'fake-ffmpeg');
+  await fs.writeFile(command, FAKE_TRANSCODER, { mode: 0o755 });
+});
+
+test.after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function sourceFile(name, size) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, Buffer.alloc(size, name.length));
+  return { file, stat: await fs.stat(file) };
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function cachedFiles(cacheDir) {
+  return (await fs.readdir(cacheDir).catch(() => [])).filter((name) => !name.includes('.part'));
+}
+
+test('a first request streams the conversion and later ones get the cached copy', async () => {
+  const cacheDir = path.join(dir, 'stream-cache');
+  const transcoder = createTranscoder({ command, cacheDir });
+  const { file, stat } = await sourceFile('stream.aiff', 40000);
+
+  const first = await transcoder.transcode(file, stat, { stream: true });
+  assert.ok(first.stream);
+  assert.equal(first.contentType, 'audio/mpeg');
+  // A second listener during the conversion waits for the same one rather than starting another.
+  const waiting = transcoder.transcode(file, stat, { stream: true });
+  assert.deepEqual(await collect(first.stream), await fs.readFile(file));
+
+  const second = await waiting;
+  assert.equal(second.stream, undefined);
+  assert.deepEqual(await fs.readFile(second.file), await fs.readFile(file));
+  assert.equal((await cachedFiles(cacheDir)).length, 1);
+});
+
+test('a failed conversion answers null and leaves nothing in the cache', async () => {
+  const cacheDir = path.join(dir, 'broken-cache');
+  const transcoder = createTranscoder({ command, cacheDir });
+  const { file, stat } = await sourceFile('broken.aiff', 1000);
+  assert.equal(await transcoder.transcode(file, stat, { stream: true }), null);
+  assert.equal(await transcoder.transcode(file, stat), null);
+  assert.deepEqual(await fs.readdir(cacheDir), []);
+});
+
+test('the cache drops the copies served longest ago once it is over its size', async () => {
+  const cacheDir = path.join(dir, 'small-cache');
+  const transcoder = createTranscoder({ command, cacheDir, maxBytes: 25000 });
+  const sources = [];
+  for (const name of ['a.aiff', 'bb.aiff', 'ccc.aiff']) {
+    const source = await sourceFile(name, 10000);
+    sources.push({ ...source, copy: (await transcoder.transcode(source.file, source.stat)).file });
+  }
+  for (let wait = 0; wait < 50 && (await cachedFiles(cacheDir)).length > 2; wait += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const left = await cachedFiles(cacheDir);
+  assert.equal(left.length, 2);
+  assert.ok(!left.includes(path.basename(sources[0].copy)));
+  assert.ok(left.includes(path.basename(sources[2].copy)));
+});
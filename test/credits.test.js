@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCredits } = require('../src/credits');
+
+function artist(credit) {
+  const { singer = null, orchestra = null } = parseCredits({ artist: credit });
+  return { singer, orchestra };
+}
+
+test('orchestra words are never read as a singer', () => {
+  assert.deepEqual(artist("Juan D'Arienzo & Su Orquesta Típica"), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Florindo Sassone Y Su Gran Orq. Tipica'), { singer: null, orchestra: null });
+  assert.deepEqual(artist("Angel D'Agostino y Su Orquesta Típica con Angel Vargas"), { singer: 'Angel Vargas', orchestra: "Angel D'Agostino" });
+  assert.deepEqual(artist('Alfredo de Angelis O.T. con Oscar Larroca'), { singer: 'Oscar Larroca', orchestra: 'Alfredo de Angelis' });
+});
+
+test('duos and band names joined by & or / are not singer credits', () => {
+  assert.deepEqual(artist('AC/DC'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Shirley & Lee'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Ike & Tina Turner'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Gotan Project; Koxmoz'), { singer: null, orchestra: null });
+});
+
+test('& / and ; credit a singer only when a known one follows', () => {
+  assert.deepEqual(artist("Angel D'Agostino Y Su Orquesta Típica;Angel Vargas"), { singer: 'Angel Vargas', orchestra: "Angel D'Agostino" });
+  assert.deepEqual(artist('Carlos Di Sarli / Roberto Rufino'), { singer: 'Roberto Rufino', orchestra: 'Carlos Di Sarli' });
+  assert.deepEqual(artist('Miguel Caló & Raul Beron'), { singer: 'Raul Beron', orchestra: 'Miguel Caló' });
+});
+
+test('con, canta and voc. always introduce a singer', () => {
+  assert.deepEqual(artist('Rodolfo Biagi Con Jorge Ortiz'), { singer: 'Jorge Ortiz', orchestra: 'Rodolfo Biagi' });
+  assert.deepEqual(artist('Enrique Campos Con La Orquesta De Ricardo Tanturi'), { singer: 'Enrique Campos', orchestra: 'Ricardo Tanturi' });
+  assert.deepEqual(artist('Lucio Demare canta Juan Carlos Miranda'), { singer: 'Juan Carlos Miranda', orchestra: 'Lucio Demare' });
+  assert.deepEqual(artist('Pedro Laurenz voc. Martín Podestá'), { singer: 'Martín Podestá', orchestra: 'Pedro Laurenz' });
+});
+
+test('a comma credits a singer after a known orchestra leader', () => {
+  assert.deepEqual(artist('Juan D´Arienzo, Héctor Maure'), { singer: 'Héctor Maure', orchestra: 'Juan D´Arienzo' });
+  assert.deepEqual(artist('Osvaldo Pugliese , Roberto Chanel'), { singer: 'Roberto Chanel', orchestra: 'Osvaldo Pugliese' });
+  assert.deepEqual(artist('Enrique Rodriguez, Armando Moreno'), { singer: 'Armando Moreno', orchestra: 'Enrique Rodriguez' });
+  assert.deepEqual(artist('Pedro Laurenz y su orquesta, Hector Farrel'), { singer: 'Hector Farrel', orchestra: 'Pedro Laurenz' });
+});
+
+test('other comma credits are left alone', () => {
+  assert.deepEqual(artist('Piazzola, Astor'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Pugliese, Osvaldo'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Quinteto Pirincho, Francisco Canaro'), { singer: null, orchestra: null });
+  assert.deepEqual(artist('Roberto Alvarez, Estilo Para Bailar'), { singer: null, orchestra: null });
+});
+
+test('a bracketed singer in the artist credit is read', () => {
+  assert.deepEqual(artist('Edgardo Donato Y Sus Muchachos (Singer:Horacio Lagos)'), { singer: 'Horacio Lagos', orchestra: 'Edgardo Donato' });
+});
+
+test('titles name the singer in brackets, after a dash or after a bare canta', () => {
+  assert.equal(parseCredits({ title: 'Al compás del corazón (canta Alberto Podestá)' }).singer, 'Alberto Podestá');
+  assert.equal(parseCredits({ title: 'Al compás del corazón - canta Alberto Podestá' }).singer, 'Alberto Podestá');
+  assert.equal(parseCredits({ title: 'Al compás del corazón canta Alberto Podestá' }).singer, 'Alberto Podestá');
+  assert.equal(parseCredits({ title: 'Al compás del corazón canta Alberto Podestá (1942)' }).recordingYear, 1942);
+  // Without marks only a known singer counts; this is a title, not a credit.
+  assert.equal(parseCredits({ title: 'Cuando Canta La Lluvia' }).singer, undefined);
+});
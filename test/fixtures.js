@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const ORCHESTRAS = ['Juan DArienzo', 'Carlos Di Sarli', 'Osvaldo Pugliese', 'Anibal Troilo', 'Rodolfo Biagi', 'Miguel Calo', 'Francisco Canaro'];
+const TRACKS_PER_STYLE = { tango: 12, vals: 5, milonga: 5 };
+const BPM = { tango: 64, vals: 180, milonga: 95 };
+
+// A small library where every orchestra has enough tracks of each style for a few full tandas.
+function makeLibrary() {
+  const tracks = [];
+  ORCHESTRAS.forEach((orchestra, o) => {
+    Object.entries(TRACKS_PER_STYLE).forEach(([style, count]) => {
+      for (let n = 1; n <= count; n += 1) {
+        tracks.push({
+          id: `${orchestra}/${style}-${n}.mp3`,
+          title: `${style} ${orchestra} ${n}`,
+          artist: orchestra,
+          orchestra,
+          style,
+          year: 1935 + o + (n % 4),
+          bpm: BPM[style] + (n % 3),
+          energy: -20 + (n % 5),
+          duration: 160 + 5 * n
+        });
+      }
+    });
+  });
+  for (let n = 1; n <= 8; n += 1) {
+    tracks.push({ id: `cortinas/${n}.mp3`, title: `Cortina ${n}`, artist: 'Various', style: 'cortina', duration: 120 });
+  }
+  return { generatedAt: new Date().toISOString(), tracks };
+}
+
+// A fresh data folder holding `library`, for a server started with DATA_DIR pointing at it.
+async function makeDataDir(library = makeLibrary()) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tango-dj-test-'));
+  await fs.mkdir(path.join(dir, 'library'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'library', 'library.json'), JSON.stringify(library));
+  return dir;
+}
+
+module.exports = { makeLibrary, makeDataDir };
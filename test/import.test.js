@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchEntries } = require('../src/import');
+
+const tracks = [
+  { id: 'a.mp3', title: 'La Cumparsita', artist: "Juan D'Arienzo", orchestra: "Juan D'Arienzo", duration: 170 },
+  { id: 'b.mp3', title: 'La Cumparsita', artist: 'Carlos Di Sarli', orchestra: 'Carlos Di Sarli', duration: 180 },
+  { id: 'c.mp3', title: 'Bahía Blanca', artist: 'Carlos Di Sarli', orchestra: 'Carlos Di Sarli', duration: 175 },
+  { id: 'd.mp3', title: 'Milonga Vieja Milonga', artist: "Juan D'Arienzo", orchestra: "Juan D'Arienzo", duration: 150 }
+];
+
+test('an exact title is matched by its artist among tracks of the same name', () => {
+  const [match] = matchEntries([{ title: 'la cumparsita', artist: 'Di Sarli' }], tracks);
+  assert.equal(match.track.id, 'b.mp3');
+  assert.equal(match.matchedBy, 'title');
+});
+
+test('a title with extra or bracketed words still finds its track', () => {
+  const matches = matchEntries([
+    { title: 'Bahia Blanca (remastered)', artist: 'Carlos Di Sarli' },
+    { title: 'Milonga vieja milonga 1937', artist: "D'Arienzo" }
+  ], tracks);
+  assert.deepEqual(matches.map((match) => match.track?.id), ['c.mp3', 'd.mp3']);
+});
+
+test('a title that shares too few words, or the wrong artist, is left unmatched', () => {
+  const matches = matchEntries([
+    { title: 'La Yumba', artist: 'Osvaldo Pugliese' },
+    { title: 'Bahía Blanca', artist: 'Osvaldo Pugliese' },
+    { title: '' }
+  ], tracks);
+  assert.deepEqual(matches.map((match) => match.matchedBy), [null, null, null]);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { readJson, writeJson } = require('../src/json-store');
+
+test('concurrent writes to one file all land and leave no temporary files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tango-dj-json-'));
+  const file = path.join(dir, 'state.json');
+  try {
+    const values = Array.from({ length: 20 }, (_, n) => ({ n, padding: 'x'.repeat(1000 * n) }));
+    await Promise.all(values.map((value) => writeJson(file, value)));
+    const stored = await readJson(file, null);
+    assert.deepEqual(stored, values[stored.n]);
+    assert.deepEqual(await fs.readdir(dir), ['state.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSet, planTanda } = require('../src/planner');
+const { recordingKey } = require('../src/tracks');
+const { makeLibrary } = require('./fixtures');
+
+const SLOTS = ['tango', 'tango', 'vals', 'tango', 'tango', 'milonga']
+  .map((type) => ({ type, size: type === 'tango' ? 4 : 3 }));
+
+function trackIds(plan) {
+  return plan.tandas.map((tanda) => tanda.tracks.map((track) => track.id));
+}
+
+test('planSet gives the same plan for the same seed', () => {
+  const library = makeLibrary();
+  const first = planSet(library, SLOTS, { seed: 42 });
+  const second = planSet(library, SLOTS, { seed: 42 });
+  assert.equal(first.seed, 42);
+  assert.deepEqual(trackIds(first), trackIds(second));
+  assert.deepEqual(first.tandas.map((tanda) => tanda.reasoning), second.tandas.map((tanda) => tanda.reasoning));
+});
+
+test('planSet varies with the seed', () => {
+  const library = makeLibrary();
+  const plans = [1, 2, 3, 4].map((seed) => JSON.stringify(trackIds(planSet(library, SLOTS, { seed }))));
+  assert.ok(new Set(plans).size > 1);
+});
+
+test('planSet fills every slot with one orchestra and keeps orchestras apart', () => {
+  const plan = planSet(makeLibrary(), SLOTS, { seed: 7 });
+  assert.equal(plan.tandas.length, SLOTS.length);
+  plan.tandas.forEach((tanda, index) => {
+    assert.equal(tanda.type, SLOTS[index].type);
+    assert.equal(tanda.tracks.length, SLOTS[index].size);
+    assert.equal(new Set(tanda.tracks.map((track) => track.orchestra)).size, 1);
+    assert.ok(tanda.tracks.every((track) => track.style === tanda.type));
+  });
+  const orchestras = plan.tandas.map((tanda) => tanda.tracks[0].orchestra);
+  orchestras.forEach((orchestra, index) => {
+    assert.ok(!orchestras.slice(Math.max(0, index - 2), index).includes(orchestra), `${orchestra} repeats at tanda ${index + 1}`);
+  });
+});
+
+test('planSet never uses two files of one recording', () => {
+  const library = makeLibrary();
+  // Every Di Sarli tango three times over: as a second file and as a remaster with a bracketed note.
+  const copies = library.tracks
+    .filter((track) => track.orchestra === 'Carlos Di Sarli' && track.style === 'tango')
+    .flatMap((track) => [
+      { ...track, id: `copies/${track.id}` },
+      { ...track, id: `remasters/${track.id}`, title: `${track.title} (Remastered)`, year: track.year }
+    ]);
+  library.tracks.push(...copies);
+
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const plan = planSet(library, SLOTS, { seed });
+    const keys = plan.tandas.flatMap((tanda) => tanda.tracks.map(recordingKey));
+    assert.equal(new Set(keys).size, keys.length, `seed ${seed} repeats a recording`);
+  }
+});
+
+test('planTanda skips recordings already in the set', () => {
+  const library = makeLibrary();
+  const original = library.tracks.find((track) => track.orchestra === 'Rodolfo Biagi' && track.style === 'milonga');
+  library.tracks.push({ ...original, id: 'copies/biagi-milonga.mp3' });
+  const others = library.tracks.filter((track) => track.orchestra === 'Rodolfo Biagi' && track.style === 'milonga' && track.title !== original.title);
+  const excludeIds = new Set([original.id]);
+  for (let seed = 1; seed <= 10; seed += 1) {
+    const tanda = planTanda(library, { type: 'milonga', size: 3 }, { seed, excludeIds, lockOrchestra: 'Rodolfo Biagi' });
+    assert.equal(tanda.tracks.length, 3);
+    assert.ok(tanda.tracks.every((track) => others.includes(track)), `seed ${seed} picked a copy`);
+  }
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const { makeDataDir } = require('./fixtures');
+
+let server;
+let baseUrl;
+let dataDir;
+
+test.before(async () => {
+  dataDir = await makeDataDir();
+  process.env.DATA_DIR = dataDir;
+  ['LLM_BASE_URL', 'LLM_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY'].forEach((key) => delete process.env[key]);
+  server = await require('../src/server').start(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+async function createPlaylist(body) {
+  const res = await fetch(`${baseUrl}/api/playlists`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('the offline planner repeats a playlist for the same seed', async () => {
+  const first = await createPlaylist({ name: 'A', seed: 11 });
+  const second = await createPlaylist({ name: 'B', seed: 11 });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.generationSource, 'planner');
+  const ids = (playlist) => playlist.tandas.map((tanda) => tanda.tracks.map((track) => track.id));
+  assert.deepEqual(ids(first.body), ids(second.body));
+});
+
+test('a target duration plans as many tandas as fit', async () => {
+  for (const [targetDuration, minutes] of [['1h', 60], ['2:30', 150]]) {
+    const { status, body } = await createPlaylist({ name: targetDuration, seed: 5, targetDuration });
+    assert.equal(status, 201);
+    const { totalSeconds, targetDurationMinutes } = body.timeline;
+    assert.equal(targetDurationMinutes, minutes);
+    assert.ok(totalSeconds <= minutes * 60, `${totalSeconds}s runs over ${minutes} minutes`);
+    // Less than one more tanda with its cortina short of the target.
+    const longestTanda = Math.max(...body.timeline.tandas.map((tanda) => tanda.endOffsetSeconds - tanda.startOffsetSeconds));
+    assert.ok(totalSeconds > minutes * 60 - longestTanda, `${totalSeconds}s stops well short of ${minutes} minutes`);
+  }
+});
+
+test('a bad target duration is refused', async () => {
+  const { status, body } = await createPlaylist({ name: 'Bad', targetDuration: 'soon' });
+  assert.equal(status, 400);
+  assert.match(body.error, /targetDuration/);
+});
+
+async function importPlaylist(body) {
+  const res = await fetch(`${baseUrl}/api/playlists/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const M3U = ['#EXTM3U', ...[1, 2, 3].flatMap((n) => [`#EXTINF:170,Carlos Di Sarli - tango Carlos Di Sarli ${n}`, `elsewhere/${n}.mp3`])].join('\n');
+
+test('an import without a filename reads the content as it is', async () => {
+  const { status, body } = await importPlaylist({ content: M3U, filename: null });
+  assert.equal(status, 201);
+  assert.equal(body.tandas[0].tracks.length, 3);
+  assert.equal(body.importReport.filename, 'imported playlist');
+});
+
+test('an import answers 400 for content or a filename that is not a string', async () => {
+  assert.equal((await importPlaylist({ content: M3U, filename: 5 })).status, 400);
+  assert.equal((await importPlaylist({ content: { lines: [] } })).status, 400);
+  assert.equal((await importPlaylist({})).status, 400);
+});
+
+test('a client excludeIds parameter is ignored by the library routes', async () => {
+  for (const route of ['/api/library?excludeIds=x', '/api/library?excludeIds=a&excludeIds=b', '/api/library/search?excludeIds=x']) {
+    const res = await fetch(`${baseUrl}${route}`);
+    assert.equal(res.status, 200, route);
+    const body = await res.json();
+    assert.equal(body.totalTrackCount, body.trackCount ?? body.total);
+  }
+});
+
+test('export answers 400 for unknown and inherited format names', async () => {
+  const { body: playlist } = await createPlaylist({ name: 'Export', seed: 4 });
+  for (const format of ['constructor', 'toString', '__proto__', 'wav']) {
+    const res = await fetch(`${baseUrl}/api/playlists/${playlist.id}/export?format=${format}`);
+    assert.equal(res.status, 400, format);
+  }
+});
+
+test('a line break in the playlist name stays on the M3U8 #PLAYLIST line', async () => {
+  const { body: playlist } = await createPlaylist({ name: 'Sunday\r\n#EXTINF:1,Injected', seed: 4 });
+  const text = await (await fetch(`${baseUrl}/api/playlists/${playlist.id}/export?format=m3u8`)).text();
+  const lines = text.split('\n');
+  assert.equal(lines[1], '#PLAYLIST:Sunday #EXTINF:1,Injected');
+  assert.ok(!lines.includes('#EXTINF:1,Injected'));
+});
+
+test('a play needs a whole-number tandaIndex of the playlist', async () => {
+  const { body: playlist } = await createPlaylist({ name: 'Plays', seed: 5 });
+  const trackId = playlist.tandas[0].tracks[0].id;
+  const play = (tandaIndex) => fetch(`${baseUrl}/api/playlists/${playlist.id}/plays`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ trackId, tandaIndex })
+  });
+  for (const tandaIndex of ['length', '0', 0.5, -1, null, playlist.tandas.length]) {
+    assert.equal((await play(tandaIndex)).status, 400, JSON.stringify(tandaIndex));
+  }
+  assert.equal((await play(0)).status, 201);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { filterLibraryTracks, searchLibrary } = require('../src/search');
+const { makeLibrary } = require('./fixtures');
+
+const { tracks } = makeLibrary();
+
+test('excludeIds leaves out the tracks of a Set', () => {
+  const excluded = new Set(tracks.slice(0, 3).map((track) => track.id));
+  const found = filterLibraryTracks(tracks, { excludeIds: excluded });
+  assert.equal(found.length, tracks.length - 3);
+  assert.ok(found.every((track) => !excluded.has(track.id)));
+});
+
+test('an excludeIds that is not a Set is ignored', () => {
+  for (const excludeIds of ['x', ['x', 'y'], { has: 'no' }, 42]) {
+    assert.equal(filterLibraryTracks(tracks, { excludeIds }).length, tracks.length);
+    assert.equal(searchLibrary(tracks, { excludeIds }).total, tracks.length);
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { singerKey, tandaConsistency } = require('../src/tracks');
+const { applyOverrides } = require('../src/overrides');
+
+const orchestra = 'Carlos Di Sarli';
+
+test('singerKey uses the parsed singer only, never the artist credit', () => {
+  assert.equal(singerKey({ orchestra, artist: 'Carlos Di Sarli y su Orquesta Típica' }), '');
+  assert.equal(singerKey({ orchestra, artist: orchestra, singer: 'Roberto Rufino' }), 'roberto rufino');
+  assert.equal(singerKey({ orchestra, singer: 'Instrumental' }), '');
+});
+
+test('a tanda with no singer credited is not reported as instrumental', () => {
+  const tracks = [1941, 1942, 1942].map((year) => ({ orchestra, artist: 'Carlos Di Sarli y su Orquesta Típica', year }));
+  const consistency = tandaConsistency(tracks);
+  assert.equal(consistency.instrumental, false);
+  assert.deepEqual(consistency.singers, []);
+  assert.equal(consistency.unknownSingerTracks, 3);
+  assert.equal(consistency.level, 'consistent');
+});
+
+test('instrumentals, singers and uncredited tracks are counted apart', () => {
+  const consistency = tandaConsistency([
+    { orchestra, instrumental: true, year: 1941 },
+    { orchestra, singer: 'Roberto Rufino', year: 1941 },
+    { orchestra, year: 1942 }
+  ]);
+  assert.equal(consistency.instrumental, true);
+  assert.deepEqual(consistency.singers, ['Roberto Rufino']);
+  assert.equal(consistency.unknownSingerTracks, 1);
+  assert.equal(consistency.level, 'loose');
+});
+
+test('a singer set in the editor wins over a scanned instrumental flag', () => {
+  const library = {
+    tracks: [
+      { id: 'a.mp3', orchestra, instrumental: true, year: 1941 },
+      { id: 'b.mp3', orchestra, singer: 'Roberto Rufino', year: 1941 },
+      { id: 'c.mp3', orchestra, singer: 'Roberto Rufino', year: 1942 }
+    ]
+  };
+  const { tracks } = applyOverrides(library, { 'a.mp3': { singer: 'Roberto Rufino' }, 'c.mp3': { singer: 'Instrumental' } });
+  assert.equal(tracks[0].instrumental, false);
+  assert.equal(singerKey(tracks[0]), 'roberto rufino');
+  assert.equal(tracks[2].instrumental, true);
+  const consistency = tandaConsistency(tracks.slice(0, 2));
+  assert.deepEqual(consistency.singers, ['Roberto Rufino']);
+  assert.equal(consistency.instrumental, false);
+  assert.equal(consistency.level, 'consistent');
+});
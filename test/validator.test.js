@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePlaylist } = require('../src/validator');
+
+function track(id, title, orchestra = 'Miguel Calo') {
+  return { id, title, artist: orchestra, orchestra, style: 'milonga' };
+}
+
+function codes(validation) {
+  return validation.errors.map((item) => item.code);
+}
+
+test('one recording in two files inside a tanda is an error', () => {
+  const playlist = {
+    tandas: [{ type: 'milonga', tracks: [track('a/1.mp3', 'Milonga antigua'), track('b/1.mp3', 'Milonga Antigua'), track('c/1.mp3', 'Milonga antigua (remastered)')] }],
+    cortinas: []
+  };
+  const validation = validatePlaylist(playlist);
+  const issue = validation.errors.find((item) => item.code === 'repeated-recording');
+  assert.ok(issue);
+  assert.deepEqual(issue.tandaIndexes, [0]);
+  assert.deepEqual(issue.trackIds, ['a/1.mp3', 'b/1.mp3', 'c/1.mp3']);
+  assert.match(issue.message, /tanda 1 3 times/);
+  assert.ok(!codes(validation).includes('repeated-track'));
+});
+
+test('one recording in two files across tandas is an error', () => {
+  const playlist = {
+    tandas: [
+      { type: 'tango', tracks: [track('a/1.mp3', 'Recuerdo', 'Osvaldo Pugliese')] },
+      { type: 'tango', tracks: [track('x.mp3', 'Other', 'Carlos Di Sarli')] },
+      { type: 'tango', tracks: [track('a/2.mp3', 'Recuerdo', 'Osvaldo Pugliese')] }
+    ],
+    cortinas: []
+  };
+  const issue = validatePlaylist(playlist).errors.find((item) => item.code === 'repeated-recording');
+  assert.deepEqual(issue.tandaIndexes, [0, 2]);
+});
+
+test('the same title by two orchestras is not a repeat', () => {
+  const playlist = {
+    tandas: [
+      { type: 'tango', tracks: [track('a.mp3', 'Recuerdo', 'Osvaldo Pugliese')] },
+      { type: 'tango', tracks: [track('b.mp3', 'Recuerdo', 'Carlos Di Sarli')] }
+    ],
+    cortinas: []
+  };
+  assert.ok(!codes(validatePlaylist(playlist)).includes('repeated-recording'));
+});
+
+test('the same file twice stays a repeated track only', () => {
+  const same = track('a.mp3', 'Recuerdo', 'Osvaldo Pugliese');
+  const playlist = { tandas: [{ type: 'tango', tracks: [same] }, { type: 'tango', tracks: [same] }], cortinas: [] };
+  const found = codes(validatePlaylist(playlist));
+  assert.ok(found.includes('repeated-track'));
+  assert.ok(!found.includes('repeated-recording'));
+});